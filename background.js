@@ -0,0 +1,100 @@
+/**
+ * バックグラウンド（service worker）
+ * 各サイトのコンテンツスクリプトから共通の価格履歴データベースを使うための窓口と、
+ * タブを閉じても続くCSVエクスポートのジョブの実行
+ */
+
+importScripts(
+  'lib/parser.js',
+  'lib/loan.js',
+  'lib/acquisition-cost.js',
+  'lib/property-flags.js',
+  'lib/loan-deduction.js',
+  'lib/repair-fund.js',
+  'lib/settings.js',
+  'lib/listing-matcher.js',
+  'lib/history-store.js',
+  'lib/detail-cache.js',
+  'lib/export.js',
+  'lib/export-jobs.js'
+);
+
+// メッセージの種類 -> 処理（Promiseを返す）
+const MESSAGE_HANDLERS = {
+  recordListings(message) {
+    return recordListingObservations(message.listings);
+  },
+
+  findDuplicateListings(message) {
+    return findDuplicateListings(message.listings);
+  },
+
+  findBuildingListings(message) {
+    return findBuildingListings(message.listingKey);
+  },
+
+  findValuationSamples(message) {
+    return findValuationSamples(message.addresses);
+  },
+
+  clearHistory() {
+    return clearListingHistory();
+  },
+
+  countDetailCache() {
+    return countDetailCache();
+  },
+
+  clearDetailCache() {
+    return clearDetailCache();
+  },
+
+  startExportJob(message) {
+    return createExportJob(message);
+  },
+
+  pauseExportJob(message) {
+    return pauseExportJob(message.jobId);
+  },
+
+  resumeExportJob(message) {
+    return resumeExportJob(message.jobId);
+  },
+
+  cancelExportJob(message) {
+    return cancelExportJob(message.jobId);
+  },
+
+  downloadExportJob(message) {
+    return downloadExportJob(message.jobId);
+  },
+
+  removeExportJob(message) {
+    return removeExportJob(message.jobId);
+  }
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = message && MESSAGE_HANDLERS[message.type];
+  if (!handler) {
+    return false;
+  }
+
+  handler(message)
+    .then(result => sendResponse({ ok: true, result }))
+    .catch(error => {
+      console.error('[坪単価] バックグラウンド処理エラー:', message.type, error);
+      sendResponse({ ok: false, error: String(error) });
+    });
+  // 非同期でsendResponseするためtrueを返す
+  return true;
+});
+
+// service workerの停止やブラウザの再起動で中断したエクスポートジョブを再開
+chrome.runtime.onStartup.addListener(() => runExportQueue());
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === EXPORT_WATCHDOG_ALARM) {
+    runExportQueue();
+  }
+});
+runExportQueue();
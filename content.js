@@ -1,301 +1,495 @@
 /**
  * 不動産坪単価・平米単価表示 Chrome拡張
- * SUUMO、三井のリハウスの物件の価格と面積から坪単価・平米単価を自動計算して表示
+ * SUUMO、三井のリハウス、アットホーム、ホームズの物件の価格と面積から坪単価・平米単価を自動計算して表示
+ * サイトごとのDOM構造の違いは sites/ 配下のサイトアダプターが吸収する
  */
 
 // 既に処理済みの要素を追跡するためのSet
 const processedElements = new Set();
 
-// 計算結果をキャッシュするためのMap（価格_面積 -> {tsuboPrice, heiheiPrice}）
-const calculationCache = new Map();
+// 物件カードごとの単価（ポップアップの統計・色分け・価格履歴用）
+// 物件カード -> {land, tsuboPrice, heiheiPrice, badge, listing}、計算不可の場合はnull
+const cardUnitPrices = new Map();
 
-// 現在のサイトを判定
-const SITE_TYPE = window.location.hostname.includes('rehouse.co.jp')
-  ? 'REHOUSE'
-  : window.location.hostname.includes('athome.co.jp')
-    ? 'ATHOME'
-    : window.location.hostname.includes('homes.co.jp')
-      ? 'HOMES'
-      : 'SUUMO';
+// バックグラウンドから取得した価格履歴（物件キー -> 古い順の履歴）
+const listingHistories = new Map();
 
-/**
- * 文字列から数値を抽出（カンマ区切り、億円表記、面積表記に対応）
- * @param {string} text - 抽出元の文字列
- * @returns {number|null} - 抽出された数値（万円単位または㎡）、失敗時はnull
- */
-function extractNumber(text) {
-  if (!text) return null;
+// 価格履歴の記録を依頼済みの物件キー（MutationObserverでの再処理で重複して送らないため）
+const requestedHistoryKeys = new Set();
 
-  // 「専有面積107.19m2」のような形式から面積を抽出
-  if (text.includes('専有面積')) {
-    const areaMatch = text.match(/専有面積[^\d]*(\d+(?:\.\d+)?)/);
-    if (areaMatch) {
-      return parseFloat(areaMatch[1]);
-    }
-  }
+// バックグラウンドで見つかった他サイトの同じ住戸（物件キー -> 価格の安い順の一覧）
+const duplicateListings = new Map();
 
-  // 「107.19m2」「135.24㎡」のような形式（m2/㎡の前の数値を抽出）
-  if (text.includes('m') || text.includes('㎡')) {
-    const areaMatch = text.match(/(\d+(?:\.\d+)?)\s*[m㎡]/);
-    if (areaMatch) {
-      return parseFloat(areaMatch[1]);
-    }
-  }
+// 詳細ページの物件と同じマンションの記録済み物件（自身を含む、未取得の場合はnull）
+let buildingListings = null;
 
-  // 「1億2900万円」のような形式に対応
-  // 億の部分を抽出
-  const okuMatch = text.match(/(\d+(?:\.\d+)?)億/);
-  const manMatch = text.match(/(\d+(?:,\d+)?(?:\.\d+)?)万/);
+// 同じマンションの物件をバックグラウンドに問い合わせ済みかどうか
+let buildingListingsRequested = false;
 
-  let totalMan = 0;
+// 価格履歴から取得した相場モデル用の同じ市区町村の物件（物件キー -> ValuationSampleと、他サイトの同じ住戸をまとめた物件キーのlistingKeys）
+const historyValuationSamples = new Map();
 
-  if (okuMatch) {
-    // 億を万円に変換（1億 = 10000万円）
-    totalMan += parseFloat(okuMatch[1]) * 10000;
-  }
+// 相場モデル用の物件をバックグラウンドに問い合わせ済みの物件キー
+const requestedValuationKeys = new Set();
 
-  if (manMatch) {
-    // 万円部分を追加
-    totalMan += parseFloat(manMatch[1].replace(/,/g, ''));
-  }
+// ウォッチリストに保存済みの物件キー（☆ボタンの表示用、他のタブでの変更も反映）
+const watchedListingKeys = new Set();
 
-  if (totalMan > 0) {
-    return totalMan;
-  }
+// 色分け・中央値との比較を表示する最低件数（件数が少ないと四分位に意味がないため）
+const MIN_CARDS_FOR_RELATIVE = 4;
 
-  // 上記でマッチしない場合は従来の方法
-  const match = text.replace(/,/g, '').match(/[\d.]+/);
-  return match ? parseFloat(match[0]) : null;
-}
+// 並べ替え・絞り込みの状態（ページを離れるまで保持）
+// order: 'default'（ページの順序）| 'tsuboAsc' | 'tsuboDesc' | 'heiheiAsc' | 'heiheiDesc'
+// maxTsuboPrice: 坪単価の上限（万円/坪、賃貸は円/坪/月）、nullの場合は絞り込まない
+const sortState = { order: 'default', maxTsuboPrice: null };
+
+// 一覧の1件分の要素 -> ページ上の元の順番（「ページの順序」に戻すため）
+const originalOrder = new Map();
+
+// 四分位ごとの単価表示のクラス（安い順）
+const QUARTILE_CLASSES = [
+  'suumo-unit-price--q1',
+  'suumo-unit-price--q2',
+  'suumo-unit-price--q3',
+  'suumo-unit-price--q4'
+];
+
+// CSVエクスポートボタンの表示（ボタンのid -> 通常時の文言）
+const EXPORT_BUTTON_LABELS = {
+  'fudosan-csv-export-button': '📊 CSVエクスポート (β版)',
+  'fudosan-csv-export-all-button': '📚 全ページをCSVエクスポート'
+};
+
+// 詳細ページの追加情報（parseDetailPage()の結果、ページ内で一度だけ解析）
+let detailPageInfo = null;
+
+// 詳細ページ全体の文字列（getDetailPageText()の結果、ページ内で一度だけ取得）
+let detailPageText = null;
+
+// このページから始めたエクスポートジョブ（ボタンに進捗を表示する、ジョブの終了後はnull）
+let activeExport = null;
+
+// ローンシミュレーションを開いているかどうか（設定の変更でパネルを作り直しても開いたままにする）
+let loanPanelOpen = false;
+
+// 計算結果をキャッシュするためのMap（価格_面積 -> {tsuboPrice, heiheiPrice}）
+const calculationCache = new Map();
+
+// 現在のサイト・ページのアダプター（賃貸ページでは賃貸用の定義で上書き済み）
+const SITE_ADAPTER = getPageAdapter(getSiteAdapter(window.location.hostname), window.location.href);
+
+// 現在のサイトの識別子（ログ・CSV用）
+const SITE_TYPE = SITE_ADAPTER ? SITE_ADAPTER.id : 'UNKNOWN';
+
+// 賃貸ページかどうか（賃料は円単位、単価は月額で表示）
+const RENTAL_MODE = SITE_ADAPTER ? SITE_ADAPTER.mode === 'rental' : false;
+
+// 現在の表示設定（init()で読み込み、変更時はapplySettings()で更新）
+let currentSettings = mergeSettings();
 
 /**
  * 坪単価を計算
  * @param {number} price - 物件価格（万円）
  * @param {number} area - 専有面積（㎡）
- * @returns {number} - 坪単価（万円/坪）
+ * @returns {number} - 坪単価（万円/坪、丸めは表示時に行う）
  */
 function calculateTsuboPrice(price, area) {
-  const tsubo = area / 3.3058;
-  return Math.round(price / tsubo);
+  const tsubo = area / TSUBO_SQM;
+  return price / tsubo;
 }
 
 /**
  * 平米単価を計算
  * @param {number} price - 物件価格（万円）
  * @param {number} area - 専有面積（㎡）
- * @returns {number} - 平米単価（万円/㎡）
+ * @returns {number} - 平米単価（万円/㎡、丸めは表示時に行う）
  */
 function calculateHeiheiPrice(price, area) {
-  return Math.round(price / area);
+  return price / area;
 }
 
 /**
- * 物件カード/詳細ページから価格と面積を取得して単価を表示
- * @param {Element} element - 物件要素
+ * 価格と面積の範囲から単価の範囲を計算
+ * 新築の価格帯・面積帯は安い住戸ほど狭いため、下限同士・上限同士を組み合わせて計算する
+ * @param {ParsedRange} price - 物件価格（万円）
+ * @param {ParsedRange} area - 面積（㎡）
+ * @param {function(number, number): number} calculate - calculateTsuboPriceなど
+ * @returns {{min: number, max: number}} - 単価の範囲
  */
-function processProperty(element) {
-  // 既に処理済みの場合はスキップ
-  if (processedElements.has(element)) {
-    return;
+function calculateUnitPriceRange(price, area, calculate) {
+  const values = [calculate(price.min, area.min), calculate(price.max, area.max)];
+  return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+/**
+ * 賃料の月額単価を計算
+ * @param {number} rent - 賃料（円/月）
+ * @param {number} fee - 管理費・共益費（円/月）
+ * @param {number} area - 専有面積（㎡）
+ * @returns {{rentTsuboPrice: number, rentHeiheiPrice: number, totalRentTsuboPrice: number, totalRentHeiheiPrice: number}}
+ *   - 賃料のみ・管理費込みそれぞれの円/坪/月、円/㎡/月
+ */
+function calculateRentUnitPrices(rent, fee, area) {
+  const tsubo = area / TSUBO_SQM;
+  return {
+    rentTsuboPrice: Math.round(rent / tsubo),
+    rentHeiheiPrice: Math.round(rent / area),
+    totalRentTsuboPrice: Math.round((rent + fee) / tsubo),
+    totalRentHeiheiPrice: Math.round((rent + fee) / area)
+  };
+}
+
+/**
+ * 土地・一戸建ての土地坪単価・建物坪単価を計算
+ * 私道負担がある場合は土地面積から除いて計算
+ * @param {ParsedRange} price - 物件価格（万円）
+ * @param {{landArea: ?ParsedRange, buildingArea: ?ParsedRange, privateRoadArea: number}} areas - 面積（㎡）
+ * @returns {{landTsuboPrice: ?{min: number, max: number}, buildingTsuboPrice: ?{min: number, max: number}}}
+ *   - 坪単価（万円/坪）、面積がない場合はnull
+ */
+function calculateLandBuildingPrices(price, areas) {
+  const effectiveLandArea = areas.landArea
+    ? { min: areas.landArea.min - areas.privateRoadArea, max: areas.landArea.max - areas.privateRoadArea }
+    : null;
+  return {
+    landTsuboPrice: effectiveLandArea && effectiveLandArea.min > 0
+      ? calculateUnitPriceRange(price, effectiveLandArea, calculateTsuboPrice)
+      : null,
+    buildingTsuboPrice: areas.buildingArea
+      ? calculateUnitPriceRange(price, areas.buildingArea, calculateTsuboPrice)
+      : null
+  };
+}
+
+/**
+ * 範囲の中央の値を取得（価格帯・面積帯の物件を統計で1つの値として扱うため）
+ * @param {{min: number, max: number}} range - 範囲
+ * @returns {number}
+ */
+function rangeMidpoint(range) {
+  return (range.min + range.max) / 2;
+}
+
+/**
+ * 数値を小数点以下の桁数で四捨五入
+ * @param {number} value - 数値
+ * @param {number} decimals - 小数点以下の桁数
+ * @returns {number}
+ */
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * 万円単位の単価を表示設定（単位・小数点以下の桁数）に合わせて数値部分のみ整形
+ * @param {number} value - 単価（万円）
+ * @returns {string} - 「250」「250.4」「2,504,000」
+ */
+function formatUnitPriceNumber(value) {
+  if (currentSettings.priceUnit === 'yen') {
+    return Math.round(value * 10000).toLocaleString();
   }
+  const decimals = currentSettings.decimals;
+  return roundTo(value, decimals).toLocaleString(undefined, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  });
+}
 
-  console.log(`[${SITE_TYPE}坪単価] 物件を処理中:`, element);
+/**
+ * 単価の範囲を表示用の文字列に整形（「250万円」「250〜290万円」「2,504,000円」）
+ * @param {{min: number, max: number}} range - 単価の範囲（万円）
+ * @returns {string}
+ */
+function formatPriceRange(range) {
+  const unit = currentSettings.priceUnit === 'yen' ? '円' : '万円';
+  const min = formatUnitPriceNumber(range.min);
+  const max = formatUnitPriceNumber(range.max);
+  return min === max ? `${min}${unit}` : `${min}〜${max}${unit}`;
+}
 
-  // 価格要素を検索（サイトごとのパターンに対応）
-  let priceSelectors = [];
-  if (SITE_TYPE === 'REHOUSE') {
-    priceSelectors = [
-      '.price-text',                             // 三井のリハウス一覧ページ
-      '[class*="price"]',                        // 汎用パターン
-    ];
-  } else if (SITE_TYPE === 'ATHOME') {
-    priceSelectors = [
-      '.property-price',                         // アットホーム一覧ページ
-      '[class*="price"]',                        // 汎用パターン
-    ];
-  } else if (SITE_TYPE === 'HOMES') {
-    priceSelectors = [
-      'td.price',                                // ホームズ一覧ページ
-      '[class*="price"]',                        // 汎用パターン
-    ];
-  } else {
-    priceSelectors = [
-      '.dottable-value',                         // SUUMO一覧ページ（新）
-      '.mt7.b',                                   // SUUMO詳細ページ
-      '.dkr-cassetteitem_price--num',           // SUUMO一覧ページ
-      '.cassette_price--num',                    // SUUMO一覧ページ（旧）
-      '.property_view_note-emphasis',            // SUUMO詳細ページ（旧）
-      '.detailbox_property_price_txt',           // SUUMO詳細ページ（別パターン）
-      '[class*="price"]',                         // 汎用パターン
-    ];
+/**
+ * 表示設定に合わせてコンパクト表示にするかどうかを決定
+ * @param {boolean} targetCompact - 挿入位置ごとの既定（テーブル内などはtrue）
+ * @returns {boolean}
+ */
+function resolveCompact(targetCompact) {
+  if (currentSettings.badgeStyle === 'compact') return true;
+  if (currentSettings.badgeStyle === 'full') return false;
+  return targetCompact;
+}
+
+/**
+ * 単価の項目（「坪単価: 250万円」など）を区切り線でつないだHTMLを作成
+ * @param {string[]} items - 各項目のHTML
+ * @returns {string}
+ */
+function joinBadgeItems(items) {
+  return items.join('<span class="unit-price-separator">|</span>');
+}
+
+/**
+ * 単価を計算できない理由を表示用の文字列で取得
+ * @param {ParsedRange|null} price - 価格の解析結果
+ * @param {ParsedRange|null} area - 面積の解析結果
+ * @returns {string} - 「価格未定」「面積未定」「計算不可」
+ */
+function describeUnavailable(price, area) {
+  if (price && price.status === 'unknown') return '価格未定';
+  if (area && area.status === 'unknown') return '面積未定';
+  return '計算不可';
+}
+
+/**
+ * 単価表示要素を作成
+ * @param {{tsuboPrice: {min: number, max: number}, heiheiPrice: {min: number, max: number}}|null} unitPrices
+ *   - 坪単価（万円/坪）・平米単価（万円/㎡）の範囲、計算不可の場合はnull
+ * @param {boolean} compact - コンパクト表示にするかどうか
+ * @param {string} unavailableText - 計算できない場合の表示（「価格未定」など）
+ * @returns {HTMLElement|null} - 単価表示要素、表示する単価が設定で無効な場合はnull
+ */
+function createUnitPriceBadge(unitPrices, compact, unavailableText = '計算不可') {
+  const metrics = [];
+  if (currentSettings.showTsuboPrice) {
+    metrics.push({ label: '坪単価:', range: unitPrices ? unitPrices.tsuboPrice : null });
+  }
+  if (currentSettings.showHeiheiPrice) {
+    metrics.push({ label: '平米単価:', range: unitPrices ? unitPrices.heiheiPrice : null });
+  }
+  if (metrics.length === 0) {
+    return null;
   }
 
-  let priceElement = null;
-  for (const selector of priceSelectors) {
-    priceElement = element.querySelector(selector);
-    if (priceElement) {
-      console.log(`[${SITE_TYPE}坪単価] 価格要素発見:`, selector, priceElement);
-      break;
-    }
+  const unitPriceDiv = document.createElement('div');
+  unitPriceDiv.className = resolveCompact(compact) ? 'suumo-unit-price suumo-unit-price--compact' : 'suumo-unit-price';
+  unitPriceDiv.innerHTML = joinBadgeItems(metrics.map(({ label, range }) => `
+      <span class="unit-price-label">${label}</span>
+      ${range
+        ? `<span class="unit-price-value">${formatPriceRange(range)}</span>`
+        : `<span class="unit-price-na">${unavailableText}</span>`}
+    `));
+
+  return unitPriceDiv;
+}
+
+/**
+ * 土地・一戸建て用の単価表示要素を作成
+ * @param {Object|null} prices - calculateLandBuildingPrices()の結果、価格が不正な場合はnull
+ * @param {{buildingArea: ?ParsedRange, privateRoadArea: number}} areas - 面積（㎡）
+ * @param {boolean} compact - コンパクト表示にするかどうか
+ * @param {string} unavailableText - 計算できない場合の表示（「価格未定」など）
+ * @returns {HTMLElement|null} - 単価表示要素、坪単価の表示が設定で無効な場合はnull
+ */
+function createLandBuildingBadge(prices, areas, compact, unavailableText = '計算不可') {
+  // 土地坪単価・建物坪単価は「坪単価」の表示設定に従う
+  if (!currentSettings.showTsuboPrice) {
+    return null;
   }
 
-  // テーブル行の場合：<th>価格</th><td>値</td> のパターン
-  if (!priceElement && element.tagName === 'TR') {
-    // ホームズのグルーピング一覧ページの場合: verticalTable構造
-    const verticalTable = element.querySelector('.verticalTable');
-    if (verticalTable && SITE_TYPE === 'HOMES') {
-      const ths = verticalTable.querySelectorAll('th');
-      for (const th of ths) {
-        if (th.textContent.includes('価格')) {
-          const td = th.nextElementSibling;
-          if (td && td.tagName === 'TD') {
-            priceElement = td;
-            console.log(`[${SITE_TYPE}坪単価] 価格要素発見: verticalTable内のtd`, priceElement);
-            break;
-          }
-        }
-      }
-    } else {
-      const th = element.querySelector('th');
-      const td = element.querySelector('td');
-      if (th && th.textContent.includes('価格') && td) {
-        priceElement = td;
-        console.log(`[${SITE_TYPE}坪単価] 価格要素発見: テーブル行のtd`, priceElement);
-      }
-    }
+  const unitPriceDiv = document.createElement('div');
+  unitPriceDiv.className = resolveCompact(compact)
+    ? 'suumo-unit-price suumo-unit-price--land suumo-unit-price--compact'
+    : 'suumo-unit-price suumo-unit-price--land';
+
+  const formatValue = (range) => range
+    ? `<span class="unit-price-value">${formatPriceRange(range)}</span>`
+    : `<span class="unit-price-na">${unavailableText}</span>`;
+
+  const landLabel = areas.privateRoadArea > 0 ? '土地坪単価(私道負担除く):' : '土地坪単価:';
+  const items = [`
+      <span class="unit-price-label">${landLabel}</span>
+      ${formatValue(prices ? prices.landTsuboPrice : null)}
+    `];
+
+  // 土地のみの物件は建物坪単価を表示しない
+  if (areas.buildingArea) {
+    items.push(`
+      <span class="unit-price-label">建物坪単価:</span>
+      ${formatValue(prices ? prices.buildingTsuboPrice : null)}
+    `);
   }
 
-  if (!priceElement) {
-    console.log(`[${SITE_TYPE}坪単価] 価格要素が見つかりませんでした`);
-    return;
+  unitPriceDiv.innerHTML = joinBadgeItems(items);
+  return unitPriceDiv;
+}
+
+/**
+ * 賃貸用の単価表示要素を作成
+ * @param {Object|null} rentPrices - calculateRentUnitPrices()の結果、計算不可の場合はnull
+ * @param {boolean} compact - コンパクト表示にするかどうか
+ * @returns {HTMLElement|null} - 単価表示要素、表示する単価が設定で無効な場合はnull
+ */
+function createRentUnitPriceBadge(rentPrices, compact) {
+  const { showTsuboPrice, showHeiheiPrice } = currentSettings;
+  if (!showTsuboPrice && !showHeiheiPrice) {
+    return null;
   }
 
-  // 面積要素を検索（サイトごとのパターンに対応）
-  let areaSelectors = [];
-  if (SITE_TYPE === 'REHOUSE') {
-    areaSelectors = [
-      '.paragraph-body',                         // 三井のリハウス一覧ページ（面積を含む段落）
-      '[class*="area"]',                         // 汎用パターン
-    ];
-  } else if (SITE_TYPE === 'ATHOME') {
-    areaSelectors = [
-      '.property-detail-table__block',           // アットホーム一覧ページ（専有面積ブロック）
-      '[class*="area"]',                         // 汎用パターン
-    ];
-  } else if (SITE_TYPE === 'HOMES') {
-    areaSelectors = [
-      'td.space',                                // ホームズ一覧ページ
-      '[class*="area"]',                         // 汎用パターン
-    ];
+  const unitPriceDiv = document.createElement('div');
+  unitPriceDiv.className = resolveCompact(compact)
+    ? 'suumo-unit-price suumo-unit-price--rental suumo-unit-price--compact'
+    : 'suumo-unit-price suumo-unit-price--rental';
+
+  if (rentPrices) {
+    const formatValue = (value, unit) => `<span class="unit-price-value">${value.toLocaleString()}${unit}</span>`;
+    const rentItems = [];
+    const totalItems = [];
+    if (showTsuboPrice) {
+      rentItems.push(`<span class="unit-price-label">坪単価:</span>${formatValue(rentPrices.rentTsuboPrice, '円/坪/月')}`);
+      totalItems.push(formatValue(rentPrices.totalRentTsuboPrice, '円/坪/月'));
+    }
+    if (showHeiheiPrice) {
+      rentItems.push(`<span class="unit-price-label">平米単価:</span>${formatValue(rentPrices.rentHeiheiPrice, '円/㎡/月')}`);
+      totalItems.push(formatValue(rentPrices.totalRentHeiheiPrice, '円/㎡/月'));
+    }
+    unitPriceDiv.innerHTML = `
+      <span class="unit-price-row">${joinBadgeItems(rentItems)}</span>
+      <span class="unit-price-row"><span class="unit-price-label">管理費込:</span>${joinBadgeItems(totalItems)}</span>
+    `;
   } else {
-    areaSelectors = [
-      '.dkr-cassetteitem_detail_text--area',   // SUUMO一覧ページ
-      '.cassette_detail_text--area',            // SUUMO一覧ページ（旧）
-      '[class*="area"]',                         // 汎用パターン
-    ];
+    const items = [];
+    if (showTsuboPrice) items.push('<span class="unit-price-label">坪単価:</span><span class="unit-price-na">計算不可</span>');
+    if (showHeiheiPrice) items.push('<span class="unit-price-label">平米単価:</span><span class="unit-price-na">計算不可</span>');
+    unitPriceDiv.innerHTML = joinBadgeItems(items);
   }
 
-  let areaElement = null;
-  for (const selector of areaSelectors) {
-    // 三井のリハウスの場合、複数の.paragraph-bodyがあるため㎡を含むものを探す
-    if (SITE_TYPE === 'REHOUSE' && selector === '.paragraph-body') {
-      const elements = element.querySelectorAll(selector);
-      for (const el of elements) {
-        if (el.textContent.includes('㎡') || el.textContent.includes('m2') || el.textContent.includes('m')) {
-          areaElement = el;
-          console.log(`[${SITE_TYPE}坪単価] 面積要素発見:`, selector, areaElement);
-          break;
-        }
-      }
-      if (areaElement) break;
-    } else if (SITE_TYPE === 'ATHOME' && selector === '.property-detail-table__block') {
-      // アットホームの場合、専有面積を含むブロックを探す
-      const elements = element.querySelectorAll(selector);
-      for (const el of elements) {
-        if (el.textContent.includes('専有面積')) {
-          // 専有面積ブロック内のspanから「40.00m²」のような値を取得
-          const spans = el.querySelectorAll('span');
-          for (const span of spans) {
-            if (span.textContent.includes('m') || span.textContent.includes('㎡')) {
-              areaElement = span;
-              console.log(`[${SITE_TYPE}坪単価] 面積要素発見:`, selector, areaElement);
-              break;
-            }
-          }
-          if (areaElement) break;
-        }
-      }
-      if (areaElement) break;
-    } else {
-      areaElement = element.querySelector(selector);
-      if (areaElement) {
-        console.log(`[${SITE_TYPE}坪単価] 面積要素発見:`, selector, areaElement);
-        break;
-      }
-    }
+  return unitPriceDiv;
+}
+
+/**
+ * 単価表示要素を挿入位置に配置（既存の単価表示は置き換え）
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {BadgeTarget} target - 挿入位置
+ * @returns {boolean} - 挿入できた場合true
+ */
+function insertUnitPriceBadge(badge, target) {
+  const { element, position } = target;
+
+  // 既存の単価表示があれば削除
+  const existingInParent = element.parentElement?.querySelector(':scope > .suumo-unit-price');
+  if (existingInParent && position === 'after') {
+    existingInParent.remove();
+  }
+  const existingInElement = element.querySelector(':scope > .suumo-unit-price');
+  if (existingInElement) {
+    existingInElement.remove();
   }
 
-  // 新しいHTML構造: <dt>専有面積</dt><dd>値</dd> の形式を検索
-  if (!areaElement) {
-    const dts = element.querySelectorAll('dt');
-    for (const dt of dts) {
-      if (dt.textContent.includes('専有面積')) {
-        areaElement = dt.nextElementSibling;
-        if (areaElement && areaElement.tagName === 'DD') {
-          console.log(`[${SITE_TYPE}坪単価] 面積要素発見: <dt>専有面積</dt>の次のdd`, areaElement);
-          break;
-        }
-      }
-    }
+  if (position === 'append') {
+    element.appendChild(badge);
+    return true;
   }
 
-  // 詳細ページ: span要素内に「専有面積XXXm2」が含まれる場合
-  if (!areaElement) {
-    const spans = element.querySelectorAll('span');
-    for (const span of spans) {
-      if (span.textContent.includes('専有面積') && (span.textContent.includes('m') || span.textContent.includes('㎡'))) {
-        // 数値が抽出できるか確認
-        const testExtract = extractNumber(span.textContent);
-        if (testExtract && testExtract > 0) {
-          areaElement = span;
-          console.log(`[${SITE_TYPE}坪単価] 面積要素発見: 専有面積を含むspan`, areaElement);
-          break;
-        }
-      }
-    }
+  const parent = element.parentElement;
+  if (!parent) {
+    return false;
   }
+  parent.insertBefore(badge, element.nextSibling);
+  return true;
+}
 
-  // テーブル行の場合：同じテーブル内の専有面積行を探す
-  if (!areaElement && element.tagName === 'TR') {
-    // ホームズのグルーピング一覧ページの場合: verticalTable構造
-    const verticalTable = element.querySelector('.verticalTable');
-    if (verticalTable && SITE_TYPE === 'HOMES') {
-      const ths = verticalTable.querySelectorAll('th');
-      for (const th of ths) {
-        if (th.textContent.includes('専有面積')) {
-          const td = th.nextElementSibling;
-          if (td && td.tagName === 'TD') {
-            areaElement = td;
-            console.log(`[${SITE_TYPE}坪単価] 面積要素発見: verticalTable内のtd`, areaElement);
-            break;
-          }
-        }
-      }
-    } else {
-      const table = element.closest('table');
-      if (table) {
-        const rows = table.querySelectorAll('tr');
-        for (const row of rows) {
-          const th = row.querySelector('th');
-          const td = row.querySelector('td');
-          if (th && th.textContent.includes('専有面積') && td) {
-            areaElement = td;
-            console.log(`[${SITE_TYPE}坪単価] 面積要素発見: テーブル行のtd`, areaElement);
-            break;
-          }
-        }
-      }
-    }
+/**
+ * 価格と面積から単価を取得（キャッシュ付き）
+ * @param {ParsedRange} price - 物件価格（万円）
+ * @param {ParsedRange} area - 専有面積（㎡）
+ * @returns {{tsuboPrice: {min: number, max: number}, heiheiPrice: {min: number, max: number}}}
+ */
+function getUnitPrices(price, area) {
+  const cacheKey = `${price.min}_${price.max}_${area.min}_${area.max}`;
+
+  if (calculationCache.has(cacheKey)) {
+    const cached = calculationCache.get(cacheKey);
+    console.log(`[${SITE_TYPE}坪単価] キャッシュから取得 - 坪単価:`, cached.tsuboPrice, '万円/坪, 平米単価:', cached.heiheiPrice, '万円/㎡');
+    return cached;
+  }
+
+  const result = {
+    tsuboPrice: calculateUnitPriceRange(price, area, calculateTsuboPrice),
+    heiheiPrice: calculateUnitPriceRange(price, area, calculateHeiheiPrice)
+  };
+  calculationCache.set(cacheKey, result);
+  console.log(`[${SITE_TYPE}坪単価] 計算結果 - 坪単価:`, result.tsuboPrice, '万円/坪, 平米単価:', result.heiheiPrice, '万円/㎡');
+  return result;
+}
+
+/**
+ * 土地・一戸建ての土地面積・建物面積・私道負担を取得
+ * 専有面積がある（マンション）場合は対象外
+ * @param {Element|Document} root - 物件カードまたは詳細ページ
+ * @returns {{landArea: ?ParsedRange, buildingArea: ?ParsedRange, privateRoadArea: number}|null}
+ *   - 面積（㎡）、土地面積・建物面積のどちらもない場合はnull
+ */
+function getLandBuildingAreas(root) {
+  const rootText = root.nodeType === Node.DOCUMENT_NODE ? (root.body ? root.body.textContent : '') : root.textContent;
+  if (rootText.includes('専有面積')) {
+    return null;
+  }
+
+  const toRange = (text) => {
+    const parsed = parseArea(text);
+    return parsed.status === 'ok' ? parsed : null;
+  };
+  const landArea = toRange(SITE_ADAPTER.extractLandAreaText(root));
+  const buildingArea = toRange(SITE_ADAPTER.extractBuildingAreaText(root));
+  if (!landArea && !buildingArea) {
+    return null;
+  }
+
+  // 私道負担「無」「なし」は0㎡
+  const privateRoadText = SITE_ADAPTER.extractPrivateRoadText(root).trim();
+  const privateRoad = /^(無|なし)/.test(privateRoadText) ? null : toRange(privateRoadText);
+  const privateRoadArea = privateRoad ? privateRoad.min : 0;
+
+  console.log(`[${SITE_TYPE}坪単価] 土地面積:`, landArea, '㎡, 建物面積:', buildingArea, '㎡, 私道負担:', privateRoadArea, '㎡');
+  return { landArea, buildingArea, privateRoadArea };
+}
+
+/**
+ * 賃料・管理費のテキストと面積から賃料の月額単価を取得
+ * @param {string} rentText - 賃料のテキスト
+ * @param {string} feeText - 管理費・共益費のテキスト（「-」は0円として扱う）
+ * @param {ParsedRange} areaRange - 専有面積（㎡）の解析結果
+ * @returns {Object|null} - calculateRentUnitPrices()の結果、計算不可の場合はnull
+ */
+function getRentUnitPrices(rentText, feeText, areaRange) {
+  // 賃貸は住戸ごとの掲載のため、面積が範囲の場合は計算しない
+  const area = areaRange.status === 'ok' && areaRange.min === areaRange.max ? areaRange.min : null;
+  const rent = extractYen(rentText);
+  const fee = extractYen(feeText) || 0;
+  console.log(`[${SITE_TYPE}坪単価] 賃料:`, rent, '円, 管理費・共益費:', fee, '円, 面積:', area, '㎡');
+
+  if (!(rent && area && rent > 0 && area > 0)) {
+    return null;
+  }
+
+  const rentPrices = calculateRentUnitPrices(rent, fee, area);
+  console.log(`[${SITE_TYPE}坪単価] 賃料単価:`, rentPrices);
+  return { rent, fee, ...rentPrices };
+}
+
+/**
+ * 物件カードから価格と面積を取得して単価を表示
+ * @param {Element} element - 物件要素
+ */
+function processProperty(element) {
+  // 既に処理済みの場合はスキップ
+  if (processedElements.has(element)) {
+    return;
+  }
+
+  console.log(`[${SITE_TYPE}坪単価] 物件を処理中:`, element);
+
+  const priceElement = SITE_ADAPTER.findPriceElement(element);
+  if (!priceElement) {
+    console.log(`[${SITE_TYPE}坪単価] 価格要素が見つかりませんでした`);
+    return;
+  }
+  console.log(`[${SITE_TYPE}坪単価] 価格要素発見:`, priceElement);
+
+  const areaElement = SITE_ADAPTER.findAreaElement(element);
+  if (areaElement) {
+    console.log(`[${SITE_TYPE}坪単価] 面積要素発見:`, areaElement);
   }
 
   // 価格と面積を抽出
@@ -305,87 +499,87 @@ function processProperty(element) {
   console.log(`[${SITE_TYPE}坪単価] 価格テキスト:`, priceText);
   console.log(`[${SITE_TYPE}坪単価] 面積テキスト:`, areaText);
 
-  const price = extractNumber(priceText);
-  const area = extractNumber(areaText);
-
-  console.log(`[${SITE_TYPE}坪単価] 価格:`, price, '万円');
-  console.log(`[${SITE_TYPE}坪単価] 面積:`, area, '㎡');
+  // 賃貸の場合、価格要素は賃料（円単位）なので万円として扱わない
+  const price = RENTAL_MODE ? null : parsePrice(priceText);
+  const area = parseArea(areaText);
 
-  // 単価表示要素を作成
-  const unitPriceDiv = document.createElement('div');
+  console.log(`[${SITE_TYPE}坪単価] 価格(万円):`, price);
+  console.log(`[${SITE_TYPE}坪単価] 面積(㎡):`, area);
 
-  // テーブル内の場合はコンパクトなスタイルを適用
-  const isInTable = priceElement.closest('table') !== null;
-  if (isInTable) {
-    unitPriceDiv.className = 'suumo-unit-price suumo-unit-price--compact';
-  } else {
-    unitPriceDiv.className = 'suumo-unit-price';
+  const target = SITE_ADAPTER.getBadgeTarget(priceElement);
+  if (!target) {
+    console.log(`[${SITE_TYPE}坪単価] 単価表示の挿入位置が見つかりません`);
+    return;
   }
 
-  if (price && area && price > 0 && area > 0) {
-    // キャッシュキーを生成
-    const cacheKey = `${price}_${area}`;
-
-    // キャッシュから取得、なければ計算
-    let tsuboPrice, heiheiPrice;
-    if (calculationCache.has(cacheKey)) {
-      const cached = calculationCache.get(cacheKey);
-      tsuboPrice = cached.tsuboPrice;
-      heiheiPrice = cached.heiheiPrice;
-      console.log(`[${SITE_TYPE}坪単価] キャッシュから取得 - 坪単価:`, tsuboPrice, '万円/坪, 平米単価:', heiheiPrice, '万円/㎡');
-    } else {
-      tsuboPrice = calculateTsuboPrice(price, area);
-      heiheiPrice = calculateHeiheiPrice(price, area);
-      calculationCache.set(cacheKey, { tsuboPrice, heiheiPrice });
-      console.log(`[${SITE_TYPE}坪単価] 計算結果 - 坪単価:`, tsuboPrice, '万円/坪, 平米単価:', heiheiPrice, '万円/㎡');
+  // 土地・一戸建ての場合は土地面積・建物面積で計算
+  const landBuildingAreas = RENTAL_MODE ? null : getLandBuildingAreas(element);
+
+  // 統計・色分け用の単価（計算不可の場合はnull）
+  let unitPriceDiv;
+  let record = null;
+  if (landBuildingAreas) {
+    const prices = price.status === 'ok' ? calculateLandBuildingPrices(price, landBuildingAreas) : null;
+    unitPriceDiv = createLandBuildingBadge(prices, landBuildingAreas, target.compact, describeUnavailable(price, null));
+    if (prices && prices.landTsuboPrice) {
+      record = { land: true, tsuboPrice: rangeMidpoint(prices.landTsuboPrice), heiheiPrice: null };
     }
-
-    unitPriceDiv.innerHTML = `
-      <span class="unit-price-label">坪単価:</span>
-      <span class="unit-price-value">${tsuboPrice.toLocaleString()}万円</span>
-      <span class="unit-price-separator">|</span>
-      <span class="unit-price-label">平米単価:</span>
-      <span class="unit-price-value">${heiheiPrice.toLocaleString()}万円</span>
-    `;
+  } else if (RENTAL_MODE) {
+    const rentPrices = getRentUnitPrices(SITE_ADAPTER.extractRentText(element), SITE_ADAPTER.extractFeeText(element), area);
+    if (!rentPrices) {
+      console.log(`[${SITE_TYPE}坪単価] 計算不可 - 賃料または面積が不正`);
+    }
+    unitPriceDiv = createRentUnitPriceBadge(rentPrices, target.compact);
+    if (rentPrices) {
+      record = { land: false, tsuboPrice: rentPrices.rentTsuboPrice, heiheiPrice: rentPrices.rentHeiheiPrice };
+    }
+  } else if (price.status === 'ok' && area.status === 'ok') {
+    const unitPrices = getUnitPrices(price, area);
+    unitPriceDiv = createUnitPriceBadge(unitPrices, target.compact);
+    record = {
+      land: false,
+      tsuboPrice: rangeMidpoint(unitPrices.tsuboPrice),
+      heiheiPrice: rangeMidpoint(unitPrices.heiheiPrice)
+    };
   } else {
-    console.log(`[${SITE_TYPE}坪単価] 計算不可 - 価格または面積が不正`);
-    unitPriceDiv.innerHTML = `
-      <span class="unit-price-label">坪単価:</span>
-      <span class="unit-price-na">計算不可</span>
-      <span class="unit-price-separator">|</span>
-      <span class="unit-price-label">平米単価:</span>
-      <span class="unit-price-na">計算不可</span>
-    `;
+    const reason = describeUnavailable(price, area);
+    console.log(`[${SITE_TYPE}坪単価] 計算不可 - ${reason}`);
+    unitPriceDiv = createUnitPriceBadge(null, target.compact, reason);
   }
-
-  // 既存の単価表示があれば削除
-  const existingInParent = priceElement.parentElement?.querySelector('.suumo-unit-price');
-  if (existingInParent) {
-    existingInParent.remove();
+  if (record && !record.land) {
+    record.valuation = extractValuationFeatures(element, area);
   }
-  const existingInElement = priceElement.querySelector('.suumo-unit-price');
-  if (existingInElement) {
-    existingInElement.remove();
+  if (record && !RENTAL_MODE) {
+    const areaRange = landBuildingAreas ? landBuildingAreas.landArea : area;
+    record.listing = createListingSnapshot(
+      SITE_ADAPTER.extractUrl(element, window.location.href),
+      SITE_ADAPTER.extractName(element),
+      SITE_ADAPTER.extractAddress(element),
+      price,
+      areaRange,
+      record.tsuboPrice,
+      {
+        floor: landBuildingAreas ? null : extractCardFloor(element.textContent),
+        buildingAge: record.valuation ? record.valuation.buildingAge : null,
+        walkMinutes: record.valuation ? record.valuation.walkMinutes : null
+      }
+    );
+  }
+  cardUnitPrices.set(element, record && { ...record, badge: unitPriceDiv });
+  if (unitPriceDiv) {
+    applyPropertyFlags(unitPriceDiv, evaluatePropertyFlags(createCardFacts(element.textContent, new Date())));
+  }
+  if (unitPriceDiv && record && record.listing) {
+    applyWatchButton(unitPriceDiv, record.listing.listingKey, () => createWatchlistItem(record.listing, record.heiheiPrice));
   }
 
-  // テーブル内の場合は価格要素（td）の中に追加
-  if (isInTable) {
-    priceElement.appendChild(unitPriceDiv);
-    console.log(`[${SITE_TYPE}坪単価] 単価表示をテーブル内に挿入しました`);
+  if (!unitPriceDiv) {
+    console.log(`[${SITE_TYPE}坪単価] 表示する単価が設定で無効になっています`);
+  } else if (!insertUnitPriceBadge(unitPriceDiv, target)) {
+    console.log(`[${SITE_TYPE}坪単価] 価格要素の親要素が見つかりません`);
+    return;
   } else {
-    // 通常の場合は価格要素の後に挿入
-    const priceParent = priceElement.parentElement;
-    if (priceParent) {
-      if (priceElement.nextSibling) {
-        priceParent.insertBefore(unitPriceDiv, priceElement.nextSibling);
-      } else {
-        priceParent.appendChild(unitPriceDiv);
-      }
-      console.log(`[${SITE_TYPE}坪単価] 単価表示を挿入しました`);
-    } else {
-      console.log(`[${SITE_TYPE}坪単価] 価格要素の親要素が見つかりません`);
-      return;
-    }
+    console.log(`[${SITE_TYPE}坪単価] 単価表示を挿入しました`);
   }
 
   // 処理済みとしてマーク
@@ -393,275 +587,1568 @@ function processProperty(element) {
 }
 
 /**
- * ページ内のすべての物件を処理
+ * 詳細ページの追加情報を取得（再処理のたびに解析し直さないよう保持）
+ * @returns {Object} - parseDetailPage()の結果
  */
-function processAllProperties() {
-  console.log(`[${SITE_TYPE}坪単価] processAllProperties開始`);
+function getDetailPageInfo() {
+  if (!detailPageInfo) {
+    detailPageInfo = SITE_ADAPTER.parseDetailPage(document);
+  }
+  return detailPageInfo;
+}
 
-  // 物件カード（一覧ページ）をサイトごとに検索
-  let propertyCards = [];
-  if (SITE_TYPE === 'REHOUSE') {
-    propertyCards = document.querySelectorAll('.property-index-card');
-  } else if (SITE_TYPE === 'ATHOME') {
-    propertyCards = document.querySelectorAll('.card-box-inner__detail');
-  } else if (SITE_TYPE === 'HOMES') {
-    // ホームズ: 通常の一覧ページ - td.priceとtd.spaceの両方を持つtableを物件カードとして扱う
-    const allTables = document.querySelectorAll('.bukkenSpec table');
-    const standardCards = Array.from(allTables).filter(table =>
-      table.querySelector('td.price') && table.querySelector('td.space')
-    );
+/**
+ * 単価表示に注意点（旧耐震など）のチップを表示（表示済みのチップは置き換える）
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {PropertyFlagRule[]} flags - evaluatePropertyFlags()の結果
+ */
+function applyPropertyFlags(badge, flags) {
+  badge.querySelector('.unit-price-flags')?.remove();
+  if (flags.length === 0) {
+    return;
+  }
+  const container = document.createElement('span');
+  container.className = 'unit-price-flags';
+  for (const rule of flags) {
+    const chip = document.createElement('span');
+    chip.className = `unit-price-flag unit-price-flag--${rule.level}`;
+    chip.textContent = `⚠ ${rule.label}`;
+    chip.title = rule.description;
+    container.appendChild(chip);
+  }
+  badge.appendChild(container);
+}
 
-    // ホームズ: グルーピング一覧ページ - .unitSummary内のtr要素を物件カードとして扱う
-    const groupedCards = document.querySelectorAll('.unitSummary tbody tr');
+/**
+ * 詳細ページの単価表示に、追加情報（築年月・構造・階数・特記事項など）から判定した注意点を表示
+ * @param {HTMLElement[]} badges - 挿入した単価表示要素
+ */
+function updateDetailPropertyFlags(badges) {
+  const flags = evaluatePropertyFlags(createDetailFacts(getDetailPageInfo(), new Date(), getDetailPageText()));
+  badges.forEach(badge => applyPropertyFlags(badge, flags));
+}
 
-    propertyCards = [...standardCards, ...groupedCards];
-  } else {
-    propertyCards = document.querySelectorAll('.cassetteitem, .dottable--cassette, [class*="cassette"]');
+/**
+ * 詳細ページ全体の文字列を取得（特徴・設備の欄の免震・制震の記載を探すため、拡張機能が挿入した要素は除く）
+ * ページ全体の複製は重いため、再処理のたびに取得し直さないよう保持する
+ * @returns {string}
+ */
+function getDetailPageText() {
+  if (!document.body) {
+    return '';
   }
+  if (detailPageText === null) {
+    const body = document.body.cloneNode(true);
+    body.querySelectorAll('.suumo-unit-price, .fudosan-building-panel, .fudosan-loan-panel').forEach(element => element.remove());
+    detailPageText = body.textContent;
+  }
+  return detailPageText;
+}
 
-  console.log(`[${SITE_TYPE}坪単価] 物件カード数:`, propertyCards.length);
-  propertyCards.forEach(card => {
-    processProperty(card);
-  });
-
-  // 詳細ページ: 物件カードがない場合
-  if (propertyCards.length === 0) {
-    console.log(`[${SITE_TYPE}坪単価] 詳細ページとして処理`);
-    console.log(`[${SITE_TYPE}坪単価] URL:`, window.location.href);
-
-    // 物件概要テーブルから価格と面積を取得
-    let detailPrice = null;
-    let detailArea = null;
-    let priceElement = null;
-
-    if (SITE_TYPE === 'REHOUSE') {
-      // 三井のリハウス詳細ページ
-      // 価格要素を取得
-      priceElement = document.querySelector('.text-price-regular.price-size') ||
-                     document.querySelector('.building-price-info');
-
-      // 面積要素を取得
-      const areaElement = document.querySelector('.building-info');
-
-      if (priceElement && areaElement) {
-        detailPrice = extractNumber(priceElement.textContent);
-        detailArea = extractNumber(areaElement.textContent);
-        console.log(`[${SITE_TYPE}坪単価] 詳細ページから取得 - 価格:`, detailPrice, '万円, 面積:', detailArea, '㎡');
-      }
-    } else if (SITE_TYPE === 'HOMES') {
-      // ホームズ詳細ページ
-      // 価格要素を取得
-      priceElement = document.querySelector('[data-component="price"]');
-
-      // 面積要素を取得
-      const areaElement = document.querySelector('[data-component="occupiedArea"]');
-
-      if (priceElement && areaElement) {
-        detailPrice = extractNumber(priceElement.textContent);
-        detailArea = extractNumber(areaElement.textContent);
-        console.log(`[${SITE_TYPE}坪単価] 詳細ページから取得 - 価格:`, detailPrice, '万円, 面積:', detailArea, '㎡');
-      }
-    } else if (SITE_TYPE === 'ATHOME') {
-      // アットホーム詳細ページ
-      // 価格要素を取得
-      priceElement = document.querySelector('.price-main');
-
-      // 面積要素を取得（テーブルから）
-      let areaElement = null;
-      const tables = document.querySelectorAll('table');
-      for (const table of tables) {
-        const rows = table.querySelectorAll('tr');
-        for (const row of rows) {
-          const th = row.querySelector('th');
-          const td = row.querySelector('td');
-          if (th && th.textContent.trim() === '専有面積' && td) {
-            areaElement = td;
-            break;
-          }
-        }
-        if (areaElement) break;
-      }
+/**
+ * 円単位の月額を万円単位で整形（「16.8万円」）
+ * @param {number} yen - 金額（円）
+ * @returns {string}
+ */
+function formatMonthlyManYen(yen) {
+  return `${(yen / 10000).toFixed(1)}万円`;
+}
 
-      if (priceElement && areaElement) {
-        detailPrice = extractNumber(priceElement.textContent);
-        detailArea = extractNumber(areaElement.textContent);
-        console.log(`[${SITE_TYPE}坪単価] 詳細ページから取得 - 価格:`, detailPrice, '万円, 面積:', detailArea, '㎡');
-      }
-    } else {
-      // SUUMO詳細ページ（テーブル形式）
-      const tables = document.querySelectorAll('table');
-      console.log(`[${SITE_TYPE}坪単価] テーブル数:`, tables.length);
-
-      for (const table of tables) {
-        const rows = table.querySelectorAll('tr');
-        let priceRow = null;
-        let areaRow = null;
-
-        for (const row of rows) {
-          const th = row.querySelector('th');
-          if (th && th.textContent.includes('価格')) {
-            priceRow = row;
-          }
-          if (th && th.textContent.includes('専有面積')) {
-            areaRow = row;
-          }
-        }
+/**
+ * 単価表示（通常表示のみ）に管理費・修繕積立金の㎡あたりと、ローンを含めた毎月の支払いを表示
+ * （「管理費等 412円/㎡ | 月々 約16.8万円」、内訳はツールチップ）
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {RunningCosts} costs - calculateRunningCosts()の結果
+ */
+function applyRunningCosts(badge, costs) {
+  if (badge.classList.contains('suumo-unit-price--compact')) {
+    return;
+  }
+  const items = [];
+  if (costs.runningCostPerSqm !== null) {
+    items.push(`管理費等 ${costs.runningCostPerSqm.toLocaleString()}円/㎡`);
+  }
+  if (costs.totalMonthlyCost !== null) {
+    items.push(`月々 約${formatMonthlyManYen(costs.totalMonthlyCost)}`);
+  }
+  if (items.length === 0) {
+    return;
+  }
+
+  const { interestRate, years, downPaymentPercent } = getLoanConditions(currentSettings);
+  const breakdown = [
+    `管理費 ${costs.managementFee === null ? '-' : `${costs.managementFee.toLocaleString()}円`}`,
+    `修繕積立金 ${costs.repairFund === null ? '-' : `${costs.repairFund.toLocaleString()}円`}`
+  ];
+  if (costs.loanPayment !== null) {
+    breakdown.unshift(`ローン返済 ${costs.loanPayment.toLocaleString()}円（借入${Math.round(costs.loanAmount / 10000).toLocaleString()}万円・金利${interestRate}%・${years}年・頭金${downPaymentPercent}%）`);
+  }
+
+  const element = document.createElement('span');
+  element.className = 'unit-price-running-cost';
+  element.textContent = items.join(' | ');
+  element.title = `毎月の支払いの目安（${LOAN_METHOD_LABELS[currentSettings.loanMethod]}・${LOAN_RATE_TYPE_LABELS[currentSettings.loanRateType]}の初回の返済額、ローンの条件は設定画面で変更できます）\n${breakdown.join('\n')}`;
+  badge.appendChild(element);
+}
+
+/**
+ * 単価表示（通常表示のみ）に購入時の諸費用を含めた総取得費用と実質坪単価を表示
+ * （「総取得費用 約5,312万円（諸費用 +332万円） | 実質坪単価 290万円」、内訳はツールチップ）
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {AcquisitionCosts} costs - calculateAcquisitionCosts()の結果
+ * @param {?number} area - 専有面積（㎡、土地・一戸建てはnull）
+ */
+function applyAcquisitionCosts(badge, costs, area) {
+  if (badge.classList.contains('suumo-unit-price--compact')) {
+    return;
+  }
+  const toManYen = (yen) => `${Math.round(yen / 10000).toLocaleString()}万円`;
+  const items = [`総取得費用 約${toManYen(costs.total)}（諸費用 +${toManYen(costs.overhead)}）`];
+  if (area) {
+    const unit = currentSettings.priceUnit === 'yen' ? '円' : '万円';
+    items.push(`実質坪単価 ${formatUnitPriceNumber(calculateEffectiveTsuboPrice(costs, area))}${unit}`);
+  }
+  const optional = (yen) => yen === null ? '-' : `${yen.toLocaleString()}円`;
+  const breakdown = [
+    `仲介手数料 ${costs.brokerageFee.toLocaleString()}円${costs.brokerageFee === 0 ? '（売主・代理）' : ''}`,
+    `登記費用 ${costs.registrationCost.toLocaleString()}円`,
+    `不動産取得税 ${costs.acquisitionTax.toLocaleString()}円`,
+    `印紙税 ${costs.stampDuty.toLocaleString()}円`,
+    `修繕積立基金 ${optional(costs.repairFundInitial)}`,
+    `その他の諸費用 ${optional(costs.otherFees)}`
+  ];
+
+  const element = document.createElement('span');
+  element.className = 'unit-price-acquisition-cost';
+  element.textContent = items.join(' | ');
+  element.title = `購入時の諸費用の概算（固定資産税評価額を価格の7割として計算、取引態様がわからない場合は仲介とみなす）\n${breakdown.join('\n')}`;
+  badge.appendChild(element);
+}
+
+/**
+ * 詳細ページの単価表示に総取得費用を表示
+ * @param {HTMLElement[]} badges - 挿入した単価表示要素
+ * @param {number} price - 物件価格（万円）
+ * @param {?number} area - 専有面積（㎡、土地・一戸建てはnull）
+ */
+function updateAcquisitionCosts(badges, price, area) {
+  const loanAmount = calculateLoanAmount(price, getLoanConditions(currentSettings));
+  const costs = calculateAcquisitionCosts(price, getDetailPageInfo(), loanAmount);
+  badges.forEach(badge => applyAcquisitionCosts(badge, costs, area));
+}
+
+/**
+ * 単価表示（通常表示のみ）に住宅ローン控除の判定を表示
+ * （「住宅ローン控除 対象（上限3,000万円・10年、初年度 約21万円）」、判定の理由はツールチップ）
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {LoanDeductionResult} result - evaluateLoanDeduction()の結果
+ */
+function applyLoanDeduction(badge, result) {
+  if (badge.classList.contains('suumo-unit-price--compact')) {
+    return;
+  }
+  const icons = { eligible: '✓', conditional: '?', ineligible: '✕', unknown: '?' };
+  let text = `${icons[result.status]} 住宅ローン控除 ${LOAN_DEDUCTION_STATUS_LABELS[result.status]}`;
+  if (result.borrowingLimit > 0) {
+    const details = [`上限${result.borrowingLimit.toLocaleString()}万円`, `${result.years}年`];
+    if (result.firstYearDeduction !== null) {
+      details.push(`初年度 約${Math.round(result.firstYearDeduction / 10000).toLocaleString()}万円`);
+    }
+    text += `（${details.join('・')}）`;
+  }
+
+  const element = document.createElement('span');
+  element.className = `unit-price-loan-deduction unit-price-loan-deduction--${result.status}`;
+  element.textContent = text;
+  element.title = `住宅ローン控除の目安（2024〜2025年入居、初年度の控除額は年末残高を借入額として計算）\n${result.reasons.map(reason => `・${reason}`).join('\n')}`;
+  badge.appendChild(element);
+}
+
+/**
+ * 詳細ページの単価表示に住宅ローン控除の判定を表示
+ * @param {HTMLElement[]} badges - 挿入した単価表示要素
+ * @param {number} price - 物件価格（万円）
+ * @param {?number} area - 床面積（㎡、範囲の場合は下限）
+ * @param {boolean} registeredArea - 面積が登記簿の面積かどうか
+ */
+function updateLoanDeduction(badges, price, area, registeredArea) {
+  const now = new Date();
+  const detail = getDetailPageInfo();
+  const result = evaluateLoanDeduction({
+    area,
+    registeredArea,
+    newBuild: isNewBuildListing(createNewBuildText(detail)),
+    builtDate: createDetailFacts(detail, now).builtDate,
+    energyText: createEnergyText(detail),
+    loanAmount: calculateLoanAmount(price, getLoanConditions(currentSettings))
+  });
+  badges.forEach(badge => applyLoanDeduction(badge, result));
+}
+
+/**
+ * 単価表示（通常表示のみ）に修繕積立金の水準を表示
+ * （「修繕積立金 B（182円/㎡・目安 170円以上）」、比較した目安と判定の理由はツールチップ）
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {RepairFundEvaluation} evaluation - evaluateRepairFund()の結果
+ */
+function applyRepairFundGrade(badge, evaluation) {
+  if (badge.classList.contains('suumo-unit-price--compact')) {
+    return;
+  }
+  const { grade, perSqm, band, expectedLow, expectedAverage, reasons } = evaluation;
+  const element = document.createElement('span');
+  element.className = `unit-price-repair-fund unit-price-repair-fund--${grade.toLowerCase()}`;
+  element.textContent = `修繕積立金 ${grade}（${perSqm.toLocaleString()}円/㎡・目安 ${expectedLow}円以上）`;
+  element.title = [
+    `修繕積立金の水準: ${REPAIR_FUND_GRADE_LABELS[grade]}`,
+    `国土交通省ガイドラインの目安（${band.label}）: ${band.low}〜${band.high}円/㎡・月（平均${band.average}円）`,
+    `築年数を考慮した比較の基準: 下限${expectedLow}円・平均${expectedAverage}円`,
+    ...reasons.map(reason => `・${reason}`)
+  ].join('\n');
+  badge.appendChild(element);
+}
+
+/**
+ * 詳細ページの単価表示に修繕積立金の水準を表示
+ * @param {HTMLElement[]} badges - 挿入した単価表示要素
+ * @param {?number} area - 専有面積（㎡）
+ */
+function updateRepairFundGrade(badges, area) {
+  const now = new Date();
+  const detail = getDetailPageInfo();
+  const builtDate = createDetailFacts(detail, now).builtDate;
+  const evaluation = evaluateRepairFund({
+    repairFund: extractYen(detail.repairFund),
+    area,
+    buildingFloorCount: parseBuildingFloors(detail.buildingFloors),
+    totalUnits: parseUnitCount(detail.totalUnits),
+    buildingAge: builtDate ? calculateBuildingAge(builtDate, now) : null
+  });
+  if (evaluation) {
+    badges.forEach(badge => applyRepairFundGrade(badge, evaluation));
+  }
+}
+
+/**
+ * 詳細ページの価格と面積から単価を表示
+ */
+function processDetailPage() {
+  console.log(`[${SITE_TYPE}坪単価] 詳細ページとして処理`);
+  console.log(`[${SITE_TYPE}坪単価] URL:`, window.location.href);
+
+  const priceElement = SITE_ADAPTER.findDetailPriceElement(document);
+
+  // 土地・一戸建ての詳細ページ
+  const landBuildingAreas = RENTAL_MODE || !priceElement ? null : getLandBuildingAreas(document);
+  if (landBuildingAreas) {
+    processLandBuildingDetailPage(priceElement, landBuildingAreas);
+    return;
+  }
+
+  const areaElement = SITE_ADAPTER.findDetailAreaElement(document);
+
+  if (!priceElement || !areaElement) {
+    console.log(`[${SITE_TYPE}坪単価] 詳細ページで価格・面積が取得できませんでした`);
+    return;
+  }
+
+  if (RENTAL_MODE) {
+    processRentalDetailPage(priceElement, areaElement);
+    return;
+  }
+
+  const detailPrice = parsePrice(priceElement.textContent);
+  const detailArea = parseArea(areaElement.textContent);
+  console.log(`[${SITE_TYPE}坪単価] 詳細ページから取得 - 価格(万円):`, detailPrice, '面積(㎡):', detailArea);
+
+  // 価格未定・面積未定の場合もその旨を表示
+  const unitPrices = detailPrice.status === 'ok' && detailArea.status === 'ok'
+    ? getUnitPrices(detailPrice, detailArea)
+    : null;
+  if (!unitPrices && detailPrice.status !== 'unknown' && detailArea.status !== 'unknown') {
+    console.log(`[${SITE_TYPE}坪単価] 詳細ページで価格・面積が取得できませんでした`);
+    return;
+  }
+  const unavailableText = describeUnavailable(detailPrice, detailArea);
+
+  // 各箇所に表示
+  const targets = SITE_ADAPTER.getDetailBadgeTargets(document, priceElement);
+  const badges = [];
+  for (const target of targets) {
+    const unitPriceDiv = createUnitPriceBadge(unitPrices, target.compact, unavailableText);
+    if (unitPriceDiv && insertUnitPriceBadge(unitPriceDiv, target)) {
+      console.log(`[${SITE_TYPE}坪単価] 単価表示を挿入`, target.element);
+      badges.push(unitPriceDiv);
+    }
+  }
+
+  if (badges.length > 0) {
+    updateDetailPropertyFlags(badges);
+    const detail = getDetailPageInfo();
+    const costs = calculateRunningCosts(
+      detailPrice.status === 'ok' ? rangeMidpoint(detailPrice) : null,
+      detailArea.status === 'ok' ? rangeMidpoint(detailArea) : null,
+      extractYen(detail.managementFee),
+      extractYen(detail.repairFund),
+      getLoanConditions(currentSettings)
+    );
+    if (costs) {
+      badges.forEach(badge => applyRunningCosts(badge, costs));
+    }
+    updateRepairFundGrade(badges, detailArea.status === 'ok' ? rangeMidpoint(detailArea) : null);
+    if (detailPrice.status === 'ok') {
+      updateAcquisitionCosts(badges, rangeMidpoint(detailPrice), detailArea.status === 'ok' ? rangeMidpoint(detailArea) : null);
+      updateLoanDeduction(
+        badges,
+        rangeMidpoint(detailPrice),
+        detailArea.status === 'ok' ? detailArea.min : null,
+        /登記|内法/.test(areaElement.textContent)
+      );
+      updateLoanPanel(badges, rangeMidpoint(detailPrice));
+    }
+  }
+
+  if (unitPrices) {
+    const createSnapshot = () => {
+      const detail = getDetailPageInfo();
+      return createListingSnapshot(
+        window.location.href,
+        detail.nameDetail,
+        SITE_ADAPTER.extractDetailAddress(document),
+        detailPrice,
+        detailArea,
+        rangeMidpoint(unitPrices.tsuboPrice),
+        { floor: parseFloor(detail.floor), direction: detail.direction.trim() }
+      );
+    };
+    updateDetailHistory(badges, createSnapshot);
+    updateDetailWatchButtons(badges, createSnapshot, rangeMidpoint(unitPrices.heiheiPrice));
+  }
+
+  console.log(`[${SITE_TYPE}坪単価] 詳細ページ処理完了。単価表示数:`, document.querySelectorAll('.suumo-unit-price').length);
+}
+
+/**
+ * 土地・一戸建ての詳細ページの価格と土地面積・建物面積から坪単価を表示
+ * @param {Element} priceElement - 価格要素
+ * @param {Object} areas - getLandBuildingAreas()の結果
+ */
+function processLandBuildingDetailPage(priceElement, areas) {
+  const detailPrice = parsePrice(priceElement.textContent);
+  if (detailPrice.status === 'invalid') {
+    console.log(`[${SITE_TYPE}坪単価] 詳細ページで価格が取得できませんでした`);
+    return;
+  }
+
+  const prices = detailPrice.status === 'ok' ? calculateLandBuildingPrices(detailPrice, areas) : null;
+  console.log(`[${SITE_TYPE}坪単価] 土地・建物坪単価:`, prices);
+
+  const targets = SITE_ADAPTER.getDetailBadgeTargets(document, priceElement);
+  const badges = [];
+  for (const target of targets) {
+    const unitPriceDiv = createLandBuildingBadge(prices, areas, target.compact, describeUnavailable(detailPrice, null));
+    if (unitPriceDiv && insertUnitPriceBadge(unitPriceDiv, target)) {
+      console.log(`[${SITE_TYPE}坪単価] 単価表示を挿入`, target.element);
+      badges.push(unitPriceDiv);
+    }
+  }
+
+  updateDetailPropertyFlags(badges);
+  if (detailPrice.status === 'ok') {
+    updateAcquisitionCosts(badges, rangeMidpoint(detailPrice), null);
+    // 土地のみの物件は建物面積がないため判定しない
+    if (areas.buildingArea) {
+      updateLoanDeduction(badges, rangeMidpoint(detailPrice), areas.buildingArea.min, true);
+    }
+    updateLoanPanel(badges, rangeMidpoint(detailPrice));
+  }
+
+  if (prices && prices.landTsuboPrice) {
+    const createSnapshot = () => {
+      const detail = getDetailPageInfo();
+      return createListingSnapshot(
+        window.location.href,
+        detail.nameDetail,
+        SITE_ADAPTER.extractDetailAddress(document),
+        detailPrice,
+        areas.landArea,
+        rangeMidpoint(prices.landTsuboPrice),
+        { floor: parseFloor(detail.floor), direction: detail.direction.trim() }
+      );
+    };
+    updateDetailHistory(badges, createSnapshot);
+    updateDetailWatchButtons(badges, createSnapshot, null);
+  }
+}
+
+/**
+ * 賃貸の詳細ページの賃料・管理費と面積から月額単価を表示
+ * @param {Element} rentElement - 賃料要素
+ * @param {Element} areaElement - 面積要素
+ */
+function processRentalDetailPage(rentElement, areaElement) {
+  const detailArea = parseArea(areaElement.textContent);
+  const rentPrices = getRentUnitPrices(
+    SITE_ADAPTER.extractDetailRentText(document),
+    SITE_ADAPTER.extractDetailFeeText(document),
+    detailArea
+  );
+
+  if (!rentPrices) {
+    console.log(`[${SITE_TYPE}坪単価] 詳細ページで賃料・面積が取得できませんでした`);
+    return;
+  }
+
+  const targets = SITE_ADAPTER.getDetailBadgeTargets(document, rentElement);
+  const badges = [];
+  for (const target of targets) {
+    const unitPriceDiv = createRentUnitPriceBadge(rentPrices, target.compact);
+    if (unitPriceDiv && insertUnitPriceBadge(unitPriceDiv, target)) {
+      console.log(`[${SITE_TYPE}坪単価] 単価表示を挿入`, target.element);
+      badges.push(unitPriceDiv);
+    }
+  }
+  updateDetailPropertyFlags(badges);
+}
+
+/**
+ * ページ内のすべての物件を処理
+ */
+function processAllProperties() {
+  console.log(`[${SITE_TYPE}坪単価] processAllProperties開始`);
+
+  const propertyCards = SITE_ADAPTER.findCards(document);
+
+  console.log(`[${SITE_TYPE}坪単価] 物件カード数:`, propertyCards.length);
+  propertyCards.forEach(card => {
+    processProperty(card);
+  });
+
+  // 追加された物件も含めて色分け・並べ替え・絞り込み・価格履歴の表示をやり直す
+  updateRelativeBadges(propertyCards);
+  updateValuationBadges(propertyCards);
+  applySortAndFilter(propertyCards);
+  updateListingHistory(propertyCards);
+
+  // 詳細ページ: 物件カードがない場合
+  if (propertyCards.length === 0) {
+    if (SITE_ADAPTER.isDetailPage(document)) {
+      processDetailPage();
+    }
+  } else {
+    console.log(`[${SITE_TYPE}坪単価] 一覧ページとして処理 cards:`, propertyCards.length);
+  }
+}
+
+/**
+ * 昇順に並んだ数値のパーセンタイルを計算（線形補間）
+ * @param {number[]} sorted - 昇順の数値（1つ以上）
+ * @param {number} ratio - 0〜1（0.5で中央値）
+ * @returns {number}
+ */
+function percentile(sorted, ratio) {
+  const position = (sorted.length - 1) * ratio;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * 数値の最小値・中央値・平均値・最大値を計算
+ * @param {number[]} values - 数値
+ * @returns {{min: number, median: number, mean: number, max: number}|null} - 数値がない場合はnull
+ */
+function summarizeValues(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    min: sorted[0],
+    median: percentile(sorted, 0.5),
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * 表示中の一覧ページの単価の統計を作成（ポップアップ表示用、値は表示設定で整形済み）
+ * @returns {Object} - 物件数・計算不可の件数・坪単価と平米単価の最小/中央/平均/最大
+ */
+function computePageStats() {
+  const cards = SITE_ADAPTER.findCards(document).filter(card => cardUnitPrices.has(card));
+  const results = cards.map(card => cardUnitPrices.get(card));
+  const parsed = results.filter(result => result !== null);
+  const isLand = parsed.some(result => result.land);
+
+  // 賃貸は円/月、売買は表示設定の単位（万円・円）
+  const formatValue = RENTAL_MODE
+    ? (value) => `${Math.round(value).toLocaleString()}円`
+    : (value) => formatPriceRange({ min: value, max: value });
+  const formatSummary = (summary) => summary && {
+    min: formatValue(summary.min),
+    median: formatValue(summary.median),
+    mean: formatValue(summary.mean),
+    max: formatValue(summary.max)
+  };
+
+  const metrics = [{
+    label: isLand ? '土地坪単価' : (RENTAL_MODE ? '坪単価(月額)' : '坪単価'),
+    summary: formatSummary(summarizeValues(parsed.map(result => result.tsuboPrice)))
+  }];
+  if (!isLand) {
+    metrics.push({
+      label: RENTAL_MODE ? '平米単価(月額)' : '平米単価',
+      summary: formatSummary(summarizeValues(parsed.map(result => result.heiheiPrice)))
+    });
+  }
+
+  return {
+    site: SITE_ADAPTER.label,
+    enabled: isSiteEnabled(currentSettings, SITE_TYPE),
+    isListPage: SITE_ADAPTER.findCards(document).length > 0,
+    cardCount: cards.length,
+    parsedCount: parsed.length,
+    unavailableCount: results.length - parsed.length,
+    metrics
+  };
+}
+
+/**
+ * 中央値との差を表示用の文字列に整形（「−12% vs 中央値」）
+ * @param {number} value - 単価
+ * @param {number} median - 中央値
+ * @returns {string}
+ */
+function formatRelativeToMedian(value, median) {
+  const percent = Math.round((value / median - 1) * 100);
+  const sign = percent > 0 ? '+' : (percent < 0 ? '−' : '±');
+  return `${sign}${Math.abs(percent)}% vs 中央値`;
+}
+
+/**
+ * 単価表示に四分位の色と中央値との差を設定
+ * 無限スクロールで何度も呼ばれるため、変化がない場合はDOMを変更しない
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {number} quartile - 四分位（0: 最も安い〜3: 最も高い）、-1の場合は色分けしない
+ * @param {string|null} relativeText - 中央値との差、nullの場合は表示しない
+ */
+function applyRelativeBadge(badge, quartile, relativeText) {
+  QUARTILE_CLASSES.forEach((className, index) => {
+    if (badge.classList.contains(className) !== (index === quartile)) {
+      badge.classList.toggle(className, index === quartile);
+    }
+  });
+
+  let indicator = badge.querySelector('.unit-price-relative');
+  if (relativeText === null) {
+    indicator?.remove();
+    return;
+  }
+  if (!indicator) {
+    indicator = document.createElement('span');
+    indicator.className = 'unit-price-relative';
+    badge.appendChild(indicator);
+  }
+  if (indicator.textContent !== relativeText) {
+    indicator.textContent = relativeText;
+  }
+}
+
+/**
+ * 一覧ページの単価表示を、同じページの物件の坪単価の四分位で色分けし中央値との差を表示
+ * 坪単価と平米単価は比例するため、坪単価だけで判定する
+ * @param {Element[]} cards - 物件カード
+ */
+function updateRelativeBadges(cards) {
+  const records = cards
+    .map(card => cardUnitPrices.get(card))
+    .filter(record => record && record.badge);
+  const values = records.map(record => record.tsuboPrice).sort((a, b) => a - b);
+
+  if (values.length < MIN_CARDS_FOR_RELATIVE) {
+    records.forEach(record => applyRelativeBadge(record.badge, -1, null));
+    return;
+  }
+
+  const quartiles = [percentile(values, 0.25), percentile(values, 0.5), percentile(values, 0.75)];
+  const median = quartiles[1];
+  for (const record of records) {
+    const quartile = quartiles.filter(boundary => record.tsuboPrice > boundary).length;
+    applyRelativeBadge(record.badge, quartile, formatRelativeToMedian(record.tsuboPrice, median));
+  }
+}
+
+/**
+ * 物件カードから相場モデルの説明変数（築年数・駅徒歩分・専有面積）を取得
+ * @param {Element} card - 物件カード
+ * @param {ParsedRange} area - 専有面積（㎡）の解析結果
+ * @returns {ValuationFeatures}
+ */
+function extractValuationFeatures(card, area) {
+  const text = card.textContent;
+  return {
+    buildingAge: parseCardBuildingAge(text, new Date()),
+    walkMinutes: parseWalkMinutes(text),
+    area: area.status === 'ok' ? rangeMidpoint(area) : null
+  };
+}
+
+/**
+ * 坪単価を表示用の文字列に整形（売買は表示設定の単位、賃貸は円/坪/月）
+ * @param {number} value - 坪単価
+ * @returns {string}
+ */
+function formatValuationTsubo(value) {
+  if (RENTAL_MODE) {
+    return `${Math.round(value).toLocaleString()}円/坪/月`;
+  }
+  return `${formatPriceRange({ min: value, max: value })}/坪`;
+}
+
+/**
+ * 単価表示に相場モデルの推定坪単価と割安・割高を設定
+ * 無限スクロールで何度も呼ばれるため、変化がない場合はDOMを変更しない
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {?{text: string, title: string, cheap: boolean}} valuation - 表示内容、nullの場合は表示しない
+ */
+function applyValuationBadge(badge, valuation) {
+  let indicator = badge.querySelector('.unit-price-valuation');
+  if (valuation === null) {
+    indicator?.remove();
+    return;
+  }
+  if (!indicator) {
+    indicator = document.createElement('span');
+    indicator.className = 'unit-price-valuation';
+    badge.appendChild(indicator);
+  }
+  if (indicator.textContent !== valuation.text) {
+    indicator.textContent = valuation.text;
+  }
+  if (indicator.title !== valuation.title) {
+    indicator.title = valuation.title;
+  }
+  if (indicator.classList.contains('unit-price-valuation--cheap') !== valuation.cheap) {
+    indicator.classList.toggle('unit-price-valuation--cheap', valuation.cheap);
+  }
+}
+
+/**
+ * 記録済みの同じ市区町村の物件をバックグラウンドから取得し、ページを再処理して相場モデルに加える
+ * @param {ListingSnapshot[]} listings - 表示中の物件（問い合わせ済みとして記録する）
+ */
+async function requestValuationSamples(listings) {
+  listings.forEach(listing => requestedValuationKeys.add(listing.listingKey));
+  const samples = await sendRuntimeMessage({
+    type: 'findValuationSamples',
+    addresses: [...new Set(listings.map(listing => listing.address))]
+  });
+  if (!samples || samples.every(sample => historyValuationSamples.has(sample.listingKey))) {
+    return;
+  }
+  samples.forEach(({ listingKey, ...sample }) => historyValuationSamples.set(listingKey, sample));
+  if (isSiteEnabled(currentSettings, SITE_TYPE)) {
+    processAllProperties();
+  }
+}
+
+/**
+ * 一覧ページの物件の坪単価を築年数・駅徒歩分・専有面積で回帰し、単価表示に推定坪単価と割安・割高を表示
+ * 設定で有効な場合は価格履歴に記録済みの同じ市区町村の物件も回帰に使う
+ * @param {Element[]} cards - 物件カード
+ */
+function updateValuationBadges(cards) {
+  const records = cards
+    .map(card => cardUnitPrices.get(card))
+    .filter(record => record && record.badge && record.valuation);
+  const samples = records.map(record => ({ tsuboPrice: record.tsuboPrice, ...record.valuation }));
+
+  if (currentSettings.historyEnabled && currentSettings.valuationIncludeHistory && !RENTAL_MODE) {
+    const pageListings = records.map(record => record.listing).filter(Boolean);
+    const pageKeys = new Set(pageListings.map(listing => listing.listingKey));
+    // 表示中の物件と同じ住戸（他サイトの掲載を含む）は除く
+    for (const { listingKeys, ...sample } of historyValuationSamples.values()) {
+      if (!listingKeys.some(listingKey => pageKeys.has(listingKey))) {
+        samples.push(sample);
+      }
+    }
+    const pending = pageListings.filter(listing => !requestedValuationKeys.has(listing.listingKey));
+    if (pending.length > 0) {
+      requestValuationSamples(pending);
+    }
+  }
+
+  const model = fitValuationModel(samples);
+  const description = model && `築年数・駅徒歩・専有面積から推定した坪単価（${model.sampleCount}件で回帰、決定係数${model.rSquared.toFixed(2)}）\n` +
+    Object.entries(model.coefficients)
+      .map(([feature, coefficient]) => `${VALUATION_FEATURE_LABELS[feature]}: ${coefficient > 0 ? '+' : ''}${coefficient.toPrecision(3)}`)
+      .join('、');
+
+  for (const record of records) {
+    const predicted = model ? predictTsuboPrice(model, record.valuation) : null;
+    if (predicted === null) {
+      applyValuationBadge(record.badge, null);
+      continue;
+    }
+    const percent = Math.round((record.tsuboPrice / predicted - 1) * 100);
+    const judgement = percent < 0 ? `割安 −${-percent}%` : (percent > 0 ? `割高 +${percent}%` : '相場どおり ±0%');
+    const compact = record.badge.classList.contains('suumo-unit-price--compact');
+    applyValuationBadge(record.badge, {
+      text: compact ? judgement : `予測 ${formatValuationTsubo(predicted)} ${judgement}`,
+      title: `${description}\n予測 ${formatValuationTsubo(predicted)}`,
+      cheap: percent < 0
+    });
+  }
+}
+
+/**
+ * 並べ替え・絞り込みの対象（一覧の1件分の要素と単価）を取得
+ * 1件分の要素に複数の物件カードが含まれる場合は最初に単価を計算できたカードを使う
+ * @param {Element[]} cards - 物件カード
+ * @returns {Array<{element: Element, record: ?Object}>} - ページ上の順序
+ */
+function collectSortableItems(cards) {
+  const items = new Map();
+  for (const card of cards) {
+    const element = SITE_ADAPTER.getSortableElement(card);
+    if (!originalOrder.has(element)) {
+      originalOrder.set(element, originalOrder.size);
+    }
+    const record = cardUnitPrices.get(card) || null;
+    if (!items.has(element) || (!items.get(element).record && record)) {
+      items.set(element, { element, record });
+    }
+  }
+  return [...items.values()];
+}
+
+/**
+ * 並べ替えの比較関数を作成（単価を計算できない物件は常に末尾）
+ * @param {string} order - sortState.order
+ * @returns {function(Object, Object): number}
+ */
+function createSortComparator(order) {
+  const byOriginalOrder = (a, b) => originalOrder.get(a.element) - originalOrder.get(b.element);
+  if (order === 'default') {
+    return byOriginalOrder;
+  }
+
+  const key = order.startsWith('tsubo') ? 'tsuboPrice' : 'heiheiPrice';
+  const direction = order.endsWith('Asc') ? 1 : -1;
+  return (a, b) => {
+    const valueA = a.record ? a.record[key] : null;
+    const valueB = b.record ? b.record[key] : null;
+    if (valueA === null && valueB === null) return byOriginalOrder(a, b);
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    return (valueA - valueB) * direction || byOriginalOrder(a, b);
+  };
+}
+
+/**
+ * 同じ親要素の中で並べ替える（親要素の中の物件以外の要素は動かさない）
+ * 既に並んでいる場合はDOMを変更しない（MutationObserverでの再処理が繰り返されないように）
+ * @param {Array<{element: Element}>} items - 並べ替え対象
+ * @param {function(Object, Object): number} compare - 比較関数
+ */
+function reorderWithinParents(items, compare) {
+  const groups = new Map();
+  for (const item of items) {
+    const parent = item.element.parentElement;
+    if (!parent) continue;
+    if (!groups.has(parent)) groups.set(parent, []);
+    groups.get(parent).push(item);
+  }
+
+  for (const group of groups.values()) {
+    const sorted = [...group].sort(compare);
+    if (sorted.every((item, index) => item === group[index])) {
+      continue;
+    }
+    // 現在の位置に目印を置き、並べ替えた順に目印と入れ替える
+    const markers = group.map(item => {
+      const marker = document.createComment('');
+      item.element.before(marker);
+      return marker;
+    });
+    sorted.forEach((item, index) => markers[index].replaceWith(item.element));
+  }
+}
+
+/**
+ * 一覧ページの物件を並べ替え、坪単価の上限を超える物件を非表示にする
+ * @param {Element[]} cards - 物件カード
+ */
+function applySortAndFilter(cards) {
+  const items = collectSortableItems(cards);
+  reorderWithinParents(items, createSortComparator(sortState.order));
+
+  let hiddenCount = 0;
+  for (const { element, record } of items) {
+    // 単価を計算できない物件は絞り込みの対象外
+    const hidden = sortState.maxTsuboPrice !== null && record !== null && record.tsuboPrice > sortState.maxTsuboPrice;
+    if (element.classList.contains('fudosan-filtered-out') !== hidden) {
+      element.classList.toggle('fudosan-filtered-out', hidden);
+    }
+    if (hidden) hiddenCount++;
+  }
+
+  const status = document.querySelector('#fudosan-sort-control .fudosan-sort-control__status');
+  if (status) {
+    const text = hiddenCount > 0 ? `${hiddenCount}件を非表示` : '';
+    if (status.textContent !== text) {
+      status.textContent = text;
+    }
+  }
+}
+
+/**
+ * 坪単価の上限の入力単位を取得（賃貸は円/坪/月、売買は表示設定の単位）
+ * @returns {{label: string, scale: number}} - 単位の表示と、万円/坪への換算係数
+ */
+function getThresholdUnit() {
+  if (RENTAL_MODE) return { label: '円/坪/月', scale: 1 };
+  if (currentSettings.priceUnit === 'yen') return { label: '円/坪', scale: 1 / 10000 };
+  return { label: '万円/坪', scale: 1 };
+}
+
+/**
+ * 一覧ページに並べ替え・絞り込みの操作パネルを追加
+ */
+function createSortControl() {
+  document.getElementById('fudosan-sort-control')?.remove();
+
+  const thresholdUnit = getThresholdUnit();
+  const control = document.createElement('div');
+  control.id = 'fudosan-sort-control';
+  control.className = 'fudosan-sort-control';
+  control.innerHTML = `
+    <label class="fudosan-sort-control__row">
+      <span>並び順</span>
+      <select class="fudosan-sort-control__order">
+        <option value="default">ページの順序</option>
+        <option value="tsuboAsc">坪単価が安い順</option>
+        <option value="tsuboDesc">坪単価が高い順</option>
+        <option value="heiheiAsc">平米単価が安い順</option>
+        <option value="heiheiDesc">平米単価が高い順</option>
+      </select>
+    </label>
+    <label class="fudosan-sort-control__row">
+      <span>坪単価の上限</span>
+      <input type="number" class="fudosan-sort-control__threshold" min="0" step="any" placeholder="なし">
+      <span>${thresholdUnit.label}</span>
+    </label>
+    <span class="fudosan-sort-control__status"></span>
+  `;
+
+  const orderSelect = control.querySelector('.fudosan-sort-control__order');
+  const thresholdInput = control.querySelector('.fudosan-sort-control__threshold');
+  orderSelect.value = sortState.order;
+  if (sortState.maxTsuboPrice !== null) {
+    thresholdInput.value = String(sortState.maxTsuboPrice / thresholdUnit.scale);
+  }
+
+  orderSelect.addEventListener('change', () => {
+    sortState.order = orderSelect.value;
+    applySortAndFilter(SITE_ADAPTER.findCards(document));
+  });
+  thresholdInput.addEventListener('input', () => {
+    const value = parseFloat(thresholdInput.value);
+    sortState.maxTsuboPrice = Number.isFinite(value) && value > 0 ? value * thresholdUnit.scale : null;
+    applySortAndFilter(SITE_ADAPTER.findCards(document));
+  });
+
+  document.body.appendChild(control);
+  applySortAndFilter(SITE_ADAPTER.findCards(document));
+  console.log(`[${SITE_TYPE}坪単価] 並べ替えパネルを追加しました`);
+}
+
+/**
+ * バックグラウンドにメッセージを送信
+ * @param {Object} message - メッセージ（typeで処理を指定）
+ * @returns {Promise<*>} - 処理結果、失敗した場合・拡張機能のコンテキスト外ではnull
+ */
+async function sendRuntimeMessage(message) {
+  if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
+    return null;
+  }
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || !response.ok) {
+      console.error(`[${SITE_TYPE}坪単価] バックグラウンド処理に失敗しました:`, message.type, response && response.error);
+      return null;
+    }
+    return response.result;
+  } catch (error) {
+    console.error(`[${SITE_TYPE}坪単価] バックグラウンドに接続できません:`, message.type, error);
+    return null;
+  }
+}
+
+/**
+ * 価格履歴に記録する物件の情報を作成
+ * @param {string} url - 詳細ページURL
+ * @param {string} name - 物件名
+ * @param {string} address - 住所
+ * @param {ParsedRange} price - 価格（万円）
+ * @param {?ParsedRange} area - 面積（㎡、土地・一戸建ては土地面積）
+ * @param {number} tsuboPrice - 坪単価（万円/坪）
+ * @param {{floor: ?number, direction: string, buildingAge: ?number, walkMinutes: ?number}} [unitDetails]
+ *   - 所在階（詳細ページか、表示があれば一覧ページで取得）・向き（詳細ページで取得）、一覧ページで取得した築年数・駅徒歩分（相場モデル用）
+ * @returns {ListingSnapshot|null} - 物件IDを取得できない場合はnull
+ */
+function createListingSnapshot(url, name, address, price, area, tsuboPrice, unitDetails = {}) {
+  const listingKey = getListingKey(SITE_ADAPTER, url);
+  if (!listingKey) {
+    return null;
+  }
+  const snapshot = {
+    listingKey,
+    site: SITE_TYPE,
+    url,
+    name,
+    address,
+    price: price.min,
+    priceMax: price.max !== price.min ? price.max : null,
+    area: area ? area.min : null,
+    tsuboPrice: roundTo(tsuboPrice, 1)
+  };
+  // 所在階・向きが取れない場合（多くの一覧ページ）は、詳細ページで記録した値を消さないように含めない
+  if (unitDetails.floor != null) {
+    snapshot.floor = unitDetails.floor;
+  }
+  if (unitDetails.direction) {
+    snapshot.direction = unitDetails.direction;
+  }
+  if (unitDetails.buildingAge != null) {
+    snapshot.buildingAge = unitDetails.buildingAge;
+  }
+  if (unitDetails.walkMinutes != null) {
+    snapshot.walkMinutes = unitDetails.walkMinutes;
+  }
+  return snapshot;
+}
+
+/**
+ * 価格履歴から直近の価格変更を取得
+ * @param {PriceObservation[]} history - 古い順の履歴
+ * @returns {{diff: number, date: string}|null} - 価格差（万円）と現在の価格になった日、変更がない場合はnull
+ */
+function findLatestPriceChange(history) {
+  const latest = history[history.length - 1];
+  for (let index = history.length - 2; index >= 0; index--) {
+    if (history[index].price !== latest.price) {
+      return { diff: latest.price - history[index].price, date: history[index + 1].date };
+    }
+  }
+  return null;
+}
+
+/**
+ * 単価表示に価格変更（「値下げ −200万円 (2026-09-01)」）を表示
+ * 再処理で何度も呼ばれるため、変化がない場合はDOMを変更しない
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {PriceObservation[]} history - 古い順の履歴
+ */
+function applyHistoryAnnotation(badge, history) {
+  const change = findLatestPriceChange(history);
+  let annotation = badge.querySelector('.unit-price-history');
+  if (!change) {
+    annotation?.remove();
+    return;
+  }
+
+  const text = change.diff < 0
+    ? `値下げ −${Math.abs(change.diff).toLocaleString()}万円 (${change.date})`
+    : `値上げ +${change.diff.toLocaleString()}万円 (${change.date})`;
+  if (!annotation) {
+    annotation = document.createElement('span');
+    badge.appendChild(annotation);
+  }
+  const className = `unit-price-history ${change.diff < 0 ? 'unit-price-history--down' : 'unit-price-history--up'}`;
+  if (annotation.className !== className) {
+    annotation.className = className;
+  }
+  if (annotation.textContent !== text) {
+    annotation.textContent = text;
+  }
+}
+
+/**
+ * 価格推移の折れ線（スパークライン）を作成
+ * @param {PriceObservation[]} history - 古い順の履歴（2件以上）
+ * @returns {SVGElement}
+ */
+function createPriceSparkline(history) {
+  const width = 120;
+  const height = 28;
+  const padding = 3;
+  const prices = history.map(observation => observation.price);
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const points = prices.map((price, index) => {
+    const x = padding + (width - padding * 2) * index / (prices.length - 1);
+    const y = max === min ? height / 2 : padding + (height - padding * 2) * (max - price) / (max - min);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  const svgNamespace = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNamespace, 'svg');
+  svg.setAttribute('class', 'unit-price-sparkline');
+  svg.setAttribute('width', String(width));
+  svg.setAttribute('height', String(height));
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  const title = document.createElementNS(svgNamespace, 'title');
+  title.textContent = history.map(observation => `${observation.date}: ${observation.price.toLocaleString()}万円`).join('\n');
+  const polyline = document.createElementNS(svgNamespace, 'polyline');
+  polyline.setAttribute('points', points.join(' '));
+  const lastPoint = points[points.length - 1].split(',');
+  const dot = document.createElementNS(svgNamespace, 'circle');
+  dot.setAttribute('cx', lastPoint[0]);
+  dot.setAttribute('cy', lastPoint[1]);
+  dot.setAttribute('r', '2.5');
+
+  svg.append(title, polyline, dot);
+  return svg;
+}
+
+/**
+ * 詳細ページの単価表示に価格変更とスパークライン（通常表示の単価表示のみ）を表示
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {PriceObservation[]} history - 古い順の履歴
+ */
+function applyDetailHistory(badge, history) {
+  applyHistoryAnnotation(badge, history);
+  if (badge.classList.contains('suumo-unit-price--compact') || history.length < 2) {
+    return;
+  }
+  const existing = badge.querySelector('.unit-price-sparkline');
+  if (existing && existing.dataset.count === String(history.length)) {
+    return;
+  }
+  const sparkline = createPriceSparkline(history);
+  sparkline.dataset.count = String(history.length);
+  if (existing) {
+    existing.replaceWith(sparkline);
+  } else {
+    badge.appendChild(sparkline);
+  }
+}
+
+/**
+ * 単価表示に他サイトでの掲載（「他サイトにも掲載: ホームズ 4,280万円」）を表示
+ * 他サイトの方が安い場合は強調する。再処理で何度も呼ばれるため、変化がない場合はDOMを変更しない
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {DuplicateListing[]} duplicates - 他サイトの同じ住戸（価格の安い順）
+ * @param {number} price - このサイトでの価格（万円）
+ */
+function applyDuplicateAnnotation(badge, duplicates, price) {
+  let annotation = badge.querySelector('.unit-price-duplicate');
+  if (duplicates.length === 0) {
+    annotation?.remove();
+    return;
+  }
+
+  const text = '他サイトにも掲載: ' + duplicates.map(duplicate => {
+    const adapter = getSiteAdapterById(duplicate.site);
+    return `${adapter ? adapter.label : duplicate.site} ${duplicate.price.toLocaleString()}万円`;
+  }).join('、');
+  const title = duplicates.map(duplicate => `${duplicate.url}（${duplicate.lastSeenAt}に確認）`).join('\n');
+  if (!annotation) {
+    annotation = document.createElement('span');
+    badge.appendChild(annotation);
+  }
+  const className = duplicates[0].price < price
+    ? 'unit-price-duplicate unit-price-duplicate--cheaper'
+    : 'unit-price-duplicate';
+  if (annotation.className !== className) {
+    annotation.className = className;
+  }
+  if (annotation.textContent !== text) {
+    annotation.textContent = text;
+  }
+  if (annotation.title !== title) {
+    annotation.title = title;
+  }
+}
+
+/**
+ * 単価表示に価格の変化と他サイトでの掲載を表示
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {string} listingKey - 物件キー
+ * @param {boolean} detail - 詳細ページかどうか（スパークラインを表示）
+ */
+function applyListingAnnotations(badge, listingKey, detail) {
+  const history = listingHistories.get(listingKey);
+  if (detail) {
+    applyDetailHistory(badge, history);
+  } else {
+    applyHistoryAnnotation(badge, history);
+  }
+  applyDuplicateAnnotation(badge, duplicateListings.get(listingKey) || [], history[history.length - 1].price);
+}
 
-        if (priceRow && areaRow) {
-          const priceTd = priceRow.querySelector('td');
-          const areaTd = areaRow.querySelector('td');
+/**
+ * 物件の価格をバックグラウンドで記録し、取得した履歴と他サイトの同じ住戸を保持
+ * 記録後はページを再処理して履歴を表示する
+ * @param {ListingSnapshot[]} listings - 記録する物件
+ */
+async function requestListingHistories(listings) {
+  listings.forEach(listing => requestedHistoryKeys.add(listing.listingKey));
+  const histories = await sendRuntimeMessage({ type: 'recordListings', listings });
+  if (!histories) {
+    return;
+  }
+  // 記録した後に探すことで、今回記録した情報も含めて比較する
+  const duplicates = await sendRuntimeMessage({ type: 'findDuplicateListings', listings });
+  for (const [listingKey, history] of Object.entries(histories)) {
+    listingHistories.set(listingKey, history);
+    duplicateListings.set(listingKey, (duplicates && duplicates[listingKey]) || []);
+  }
+  if (isSiteEnabled(currentSettings, SITE_TYPE)) {
+    processAllProperties();
+  }
+}
+
+/**
+ * 一覧ページの物件の価格履歴を記録し、値下げ・値上げと他サイトでの掲載を単価表示に表示（価格履歴が有効な場合のみ）
+ * @param {Element[]} cards - 物件カード
+ */
+function updateListingHistory(cards) {
+  if (!currentSettings.historyEnabled) {
+    return;
+  }
+
+  const pending = [];
+  for (const card of cards) {
+    const record = cardUnitPrices.get(card);
+    if (!record || !record.listing) continue;
+    const { listingKey } = record.listing;
+    if (listingHistories.has(listingKey)) {
+      if (record.badge) {
+        applyListingAnnotations(record.badge, listingKey, false);
+      }
+    } else if (!requestedHistoryKeys.has(listingKey)) {
+      pending.push(record.listing);
+    }
+  }
+
+  if (pending.length > 0) {
+    requestListingHistories(pending);
+  }
+}
+
+/**
+ * 詳細ページの物件の価格履歴を記録し、値下げ・値上げ・スパークライン・他サイトでの掲載を表示（価格履歴が有効な場合のみ）
+ * @param {HTMLElement[]} badges - 挿入した単価表示要素
+ * @param {function(): ?ListingSnapshot} createSnapshot - 記録する物件の情報を作成する関数（未記録の場合のみ呼ぶ）
+ */
+function updateDetailHistory(badges, createSnapshot) {
+  if (!currentSettings.historyEnabled) {
+    return;
+  }
+
+  const listingKey = getListingKey(SITE_ADAPTER, window.location.href);
+  if (!listingKey) {
+    return;
+  }
+  if (listingHistories.has(listingKey)) {
+    badges.forEach(badge => applyListingAnnotations(badge, listingKey, true));
+    updateBuildingPanel(badges, listingKey);
+  } else if (!requestedHistoryKeys.has(listingKey)) {
+    const snapshot = createSnapshot();
+    if (snapshot) {
+      requestListingHistories([snapshot]);
+    }
+  }
+}
+
+/**
+ * 同じマンションの記録済み物件をバックグラウンドから取得し、ページを再処理してパネルを表示
+ * @param {string} listingKey - 詳細ページの物件キー
+ */
+async function requestBuildingListings(listingKey) {
+  buildingListingsRequested = true;
+  buildingListings = (await sendRuntimeMessage({ type: 'findBuildingListings', listingKey })) || [];
+  if (isSiteEnabled(currentSettings, SITE_TYPE)) {
+    processAllProperties();
+  }
+}
+
+/**
+ * 同じマンションの物件の比較パネルを作成
+ * @param {Array<ListingSnapshot & {lastSeenAt: string}>} listings - 同じマンションの物件（自身を含む、所在階の高い順）
+ * @param {string} listingKey - 詳細ページの物件キー
+ * @returns {HTMLElement}
+ */
+function createBuildingPanel(listings, listingKey) {
+  const formatTsubo = (value) => `${formatPriceRange({ min: value, max: value })}/坪`;
+  const panel = document.createElement('section');
+  panel.id = 'fudosan-building-panel';
+  panel.className = 'fudosan-building-panel';
+
+  const heading = document.createElement('h3');
+  heading.className = 'fudosan-building-panel__title';
+  heading.textContent = `同じマンションの住戸（記録済み ${listings.length}件）`;
+  panel.appendChild(heading);
+
+  const table = document.createElement('table');
+  table.innerHTML = '<thead><tr><th>所在階</th><th>向き</th><th>面積</th><th>価格</th><th>坪単価</th><th>掲載</th></tr></thead>';
+  const tbody = document.createElement('tbody');
+  for (const listing of listings) {
+    const current = listing.listingKey === listingKey;
+    const row = document.createElement('tr');
+    if (current) {
+      row.className = 'fudosan-building-panel__current';
+    }
+    const cells = [
+      listing.floor != null ? `${listing.floor < 0 ? `地下${-listing.floor}` : listing.floor}階` : '-',
+      listing.direction || '-',
+      listing.area != null ? `${listing.area}㎡` : '-',
+      `${listing.price.toLocaleString()}万円`,
+      listing.tsuboPrice != null ? formatTsubo(listing.tsuboPrice) : '-'
+    ];
+    for (const text of cells) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+
+    // 掲載欄から他の住戸の詳細ページを開けるようにする
+    const sourceCell = document.createElement('td');
+    if (current) {
+      sourceCell.textContent = 'この物件';
+    } else {
+      const adapter = getSiteAdapterById(listing.site);
+      const link = document.createElement('a');
+      link.href = listing.url;
+      link.textContent = `${adapter ? adapter.label : listing.site}（${listing.lastSeenAt}）`;
+      sourceCell.appendChild(link);
+    }
+    row.appendChild(sourceCell);
+    tbody.appendChild(row);
+  }
+  table.appendChild(tbody);
+  panel.appendChild(table);
+
+  const tsuboPrices = listings.map(listing => listing.tsuboPrice).filter(value => value != null);
+  const currentListing = listings.find(listing => listing.listingKey === listingKey);
+  if (tsuboPrices.length > 0) {
+    const average = tsuboPrices.reduce((sum, value) => sum + value, 0) / tsuboPrices.length;
+    const summary = document.createElement('p');
+    summary.className = 'fudosan-building-panel__summary';
+    summary.textContent = `建物の平均坪単価: ${formatTsubo(average)}（${tsuboPrices.length}件）`;
+    if (currentListing && currentListing.tsuboPrice != null) {
+      const percent = Math.round((currentListing.tsuboPrice / average - 1) * 100);
+      const sign = percent > 0 ? '+' : (percent < 0 ? '−' : '±');
+      summary.textContent += `　この物件: 平均より${sign}${Math.abs(percent)}%`;
+    }
+    panel.appendChild(summary);
+  }
+  return panel;
+}
+
+/**
+ * 詳細ページの単価表示の下に同じマンションの物件の比較パネルを表示
+ * 他の住戸が記録されていない場合は表示しない。取得後は内容が変わらないため、表示済みの場合は何もしない
+ * @param {HTMLElement[]} badges - 挿入した単価表示要素
+ * @param {string} listingKey - 詳細ページの物件キー
+ */
+function updateBuildingPanel(badges, listingKey) {
+  if (!buildingListings) {
+    if (!buildingListingsRequested) {
+      requestBuildingListings(listingKey);
+    }
+    return;
+  }
+
+  const existing = document.getElementById('fudosan-building-panel');
+  const hasOtherUnits = buildingListings.some(listing => listing.listingKey !== listingKey);
+  if (!hasOtherUnits || badges.length === 0) {
+    existing?.remove();
+    return;
+  }
+  if (existing) {
+    return;
+  }
+  const badge = badges.find(candidate => !candidate.classList.contains('suumo-unit-price--compact')) || badges[0];
+  badge.after(createBuildingPanel(buildingListings, listingKey));
+  console.log(`[${SITE_TYPE}坪単価] 同じマンションの住戸を表示しました:`, buildingListings.length);
+}
+
+/**
+ * ローンシミュレーションの入力欄を作成
+ * @param {string} label - 見出し
+ * @param {string} name - 入力欄のname
+ * @param {string} control - 入力欄のHTML
+ * @param {string} [unit] - 単位
+ * @returns {string}
+ */
+function createLoanField(label, name, control, unit = '') {
+  return `<label class="fudosan-loan-panel__field" data-field="${name}"><span>${label}</span>${control}${unit}</label>`;
+}
+
+/**
+ * 詳細ページのローンシミュレーションのパネルを作成（初期値は設定のローンの条件）
+ * @param {number} price - 物件価格（万円）
+ * @returns {HTMLDetailsElement}
+ */
+function createLoanPanel(price) {
+  const loan = getLoanConditions(currentSettings);
+  const downPayment = Math.round(price * loan.downPaymentPercent / 100);
+  const numberInput = (name, value, step, max) =>
+    `<input type="number" name="${name}" value="${value}" min="0" max="${max}" step="${step}">`;
+  const select = (name, labels, value) => `<select name="${name}">${Object.entries(labels)
+    .map(([key, text]) => `<option value="${key}"${key === value ? ' selected' : ''}>${text}</option>`)
+    .join('')}</select>`;
+
+  const panel = document.createElement('details');
+  panel.id = 'fudosan-loan-panel';
+  panel.className = 'fudosan-loan-panel';
+  panel.open = loanPanelOpen;
+  panel.innerHTML = `
+    <summary class="fudosan-loan-panel__title">🏦 ローンシミュレーション</summary>
+    <div class="fudosan-loan-panel__form">
+      ${createLoanField('物件価格', 'price', numberInput('price', price, 10, 1000000), '万円')}
+      ${createLoanField('頭金', 'downPayment', numberInput('downPayment', downPayment, 10, 1000000), '万円')}
+      ${createLoanField('金利', 'interestRate', numberInput('interestRate', loan.interestRate, 0.01, 20), '%')}
+      ${createLoanField('金利タイプ', 'rateType', select('rateType', LOAN_RATE_TYPE_LABELS, loan.rateType))}
+      ${createLoanField('5年ごとの上昇幅', 'rateIncrease', numberInput('rateIncrease', loan.rateIncrease, 0.05, 5), '%')}
+      ${createLoanField('返済期間', 'years', numberInput('years', loan.years, 1, 50), '年')}
+      ${createLoanField('返済方法', 'method', select('method', LOAN_METHOD_LABELS, loan.method))}
+    </div>
+    <p class="fudosan-loan-panel__result"></p>
+    <table class="fudosan-loan-panel__table">
+      <thead><tr><th>年</th><th>金利</th><th>年間返済額</th><th>うち元金</th><th>うち利息</th><th>年末残高</th></tr></thead>
+      <tbody></tbody>
+    </table>
+    <div class="fudosan-loan-panel__actions">
+      <button type="button" class="fudosan-loan-panel__save">この条件を既定にする</button>
+      <span class="fudosan-loan-panel__note">頭金は物件価格に対する割合で保存します。変動金利は5年ごとに上昇幅ずつ金利が上がるものとして計算します。</span>
+    </div>
+  `;
+
+  panel.addEventListener('toggle', () => {
+    loanPanelOpen = panel.open;
+  });
+  panel.addEventListener('input', () => renderLoanSimulation(panel));
+  panel.querySelector('.fudosan-loan-panel__save').addEventListener('click', () => saveLoanDefaults(panel));
+  renderLoanSimulation(panel);
+  return panel;
+}
+
+/**
+ * ローンシミュレーションの入力欄から条件を取得
+ * @param {HTMLElement} panel - ローンシミュレーションのパネル
+ * @returns {{price: number, downPayment: number, loan: LoanConditions}}
+ */
+function readLoanPanel(panel) {
+  const value = (name) => panel.querySelector(`[name="${name}"]`).value;
+  const number = (name) => Math.max(0, parseFloat(value(name)) || 0);
+  const price = number('price');
+  const downPayment = Math.min(number('downPayment'), price);
+  return {
+    price,
+    downPayment,
+    loan: {
+      interestRate: number('interestRate'),
+      years: number('years'),
+      downPaymentPercent: price > 0 ? downPayment / price * 100 : 0,
+      method: value('method'),
+      rateType: value('rateType'),
+      rateIncrease: number('rateIncrease')
+    }
+  };
+}
+
+/**
+ * ローンシミュレーションの結果（毎月の返済額・総返済額・利息と年ごとの返済予定）を表示
+ * @param {HTMLElement} panel - ローンシミュレーションのパネル
+ */
+function renderLoanSimulation(panel) {
+  const { price, downPayment, loan } = readLoanPanel(panel);
+  const principal = (price - downPayment) * 10000;
+  const schedule = calculateLoanSchedule(principal, loan);
+  const toMan = (yen) => `${(yen / 10000).toLocaleString(undefined, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}万円`;
+
+  panel.querySelector('[data-field="rateIncrease"]').hidden = loan.rateType !== 'variable';
+
+  const monthly = schedule.firstMonthlyPayment === schedule.lastMonthlyPayment
+    ? `${schedule.firstMonthlyPayment.toLocaleString()}円`
+    : `${schedule.firstMonthlyPayment.toLocaleString()}円（初回）〜${schedule.lastMonthlyPayment.toLocaleString()}円（最終回）`;
+  panel.querySelector('.fudosan-loan-panel__result').textContent =
+    `借入額 ${toMan(principal)} | 毎月の返済 ${monthly} | 総返済額 ${toMan(schedule.totalPayment)} | 利息 ${toMan(schedule.totalInterest)}`;
+
+  const tbody = panel.querySelector('tbody');
+  tbody.textContent = '';
+  for (const row of schedule.years) {
+    const tr = document.createElement('tr');
+    for (const text of [`${row.year}年目`, `${row.interestRate}%`, toMan(row.payment), toMan(row.principal), toMan(row.interest), toMan(row.balance)]) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      tr.appendChild(cell);
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+/**
+ * ローンシミュレーションの条件を設定に保存（他の物件の初期値と毎月の支払いの目安に使う）
+ * 保存すると設定の変更としてパネルが作り直される
+ * @param {HTMLElement} panel - ローンシミュレーションのパネル
+ */
+async function saveLoanDefaults(panel) {
+  const { loan } = readLoanPanel(panel);
+  try {
+    const settings = await loadSettings();
+    await saveSettings({
+      ...settings,
+      loanInterestRate: loan.interestRate,
+      loanYears: loan.years,
+      loanDownPaymentPercent: roundTo(loan.downPaymentPercent, 1),
+      loanMethod: loan.method,
+      loanRateType: loan.rateType,
+      loanRateIncrease: loan.rateIncrease
+    });
+    console.log(`[${SITE_TYPE}坪単価] ローンの条件を保存しました:`, loan);
+  } catch (error) {
+    console.error(`[${SITE_TYPE}坪単価] ローンの条件の保存に失敗しました:`, error);
+    panel.querySelector('.fudosan-loan-panel__save').textContent = '保存できませんでした';
+  }
+}
+
+/**
+ * 詳細ページの単価表示の下にローンシミュレーションを表示（表示済みの場合は入力中の内容を残す）
+ * @param {HTMLElement[]} badges - 挿入した単価表示要素
+ * @param {number} price - 物件価格（万円）
+ */
+function updateLoanPanel(badges, price) {
+  if (badges.length === 0 || document.getElementById('fudosan-loan-panel')) {
+    return;
+  }
+  const badge = badges.find(candidate => !candidate.classList.contains('suumo-unit-price--compact')) || badges[0];
+  badge.after(createLoanPanel(price));
+}
+
+/**
+ * ウォッチリストに保存する物件の情報を作成
+ * @param {ListingSnapshot} listing - 物件の情報
+ * @param {?number} heiheiPrice - 平米単価（万円/㎡、土地・一戸建てはnull）
+ * @returns {Omit<WatchlistItem, 'note'|'addedAt'>}
+ */
+function createWatchlistItem(listing, heiheiPrice) {
+  return { ...listing, heiheiPrice: heiheiPrice === null ? null : roundTo(heiheiPrice, 2) };
+}
+
+/**
+ * 保存済みの物件キーを更新
+ * @param {Object<string, WatchlistItem>} watchlist - ウォッチリスト
+ */
+function setWatchedListingKeys(watchlist) {
+  watchedListingKeys.clear();
+  Object.keys(watchlist).forEach(listingKey => watchedListingKeys.add(listingKey));
+}
+
+/**
+ * ☆ボタンの表示を保存済みかどうかに合わせる（変化がない場合はDOMを変更しない）
+ * @param {HTMLButtonElement} button - ☆ボタン
+ */
+function updateWatchButton(button) {
+  const watched = watchedListingKeys.has(button.dataset.listingKey);
+  const text = watched ? '★' : '☆';
+  if (button.textContent === text) {
+    return;
+  }
+  button.textContent = text;
+  button.title = watched ? 'ウォッチリストから削除' : 'ウォッチリストに保存';
+  button.setAttribute('aria-pressed', String(watched));
+  button.classList.toggle('unit-price-watch--active', watched);
+}
+
+/**
+ * ページ内のすべての☆ボタンの表示を更新
+ */
+function updateWatchButtons() {
+  document.querySelectorAll('.unit-price-watch').forEach(updateWatchButton);
+}
 
-          if (priceTd && areaTd) {
-            detailPrice = extractNumber(priceTd.textContent);
-            detailArea = extractNumber(areaTd.textContent);
-            console.log(`[${SITE_TYPE}坪単価] 物件概要から取得 - 価格:`, detailPrice, '万円, 面積:', detailArea, '㎡');
-            break;
-          }
-        }
+/**
+ * 物件をウォッチリストに保存、保存済みの場合は削除
+ * ☆ボタンの表示は storage.onChanged 経由で更新される
+ * @param {string} listingKey - 物件キー
+ * @param {function(): ?Object} createItem - 保存する物件の情報を作成する関数
+ */
+async function toggleWatchlist(listingKey, createItem) {
+  try {
+    if (watchedListingKeys.has(listingKey)) {
+      await removeFromWatchlist(listingKey);
+    } else {
+      const item = createItem();
+      if (item) {
+        await addToWatchlist(item);
       }
     }
+  } catch (error) {
+    console.error(`[${SITE_TYPE}坪単価] ウォッチリストの保存に失敗しました:`, error);
+  }
+}
 
-    // 価格と面積が取得できた場合、各箇所に表示
-    if (detailPrice && detailArea && detailPrice > 0 && detailArea > 0) {
-      const cacheKey = `${detailPrice}_${detailArea}`;
-
-      let tsuboPrice, heiheiPrice;
-      if (calculationCache.has(cacheKey)) {
-        const cached = calculationCache.get(cacheKey);
-        tsuboPrice = cached.tsuboPrice;
-        heiheiPrice = cached.heiheiPrice;
-        console.log(`[${SITE_TYPE}坪単価] キャッシュから取得`);
-      } else {
-        tsuboPrice = calculateTsuboPrice(detailPrice, detailArea);
-        heiheiPrice = calculateHeiheiPrice(detailPrice, detailArea);
-        calculationCache.set(cacheKey, { tsuboPrice, heiheiPrice });
-        console.log(`[${SITE_TYPE}坪単価] 計算完了 - 坪単価:`, tsuboPrice, '万円/坪, 平米単価:', heiheiPrice, '万円/㎡');
-      }
-
-      // 上部の価格表示の下に追加
-      if (SITE_TYPE === 'SUUMO') {
-        const topPriceElement = document.querySelector('.mt7.b');
-        if (topPriceElement && topPriceElement.parentElement) {
-          const existing = topPriceElement.parentElement.querySelector('.suumo-unit-price');
-          if (existing) existing.remove();
-
-          const unitPriceDiv = document.createElement('div');
-          unitPriceDiv.className = 'suumo-unit-price';
-          unitPriceDiv.innerHTML = `
-            <span class="unit-price-label">坪単価:</span>
-            <span class="unit-price-value">${tsuboPrice.toLocaleString()}万円</span>
-            <span class="unit-price-separator">|</span>
-            <span class="unit-price-label">平米単価:</span>
-            <span class="unit-price-value">${heiheiPrice.toLocaleString()}万円</span>
-          `;
-
-          if (topPriceElement.nextSibling) {
-            topPriceElement.parentElement.insertBefore(unitPriceDiv, topPriceElement.nextSibling);
-          } else {
-            topPriceElement.parentElement.appendChild(unitPriceDiv);
-          }
-          console.log(`[${SITE_TYPE}坪単価] 上部に表示を挿入`);
-        }
-      } else if (SITE_TYPE === 'REHOUSE' && priceElement) {
-        // 三井のリハウス詳細ページ：価格表示の下に追加
-        const existing = priceElement.parentElement?.querySelector('.suumo-unit-price');
-        if (existing) existing.remove();
-
-        const unitPriceDiv = document.createElement('div');
-        unitPriceDiv.className = 'suumo-unit-price';
-        unitPriceDiv.innerHTML = `
-          <span class="unit-price-label">坪単価:</span>
-          <span class="unit-price-value">${tsuboPrice.toLocaleString()}万円</span>
-          <span class="unit-price-separator">|</span>
-          <span class="unit-price-label">平米単価:</span>
-          <span class="unit-price-value">${heiheiPrice.toLocaleString()}万円</span>
-        `;
-
-        if (priceElement.nextSibling) {
-          priceElement.parentElement.insertBefore(unitPriceDiv, priceElement.nextSibling);
-        } else {
-          priceElement.parentElement.appendChild(unitPriceDiv);
-        }
-        console.log(`[${SITE_TYPE}坪単価] 価格表示の下に表示を挿入`);
-      } else if (SITE_TYPE === 'HOMES' && priceElement) {
-        // ホームズ詳細ページ：価格表示の下に追加
-        const existing = priceElement.parentElement?.querySelector('.suumo-unit-price');
-        if (existing) existing.remove();
-
-        const unitPriceDiv = document.createElement('div');
-        unitPriceDiv.className = 'suumo-unit-price';
-        unitPriceDiv.innerHTML = `
-          <span class="unit-price-label">坪単価:</span>
-          <span class="unit-price-value">${tsuboPrice.toLocaleString()}万円</span>
-          <span class="unit-price-separator">|</span>
-          <span class="unit-price-label">平米単価:</span>
-          <span class="unit-price-value">${heiheiPrice.toLocaleString()}万円</span>
-        `;
-
-        if (priceElement.nextSibling) {
-          priceElement.parentElement.insertBefore(unitPriceDiv, priceElement.nextSibling);
-        } else {
-          priceElement.parentElement.appendChild(unitPriceDiv);
-        }
-        console.log(`[${SITE_TYPE}坪単価] 価格表示の下に表示を挿入`);
-      } else if (SITE_TYPE === 'ATHOME' && priceElement) {
-        // アットホーム詳細ページ：価格表示の下に追加
-        const existing = priceElement.parentElement?.querySelector('.suumo-unit-price');
-        if (existing) existing.remove();
-
-        const unitPriceDiv = document.createElement('div');
-        unitPriceDiv.className = 'suumo-unit-price';
-        unitPriceDiv.innerHTML = `
-          <span class="unit-price-label">坪単価:</span>
-          <span class="unit-price-value">${tsuboPrice.toLocaleString()}万円</span>
-          <span class="unit-price-separator">|</span>
-          <span class="unit-price-label">平米単価:</span>
-          <span class="unit-price-value">${heiheiPrice.toLocaleString()}万円</span>
-        `;
-
-        if (priceElement.nextSibling) {
-          priceElement.parentElement.insertBefore(unitPriceDiv, priceElement.nextSibling);
-        } else {
-          priceElement.parentElement.appendChild(unitPriceDiv);
-        }
-        console.log(`[${SITE_TYPE}坪単価] 価格表示の下に表示を挿入`);
-      }
+/**
+ * 単価表示の先頭に☆ボタンを追加（追加済みの場合は表示を更新）
+ * @param {HTMLElement} badge - 単価表示要素
+ * @param {string} listingKey - 物件キー
+ * @param {function(): ?Object} createItem - 保存する物件の情報を作成する関数（クリック時に呼ぶ）
+ */
+function applyWatchButton(badge, listingKey, createItem) {
+  let button = badge.querySelector('.unit-price-watch');
+  if (!button) {
+    button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'unit-price-watch';
+    button.dataset.listingKey = listingKey;
+    button.addEventListener('click', (event) => {
+      // 物件カード全体がリンクのサイトで詳細ページに移動しないようにする
+      event.preventDefault();
+      event.stopPropagation();
+      toggleWatchlist(listingKey, createItem);
+    });
+    badge.prepend(button);
+  }
+  updateWatchButton(button);
+}
 
-      // テーブル内の価格行に追加（SUUMO専用）
-      if (SITE_TYPE === 'SUUMO') {
-        const tables = document.querySelectorAll('table');
-        tables.forEach((table, tableIdx) => {
-          const rows = table.querySelectorAll('tr');
-          rows.forEach((row, rowIdx) => {
-            const th = row.querySelector('th');
-            const td = row.querySelector('td');
-            if (th && th.textContent.includes('価格') && td) {
-              const existing = td.querySelector('.suumo-unit-price');
-              if (existing) existing.remove();
-
-              const unitPriceDiv = document.createElement('div');
-              unitPriceDiv.className = 'suumo-unit-price suumo-unit-price--compact';
-              unitPriceDiv.innerHTML = `
-                <span class="unit-price-label">坪単価:</span>
-                <span class="unit-price-value">${tsuboPrice.toLocaleString()}万円</span>
-                <span class="unit-price-separator">|</span>
-                <span class="unit-price-label">平米単価:</span>
-                <span class="unit-price-value">${heiheiPrice.toLocaleString()}万円</span>
-              `;
-              td.appendChild(unitPriceDiv);
-              console.log(`[${SITE_TYPE}坪単価] テーブル内に表示を挿入 table:`, tableIdx, 'row:', rowIdx);
-            }
-          });
-        });
-      }
-    } else {
-      console.log(`[${SITE_TYPE}坪単価] 詳細ページで価格・面積が取得できませんでした`);
-    }
+/**
+ * 詳細ページの単価表示に☆ボタンを追加
+ * @param {HTMLElement[]} badges - 挿入した単価表示要素
+ * @param {function(): ?ListingSnapshot} createSnapshot - 物件の情報を作成する関数（クリック時に呼ぶ）
+ * @param {?number} heiheiPrice - 平米単価（万円/㎡、土地・一戸建てはnull）
+ */
+function updateDetailWatchButtons(badges, createSnapshot, heiheiPrice) {
+  const listingKey = getListingKey(SITE_ADAPTER, window.location.href);
+  if (!listingKey) {
+    return;
+  }
+  const createItem = () => {
+    const snapshot = createSnapshot();
+    return snapshot && createWatchlistItem(snapshot, heiheiPrice);
+  };
+  badges.forEach(badge => applyWatchButton(badge, listingKey, createItem));
+}
 
-    console.log(`[${SITE_TYPE}坪単価] 詳細ページ処理完了。単価表示数:`, document.querySelectorAll('.suumo-unit-price').length);
-  } else {
-    console.log(`[${SITE_TYPE}坪単価] 一覧ページとして処理 cards:`, propertyCards.length);
+/**
+ * ポップアップからのメッセージに応答
+ */
+function listenForPopupMessages() {
+  if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.onMessage) {
+    return;
   }
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message && message.type === 'getPageStats') {
+      sendResponse(computePageStats());
+    }
+  });
 }
 
 /**
@@ -669,6 +2156,11 @@ function processAllProperties() {
  */
 function observeDOMChanges() {
   const observer = new MutationObserver((mutations) => {
+    // 設定で無効にされているサイトでは何もしない
+    if (!isSiteEnabled(currentSettings, SITE_TYPE)) {
+      return;
+    }
+
     // 新しいノードが追加されたかチェック（ただし自分が追加した要素は除外）
     let shouldProcess = false;
 
@@ -676,8 +2168,8 @@ function observeDOMChanges() {
       if (mutation.addedNodes.length > 0) {
         // 追加されたノードをチェック
         for (const node of mutation.addedNodes) {
-          // 自分が追加した.suumo-unit-price要素は無視
-          if (node.nodeType === 1 && !node.classList?.contains('suumo-unit-price')) {
+          // 自分が追加した.suumo-unit-price要素とその中の要素（中央値との差など）、比較パネル・ローンシミュレーションは無視
+          if (node.nodeType === 1 && !node.closest('.suumo-unit-price, .fudosan-building-panel, .fudosan-loan-panel')) {
             shouldProcess = true;
             break;
           }
@@ -699,518 +2191,228 @@ function observeDOMChanges() {
 }
 
 /**
- * 指定ミリ秒待機する
- * @param {number} ms - 待機時間（ミリ秒）
+ * ページを取得してDOMとして解析
+ * @param {string} url - ページURL
+ * @returns {Promise<Document>}
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+async function fetchHtmlDocument(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const html = await response.text();
+  const parser = new DOMParser();
+  return parser.parseFromString(html, 'text/html');
 }
 
 /**
- * 詳細ページから追加情報を取得
- * @param {string} url - 詳細ページURL
- * @returns {Object} - 追加情報
+ * 一覧の次のページを順に読み込み、物件カードを取得（全ページのエクスポート用）
+ * 最後のページ、最大ページ数、読み込みに失敗したページ、物件のないページで止める
+ * @param {number} maxPages - 最大ページ数（表示中のページを含む）
+ * @param {Function} progressCallback - 進捗通知コールバック（読み込み中のページ番号, 最大ページ数, 'pages'）
+ * @returns {Promise<Array<{card: Element, baseUrl: string}>>} - 物件カードと、その一覧ページのURL
  */
-async function fetchDetailPageInfo(url) {
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      console.error(`[${SITE_TYPE}坪単価] 詳細ページ取得失敗: ${url}`);
-      return {};
+async function collectNextPageCards(maxPages, progressCallback) {
+  const entries = [];
+  const visitedUrls = new Set([window.location.href]);
+  let nextUrl = SITE_ADAPTER.findNextPageUrl(document, window.location.href);
+  let pageCount = 1;
+
+  while (nextUrl && !visitedUrls.has(nextUrl) && pageCount < maxPages) {
+    visitedUrls.add(nextUrl);
+    await waitBeforeNextRequest(pageCount);
+    pageCount++;
+    if (progressCallback) {
+      progressCallback(pageCount, maxPages, 'pages');
     }
 
-    const html = await response.text();
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
-
-    const detailInfo = {
-      nameDetail: '',          // 詳細ページの物件名
-      floor: '',               // 階数
-      direction: '',           // 向き
-      buildingFloors: '',      // 建物階数
-      managementFee: '',       // 管理費
-      repairFund: '',          // 修繕積立金
-      totalUnits: '',          // 総戸数
-      structure: '',           // 構造
-      parking: '',             // 駐車場
-      builtDate: '',           // 築年月（詳細）
-      company: '',             // 不動産会社名
-      // 追加項目
-      layout: '',              // 間取り
-      salesUnits: '',          // 販売戸数
-      balconyArea: '',         // バルコニー面積
-      repairFundInitial: '',   // 修繕積立基金
-      otherFees: '',           // 諸費用
-      deliveryTime: '',        // 引渡可能時期
-      landArea: '',            // 敷地面積
-      landRights: '',          // 敷地の権利形態
-      zoning: '',              // 用途地域
-      constructor: '',         // 施工会社
-      energyPerformance: '',   // エネルギー消費性能
-      insulation: '',          // 断熱性能
-      utilityEstimate: '',     // 目安光熱費
-      reform: '',              // リフォーム
-      majorPriceRange: '',     // 最多価格帯
-      restrictions: '',        // その他制限事項
-      notes: ''                // その他概要・特記事項
-    };
+    let doc;
+    try {
+      doc = await fetchHtmlDocument(nextUrl);
+    } catch (error) {
+      console.error(`[${SITE_TYPE}坪単価] 一覧ページ取得エラー: ${nextUrl}`, error);
+      break;
+    }
 
-    // 物件名を取得（h1タグから）
-    const h1Elements = doc.querySelectorAll('h1, .section_h1-header-title');
-    for (const h1 of h1Elements) {
-      const text = h1.textContent.trim();
-      // 価格や間取りが含まれている場合は除去
-      if (text && !text.includes('SUUMOトップ')) {
-        // 「物件名 価格（間取り）」形式から物件名部分のみ抽出
-        const match = text.match(/^(.+?)\s*[\d億万円]+/);
-        if (match) {
-          detailInfo.nameDetail = match[1].trim();
-        } else {
-          detailInfo.nameDetail = text;
-        }
-        break;
-      }
+    const cards = SITE_ADAPTER.findCards(doc);
+    console.log(`[${SITE_TYPE}坪単価] ${pageCount}ページ目 物件数: ${cards.length} ${nextUrl}`);
+    if (cards.length === 0) {
+      break;
     }
+    const baseUrl = nextUrl;
+    cards.forEach(card => entries.push({ card, baseUrl }));
+    nextUrl = SITE_ADAPTER.findNextPageUrl(doc, baseUrl);
+  }
 
-    // 不動産会社名を取得
-    const companyPatterns = [
-      { selector: 'th', contains: 'お問い合せ先', getValue: (td) => {
-        // 「野村の仲介+勝どきセンター野村不動産ソリューションズ(株)」から会社名部分を抽出
-        const text = td.textContent.trim();
-        const match = text.match(/^([^\n\t]+)/);
-        return match ? match[1].trim() : text.split(/[\n\t]/)[0].trim();
-      }},
-      { selector: 'th', contains: '不動産会社ガイド', getValue: (td) => {
-        return td.textContent.trim().split(/[\n\t]/)[0].trim();
-      }}
-    ];
+  return entries;
+}
 
-    for (const pattern of companyPatterns) {
-      const ths = doc.querySelectorAll('th');
-      for (const th of ths) {
-        if (th.textContent.includes(pattern.contains)) {
-          const td = th.nextElementSibling;
-          if (td && td.tagName === 'TD') {
-            detailInfo.company = pattern.getValue(td);
-            if (detailInfo.company) break;
-          }
-        }
-      }
-      if (detailInfo.company) break;
+/**
+ * 物件カードからCSV用の物件データを抽出（詳細ページの項目は空のまま）
+ * @param {Element} card - 物件カード（表示中のページまたは読み込んだ一覧ページ）
+ * @param {string} baseUrl - 物件カードのある一覧ページのURL（詳細ページURLの基準）
+ * @returns {Object} - 物件データ
+ */
+function extractCardPropertyData(card, baseUrl) {
+  // 賃貸の場合は価格・坪単価の代わりに賃料・管理費・月額単価の列
+  const priceFields = RENTAL_MODE
+    ? {
+      rent: '',                  // 賃料（円/月）
+      commonFee: '',             // 管理費・共益費（円/月）
+      area: '',
+      rentTsuboPrice: '',        // 坪単価（円/坪/月、賃料のみ）
+      rentHeiheiPrice: '',       // 平米単価（円/㎡/月、賃料のみ）
+      totalRentTsuboPrice: '',   // 坪単価（円/坪/月、管理費込）
+      totalRentHeiheiPrice: ''   // 平米単価（円/㎡/月、管理費込）
+    }
+    : {
+      price: '',
+      priceMax: '',              // 価格帯の上限（範囲の場合のみ）
+      area: '',
+      areaMax: '',               // 面積帯の上限（範囲の場合のみ）
+      tsuboPrice: '',
+      tsuboPriceMax: '',         // 坪単価の上限（範囲の場合のみ）
+      heiheiPrice: '',
+      heiheiPriceMax: '',        // 平米単価の上限（範囲の場合のみ）
+      landAreaSqm: '',           // 土地面積（㎡、土地・一戸建て）
+      buildingAreaSqm: '',       // 建物面積（㎡、一戸建て）
+      privateRoadArea: '',       // 私道負担（㎡）
+      landTsuboPrice: '',        // 土地坪単価（万円/坪）
+      buildingTsuboPrice: ''     // 建物坪単価（万円/坪）
+    };
+
+  const propertyData = {
+    site: SITE_TYPE,
+    name: '',
+    address: '',
+    ...priceFields,
+    age: '',
+    station: '',
+    url: '',
+    // 詳細ページから取得する情報（nameDetailは詳細ページの物件名。これで上書き）
+    ...createEmptyDetailInfo()
+  };
+
+  // 価格・面積を抽出
+  const priceElement = SITE_ADAPTER.findPriceElement(card);
+  const areaElement = SITE_ADAPTER.findAreaElement(card);
+  const area = parseArea(areaElement ? areaElement.textContent : '');
+  if (area.status === 'ok') {
+    propertyData.area = area.min;
+  }
+
+  if (RENTAL_MODE) {
+    // 賃料・管理費と月額単価
+    const rentPrices = getRentUnitPrices(SITE_ADAPTER.extractRentText(card), SITE_ADAPTER.extractFeeText(card), area);
+    if (rentPrices) {
+      propertyData.rent = rentPrices.rent;
+      propertyData.commonFee = rentPrices.fee;
+      propertyData.rentTsuboPrice = rentPrices.rentTsuboPrice;
+      propertyData.rentHeiheiPrice = rentPrices.rentHeiheiPrice;
+      propertyData.totalRentTsuboPrice = rentPrices.totalRentTsuboPrice;
+      propertyData.totalRentHeiheiPrice = rentPrices.totalRentHeiheiPrice;
+    }
+  } else {
+    const price = parsePrice(priceElement ? priceElement.textContent : '');
+    if (price.status === 'ok') {
+      propertyData.price = price.min;
+      propertyData.priceMax = price.max !== price.min ? price.max : '';
+    }
+    if (area.status === 'ok' && area.max !== area.min) {
+      propertyData.areaMax = area.max;
     }
 
-    // テーブルから情報を抽出（SUUMO詳細ページの構造）
-    const tables = doc.querySelectorAll('table');
-    for (const table of tables) {
-      const rows = table.querySelectorAll('tr');
-      for (const row of rows) {
-        const ths = row.querySelectorAll('th');
-
-        // 各thについて、次の兄弟要素がtdかチェック
-        for (const th of ths) {
-          const td = th.nextElementSibling;
-          if (!td || td.tagName !== 'TD') continue;
-
-          const thText = th.textContent.trim().replace(/\s+/g, ' ');
-          const tdText = td.textContent.trim().replace(/\s+/g, ' ');
-
-          // 「所在階/構造・階建」から情報を分離
-          if (thText.includes('所在階') && thText.includes('構造')) {
-            // 例: "12階/RC16階地下1階建"
-            const floorMatch = tdText.match(/^(\d+階)/);
-            if (floorMatch) {
-              detailInfo.floor = floorMatch[1];
-            }
-
-            const structureMatch = tdText.match(/\/(RC|SRC|鉄骨鉄筋コンクリート|鉄筋コンクリート|鉄骨造|木造|軽量鉄骨)/);
-            if (structureMatch) {
-              detailInfo.structure = structureMatch[1];
-            }
-
-            const buildingFloorsMatch = tdText.match(/(RC|SRC|鉄骨鉄筋コンクリート|鉄筋コンクリート|鉄骨造|木造|軽量鉄骨)(\d+階)/);
-            if (buildingFloorsMatch) {
-              detailInfo.buildingFloors = buildingFloorsMatch[2];
-            }
-          } else if (thText.includes('所在階') && !thText.includes('構造')) {
-            detailInfo.floor = tdText;
-          } else if (thText.includes('バルコニー') && thText.includes('向き')) {
-            const match = tdText.match(/([東西南北]+)向き/);
-            if (match) detailInfo.direction = match[1] + '向き';
-          } else if (thText === '向き' || thText.includes('向き')) {
-            const match = tdText.match(/([東西南北]+)向き/);
-            if (match) {
-              detailInfo.direction = match[1] + '向き';
-            } else {
-              detailInfo.direction = tdText.split(/\s/)[0]; // 最初の単語のみ
-            }
-          } else if (thText.includes('建物階数')) {
-            detailInfo.buildingFloors = tdText;
-          } else if (thText.includes('管理費') && !thText.includes('修繕')) {
-            // 「2万5000円／月（委託(通勤)）」などから抽出
-            detailInfo.managementFee = tdText.split(/\[/)[0].trim();
-            console.log(`[${SITE_TYPE}坪単価] 管理費取得: ${detailInfo.managementFee}`);
-          } else if (thText.includes('修繕積立金')) {
-            detailInfo.repairFund = tdText.split(/\[/)[0].trim();
-            console.log(`[${SITE_TYPE}坪単価] 修繕積立金取得: ${detailInfo.repairFund}`);
-          } else if (thText.includes('総戸数')) {
-            detailInfo.totalUnits = tdText;
-          } else if (thText.includes('構造') && !thText.includes('所在階')) {
-            detailInfo.structure = tdText;
-          } else if (thText.includes('駐車場')) {
-            detailInfo.parking = tdText;
-          } else if (thText.includes('築年月')) {
-            detailInfo.builtDate = tdText.split(/\(/)[0].trim(); // 括弧以降を除去
-          } else if (thText.includes('間取り')) {
-            detailInfo.layout = tdText;
-          } else if (thText.includes('販売戸数')) {
-            detailInfo.salesUnits = tdText;
-          } else if (thText.includes('その他面積')) {
-            detailInfo.balconyArea = tdText;
-          } else if (thText.includes('修繕積立基金')) {
-            detailInfo.repairFundInitial = tdText.split(/\[/)[0].trim();
-          } else if (thText.includes('諸費用')) {
-            detailInfo.otherFees = tdText;
-          } else if (thText.includes('引渡可能時期')) {
-            detailInfo.deliveryTime = tdText;
-          } else if (thText.includes('敷地面積')) {
-            detailInfo.landArea = tdText;
-          } else if (thText.includes('敷地の権利形態')) {
-            detailInfo.landRights = tdText;
-          } else if (thText.includes('用途地域')) {
-            detailInfo.zoning = tdText;
-          } else if (thText.includes('施工')) {
-            detailInfo.constructor = tdText;
-          } else if (thText.includes('エネルギー消費性能')) {
-            detailInfo.energyPerformance = tdText;
-          } else if (thText.includes('断熱性能')) {
-            detailInfo.insulation = tdText;
-          } else if (thText.includes('目安光熱費')) {
-            detailInfo.utilityEstimate = tdText;
-          } else if (thText.includes('リフォーム')) {
-            detailInfo.reform = tdText;
-          } else if (thText.includes('最多価格帯')) {
-            detailInfo.majorPriceRange = tdText;
-          } else if (thText.includes('その他制限事項')) {
-            detailInfo.restrictions = tdText;
-          } else if (thText.includes('その他概要') || thText.includes('特記事項')) {
-            detailInfo.notes = tdText;
-          }
-        }
+    // 範囲の場合は下限を出力
+    const rangeMin = (range) => range ? range.min : '';
+    const landBuildingAreas = getLandBuildingAreas(card);
+    if (landBuildingAreas) {
+      // 土地・一戸建て: 土地坪単価・建物坪単価を計算
+      propertyData.area = '';
+      propertyData.areaMax = '';
+      propertyData.landAreaSqm = rangeMin(landBuildingAreas.landArea);
+      propertyData.buildingAreaSqm = rangeMin(landBuildingAreas.buildingArea);
+      propertyData.privateRoadArea = landBuildingAreas.privateRoadArea || '';
+      if (price.status === 'ok') {
+        const prices = calculateLandBuildingPrices(price, landBuildingAreas);
+        // 単価は表示設定の小数点以下の桁数で丸める（単位は列名どおり万円）
+        const roundPrice = (range) => range ? roundTo(range.min, currentSettings.decimals) : '';
+        propertyData.landTsuboPrice = roundPrice(prices.landTsuboPrice);
+        propertyData.buildingTsuboPrice = roundPrice(prices.buildingTsuboPrice);
+      }
+    } else if (price.status === 'ok' && area.status === 'ok') {
+      // 坪単価・平米単価を計算（価格帯・面積帯の場合は上限も出力）
+      const { tsuboPrice, heiheiPrice } = getUnitPrices(price, area);
+      // 単価は表示設定の小数点以下の桁数で丸める（単位は列名どおり万円）
+      const { decimals } = currentSettings;
+      propertyData.tsuboPrice = roundTo(tsuboPrice.min, decimals);
+      propertyData.heiheiPrice = roundTo(heiheiPrice.min, decimals);
+      if (tsuboPrice.max !== tsuboPrice.min) {
+        propertyData.tsuboPriceMax = roundTo(tsuboPrice.max, decimals);
+        propertyData.heiheiPriceMax = roundTo(heiheiPrice.max, decimals);
       }
     }
+  }
 
-    console.log(`[${SITE_TYPE}坪単価] 詳細情報取得成功: ${url}`, detailInfo);
-    return detailInfo;
+  // 物件名・住所・詳細ページURLを抽出
+  propertyData.name = SITE_ADAPTER.extractName(card);
+  propertyData.address = SITE_ADAPTER.extractAddress(card);
+  propertyData.url = SITE_ADAPTER.extractUrl(card, baseUrl);
 
-  } catch (error) {
-    console.error(`[${SITE_TYPE}坪単価] 詳細ページ取得エラー: ${url}`, error);
-    return {};
+  // 築年数を抽出（可能な場合）
+  const allText = card.textContent;
+  const builtMatch = allText.match(/築(\d+)年/);
+  if (builtMatch) {
+    propertyData.age = builtMatch[1] + '年';
+  }
+
+  // 駅距離を抽出（可能な場合）
+  const stationMatch = allText.match(/徒歩(\d+)分/);
+  if (stationMatch) {
+    propertyData.station = '徒歩' + stationMatch[1] + '分';
   }
+
+  // 間取りを抽出（可能な場合）
+  const layoutMatch = allText.match(/(\d+[SLDK]+)/);
+  if (layoutMatch) {
+    propertyData.layout = layoutMatch[1];
+  }
+
+  return propertyData;
 }
 
 /**
- * 現在表示されている物件データを収集（非同期版）
- * @param {Function} progressCallback - 進捗通知コールバック
+ * 物件データを収集（非同期版、詳細ページの項目はバックグラウンドのエクスポートジョブで取得）
+ * 全ページの場合は次のページも読み込み、ページをまたいで重複する物件（詳細ページURLが同じ物件）は1件にまとめる
+ * @param {Function} progressCallback - 進捗通知コールバック（読み込み中のページ番号, 最大ページ数, 'pages'）
+ * @param {boolean} allPages - 次のページも読み込むかどうか（最大ページ数は設定に従う）
  * @returns {Array} - 物件データの配列
  */
-async function collectPropertyData(progressCallback = null) {
+async function collectPropertyData(progressCallback = null, allPages = false) {
   console.log(`[${SITE_TYPE}坪単価] 物件データ収集開始`);
   const properties = [];
 
-  // 物件カード（一覧ページ）をサイトごとに検索
-  let propertyCards = [];
-  if (SITE_TYPE === 'REHOUSE') {
-    propertyCards = document.querySelectorAll('.property-index-card');
-  } else if (SITE_TYPE === 'ATHOME') {
-    propertyCards = document.querySelectorAll('.card-box-inner__detail');
-  } else if (SITE_TYPE === 'HOMES') {
-    const allTables = document.querySelectorAll('.bukkenSpec table');
-    const standardCards = Array.from(allTables).filter(table =>
-      table.querySelector('td.price') && table.querySelector('td.space')
-    );
-    const groupedCards = document.querySelectorAll('.unitSummary tbody tr');
-    propertyCards = [...standardCards, ...groupedCards];
-  } else {
-    propertyCards = document.querySelectorAll('.cassetteitem, .dottable--cassette, [class*="cassette"]');
+  const entries = SITE_ADAPTER.findCards(document).map(card => ({ card, baseUrl: window.location.href }));
+  if (allPages) {
+    const nextPageEntries = await collectNextPageCards(currentSettings.maxExportPages, progressCallback);
+    entries.push(...nextPageEntries);
   }
 
-  console.log(`[${SITE_TYPE}坪単価] 収集対象物件数:`, propertyCards.length);
+  console.log(`[${SITE_TYPE}坪単価] 収集対象物件数:`, entries.length);
 
   // 各物件からデータを抽出
-  propertyCards.forEach((card, index) => {
+  const seenListingKeys = new Set();
+  entries.forEach(({ card, baseUrl }, index) => {
     try {
-      const propertyData = {
-        site: SITE_TYPE,
-        name: '',
-        address: '',
-        price: '',
-        area: '',
-        tsuboPrice: '',
-        heiheiPrice: '',
-        age: '',
-        station: '',
-        url: '',
-        // 詳細ページから取得する情報
-        nameDetail: '',          // 詳細ページの物件名（これで上書き）
-        floor: '',
-        direction: '',
-        buildingFloors: '',
-        managementFee: '',
-        repairFund: '',
-        totalUnits: '',
-        structure: '',
-        parking: '',
-        builtDate: '',
-        company: '',             // 不動産会社名
-        // 追加項目
-        layout: '',              // 間取り
-        salesUnits: '',          // 販売戸数
-        balconyArea: '',         // バルコニー面積
-        repairFundInitial: '',   // 修繕積立基金
-        otherFees: '',           // 諸費用
-        deliveryTime: '',        // 引渡可能時期
-        landArea: '',            // 敷地面積
-        landRights: '',          // 敷地の権利形態
-        zoning: '',              // 用途地域
-        constructor: '',         // 施工会社
-        energyPerformance: '',   // エネルギー消費性能
-        insulation: '',          // 断熱性能
-        utilityEstimate: '',     // 目安光熱費
-        reform: '',              // リフォーム
-        majorPriceRange: '',     // 最多価格帯
-        restrictions: '',        // その他制限事項
-        notes: ''                // その他概要・特記事項
-      };
-
-      // 価格を抽出
-      let priceSelectors = [];
-      if (SITE_TYPE === 'REHOUSE') {
-        priceSelectors = ['.price-text'];
-      } else if (SITE_TYPE === 'ATHOME') {
-        priceSelectors = ['.property-price'];
-      } else if (SITE_TYPE === 'HOMES') {
-        priceSelectors = ['td.price'];
-      } else {
-        priceSelectors = ['.dottable-value', '.dkr-cassetteitem_price--num', '.cassette_price--num'];
-      }
-
-      let priceElement = null;
-      for (const selector of priceSelectors) {
-        priceElement = card.querySelector(selector);
-        if (priceElement) break;
-      }
-
-      // ホームズのグルーピング一覧ページの場合
-      if (!priceElement && SITE_TYPE === 'HOMES' && card.tagName === 'TR') {
-        const verticalTable = card.querySelector('.verticalTable');
-        if (verticalTable) {
-          const ths = verticalTable.querySelectorAll('th');
-          for (const th of ths) {
-            if (th.textContent.includes('価格')) {
-              priceElement = th.nextElementSibling;
-              break;
-            }
-          }
-        }
-      }
-
-      if (priceElement) {
-        propertyData.price = extractNumber(priceElement.textContent);
-      }
-
-      // 面積を抽出
-      let areaElement = null;
-      if (SITE_TYPE === 'REHOUSE') {
-        const elements = card.querySelectorAll('.paragraph-body');
-        for (const el of elements) {
-          if (el.textContent.includes('㎡') || el.textContent.includes('m2') || el.textContent.includes('m')) {
-            areaElement = el;
-            break;
-          }
-        }
-      } else if (SITE_TYPE === 'ATHOME') {
-        const blocks = card.querySelectorAll('.property-detail-table__block');
-        for (const block of blocks) {
-          if (block.textContent.includes('専有面積')) {
-            const spans = block.querySelectorAll('span');
-            for (const span of spans) {
-              if (span.textContent.includes('m') || span.textContent.includes('㎡')) {
-                areaElement = span;
-                break;
-              }
-            }
-            if (areaElement) break;
-          }
-        }
-      } else if (SITE_TYPE === 'HOMES') {
-        areaElement = card.querySelector('td.space');
-        // グルーピング一覧ページの場合
-        if (!areaElement && card.tagName === 'TR') {
-          const verticalTable = card.querySelector('.verticalTable');
-          if (verticalTable) {
-            const ths = verticalTable.querySelectorAll('th');
-            for (const th of ths) {
-              if (th.textContent.includes('専有面積')) {
-                areaElement = th.nextElementSibling;
-                break;
-              }
-            }
-          }
-        }
-      } else {
-        const dts = card.querySelectorAll('dt');
-        for (const dt of dts) {
-          if (dt.textContent.includes('専有面積')) {
-            areaElement = dt.nextElementSibling;
-            break;
-          }
-        }
-      }
-
-      if (areaElement) {
-        propertyData.area = extractNumber(areaElement.textContent);
-      }
-
-      // 坪単価・平米単価を計算
-      if (propertyData.price && propertyData.area) {
-        propertyData.tsuboPrice = calculateTsuboPrice(propertyData.price, propertyData.area);
-        propertyData.heiheiPrice = calculateHeiheiPrice(propertyData.price, propertyData.area);
-      }
-
-      // 物件名・住所を抽出（サイトごとに異なる）
-      if (SITE_TYPE === 'SUUMO') {
-        // 新しいSUUMOレイアウト: dl/dt/dd構造から取得
-        const dts = card.querySelectorAll('dt');
-        for (const dt of dts) {
-          const dtText = dt.textContent.trim();
-          const dd = dt.nextElementSibling;
-
-          if (dtText.includes('物件名') && dd && dd.tagName === 'DD') {
-            propertyData.name = dd.textContent.trim();
-          }
-
-          if (dtText.includes('所在地') && dd && dd.tagName === 'DD') {
-            propertyData.address = dd.textContent.trim();
-          }
-        }
-
-        // 旧レイアウトへのフォールバック
-        if (!propertyData.name) {
-          const titleElement = card.querySelector('.cassetteitem_content-title');
-          if (titleElement) {
-            propertyData.name = titleElement.textContent.trim();
-          }
-        }
-
-        if (!propertyData.address) {
-          const addressElement = card.querySelector('.cassetteitem_detail-col1');
-          if (addressElement) {
-            let addressText = addressElement.textContent.trim().replace(/\s+/g, ' ');
-            const addressMatch = addressText.match(/^([^\n]+(?:区|市|町|村|郡)[^\n]*?)(?:\s{2,}|\n|築|階|専有)/);
-            if (addressMatch) {
-              propertyData.address = addressMatch[1].trim();
-            } else {
-              propertyData.address = addressText.split(/\n/)[0].trim();
-            }
-          }
-        }
-      } else if (SITE_TYPE === 'REHOUSE') {
-        const titleElement = card.querySelector('.property-card-title, [class*="title"]');
-        if (titleElement) {
-          propertyData.name = titleElement.textContent.trim();
-        }
-        const addressElements = card.querySelectorAll('.paragraph-body');
-        for (const el of addressElements) {
-          if (el.textContent.includes('駅') || el.textContent.includes('徒歩')) {
-            continue; // 駅情報はスキップ
-          }
-          if (!el.textContent.includes('㎡') && !el.textContent.includes('m2')) {
-            propertyData.address = el.textContent.trim();
-            break;
-          }
-        }
-      } else if (SITE_TYPE === 'ATHOME') {
-        const titleElement = card.querySelector('.property-title, [class*="title"]');
-        if (titleElement) {
-          propertyData.name = titleElement.textContent.trim();
-        }
-        const addressElement = card.querySelector('.property-address');
-        if (addressElement) {
-          propertyData.address = addressElement.textContent.trim();
-        }
-      } else if (SITE_TYPE === 'HOMES') {
-        const titleElement = card.querySelector('.bukkenName, [class*="name"]');
-        if (titleElement) {
-          propertyData.name = titleElement.textContent.trim();
-        }
-        const addressElement = card.querySelector('.bukkenAdress, [class*="address"]');
-        if (addressElement) {
-          propertyData.address = addressElement.textContent.trim();
-        }
-      }
-
-      // 詳細ページURLを抽出
-      if (SITE_TYPE === 'SUUMO') {
-        // 新しいSUUMOレイアウト: 親要素からリンクを取得
-        const parentDiv = card.closest('.property_unit-body, .ui-media');
-        if (parentDiv) {
-          const links = parentDiv.querySelectorAll('a[href*="/ms/"], a[href*="/chuko/"]');
-          if (links.length > 0) {
-            const href = links[0].getAttribute('href');
-            if (href) {
-              propertyData.url = href.startsWith('http') ? href : new URL(href, window.location.origin).href;
-            }
-          }
-        }
-
-        // 旧レイアウトへのフォールバック
-        if (!propertyData.url) {
-          const linkSelectors = [
-            '.cassetteitem_content-title a',
-            'a[href*="/chuko/"]',
-            'a[href*="/ms/"]'
-          ];
-          for (const selector of linkSelectors) {
-            const linkElement = card.querySelector(selector);
-            if (linkElement) {
-              const href = linkElement.getAttribute('href');
-              if (href && !href.includes('#') && !href.includes('javascript:')) {
-                propertyData.url = href.startsWith('http') ? href : new URL(href, window.location.origin).href;
-                break;
-              }
-            }
-          }
-        }
-      } else {
-        // 他のサイト
-        const linkElement = card.querySelector('a[href]');
-        if (linkElement) {
-          const href = linkElement.getAttribute('href');
-          if (href) {
-            // 相対パスの場合は絶対パスに変換
-            propertyData.url = href.startsWith('http') ? href : new URL(href, window.location.origin).href;
-          }
-        }
-      }
-
-      // 築年数を抽出（可能な場合）
-      const builtYearPatterns = ['築年月', '築年数', '築'];
-      const allText = card.textContent;
-      const builtMatch = allText.match(/築(\d+)年/);
-      if (builtMatch) {
-        propertyData.age = builtMatch[1] + '年';
-      }
+      const propertyData = extractCardPropertyData(card, baseUrl);
 
-      // 駅距離を抽出（可能な場合）
-      const stationMatch = allText.match(/徒歩(\d+)分/);
-      if (stationMatch) {
-        propertyData.station = '徒歩' + stationMatch[1] + '分';
+      // ページの読み込み中に物件が増減すると、前後のページに同じ物件が載るため除く
+      const listingKey = getListingKey(SITE_ADAPTER, propertyData.url);
+      if (listingKey && seenListingKeys.has(listingKey)) {
+        console.log(`[${SITE_TYPE}坪単価] 物件${index + 1}は重複のためスキップ:`, propertyData.url);
+        return;
       }
-
-      // 間取りを抽出（可能な場合）
-      const layoutMatch = allText.match(/(\d+[SLDK]+)/);
-      if (layoutMatch) {
-        propertyData.layout = layoutMatch[1];
+      if (listingKey) {
+        seenListingKeys.add(listingKey);
       }
 
       properties.push(propertyData);
@@ -1221,285 +2423,262 @@ async function collectPropertyData(progressCallback = null) {
   });
 
   console.log(`[${SITE_TYPE}坪単価] 基本情報収集完了。物件数:`, properties.length);
+  return properties;
+}
 
-  // 詳細ページから追加情報を取得（SUUMO専用）
-  if (SITE_TYPE === 'SUUMO' && properties.length > 0) {
-    console.log(`[${SITE_TYPE}坪単価] 詳細ページから追加情報を取得開始...`);
-
-    for (let i = 0; i < properties.length; i++) {
-      const property = properties[i];
-
-      // 進捗通知
-      if (progressCallback) {
-        progressCallback(i + 1, properties.length);
-      }
-
-      if (property.url) {
-        console.log(`[${SITE_TYPE}坪単価] ${i + 1}/${properties.length} 詳細ページ取得: ${property.url}`);
-
-        // 詳細情報を取得
-        const detailInfo = await fetchDetailPageInfo(property.url);
-
-        // プロパティにマージ
-        Object.assign(property, detailInfo);
-
-        // 詳細ページの物件名で上書き
-        if (detailInfo.nameDetail) {
-          property.name = detailInfo.nameDetail;
-        }
-
-        // サーバー負荷軽減: 各リクエスト間に2秒待機
-        if (i < properties.length - 1) {
-          await sleep(2000);
-
-          // 5件ごとに長めの待機（3秒）
-          if ((i + 1) % 5 === 0) {
-            console.log(`[${SITE_TYPE}坪単価] 5件処理完了。追加で1秒待機...`);
-            await sleep(1000);
-          }
-        }
-      }
+/**
+ * エクスポートボタンをすべて有効・無効にする（エクスポート中に別のエクスポートを始めないため）
+ * @param {boolean} disabled - 無効にするかどうか
+ */
+function setExportButtonsDisabled(disabled) {
+  for (const id of Object.keys(EXPORT_BUTTON_LABELS)) {
+    const button = document.getElementById(id);
+    if (button) {
+      button.disabled = disabled;
     }
-
-    console.log(`[${SITE_TYPE}坪単価] 詳細情報取得完了`);
   }
-
-  console.log(`[${SITE_TYPE}坪単価] 全データ収集完了。物件数:`, properties.length);
-  return properties;
 }
 
 /**
- * CSV文字列を生成
- * @param {Array} properties - 物件データの配列
- * @returns {string} - CSV文字列
+ * エクスポートボタンの表示を元に戻す
+ * @param {string} buttonId - ボタンのid
  */
-function generateCSV(properties) {
-  if (properties.length === 0) {
-    return '';
+function resetExportButton(buttonId) {
+  const button = document.getElementById(buttonId);
+  if (button) {
+    button.innerHTML = EXPORT_BUTTON_LABELS[buttonId];
   }
+  setExportButtonsDisabled(false);
+}
 
-  // 英語キーから日本語ヘッダーへのマッピング
-  const headerMap = {
-    site: 'サイト',
-    name: '物件名',
-    address: '住所',
-    price: '価格(万円)',
-    area: '専有面積(㎡)',
-    tsuboPrice: '坪単価(万円/坪)',
-    heiheiPrice: '平米単価(万円/㎡)',
-    age: '築年数',
-    station: '駅距離',
-    floor: '階数',
-    direction: '向き',
-    buildingFloors: '建物階数',
-    managementFee: '管理費',
-    repairFund: '修繕積立金',
-    totalUnits: '総戸数',
-    structure: '構造',
-    parking: '駐車場',
-    builtDate: '築年月',
-    company: '不動産会社',
-    url: 'URL',
-    // 追加項目
-    layout: '間取り',
-    salesUnits: '販売戸数',
-    balconyArea: 'バルコニー面積',
-    repairFundInitial: '修繕積立基金',
-    otherFees: '諸費用',
-    deliveryTime: '引渡可能時期',
-    landArea: '敷地面積',
-    landRights: '敷地の権利形態',
-    zoning: '用途地域',
-    constructor: '施工会社',
-    energyPerformance: 'エネルギー消費性能',
-    insulation: '断熱性能',
-    utilityEstimate: '目安光熱費',
-    reform: 'リフォーム',
-    majorPriceRange: '最多価格帯',
-    restrictions: 'その他制限事項',
-    notes: 'その他概要・特記事項'
-  };
-
-  // nameDetailは内部使用のみなので除外
-  const headers = Object.keys(properties[0]).filter(key => key !== 'nameDetail');
-  const csvRows = [];
-
-  // 日本語ヘッダー行を追加
-  const japaneseHeaders = headers.map(h => headerMap[h] || h);
-  csvRows.push(japaneseHeaders.join(','));
+/**
+ * このページから始めたエクスポートジョブの進捗をボタンに表示
+ * 一時停止・中止はポップアップから行うため、ここでは表示だけを更新する
+ * @param {ExportJob[]} jobs - エクスポートジョブの一覧
+ */
+function updateExportProgress(jobs) {
+  if (!activeExport) return;
+  const { jobId, buttonId } = activeExport;
+  const job = jobs.find(candidate => candidate.id === jobId);
+  const button = document.getElementById(buttonId);
+
+  if (!job || job.status === 'cancelled') {
+    activeExport = null;
+    resetExportButton(buttonId);
+    return;
+  }
+  if (!button) return;
 
-  // データ行を追加
-  for (const property of properties) {
-    const values = headers.map(header => {
-      let value = property[header];
-      if (value === null || value === undefined) {
-        value = '';
-      }
-      // 文字列に変換
-      value = String(value);
-      // カンマ、改行、ダブルクォートを含む場合はダブルクォートで囲む
-      if (value.includes(',') || value.includes('\n') || value.includes('"')) {
-        value = '"' + value.replace(/"/g, '""') + '"';
-      }
-      return value;
-    });
-    csvRows.push(values.join(','));
+  if (job.status === 'completed') {
+    activeExport = null;
+    button.innerHTML = '✅ 完了！';
+    setTimeout(() => resetExportButton(buttonId), 2000);
+    return;
   }
 
-  return csvRows.join('\n');
+  const progress = `${job.completed}/${job.total}`;
+  const html = job.status === 'queued'
+    ? '⏳ 待機中...'
+    : job.status === 'paused'
+      ? `⏸ 一時停止中 ${progress}`
+      : `⏳ 詳細取得中 ${progress}`;
+  if (button.innerHTML !== html) {
+    button.innerHTML = html;
+  }
 }
 
 /**
- * CSVファイルをダウンロード
- * @param {string} csvContent - CSV文字列
+ * 物件データを収集し、詳細ページの取得とCSVのダウンロードをバックグラウンドのエクスポートジョブに任せる
+ * ジョブはタブを閉じても続き、進捗の確認・一時停止・中止はポップアップから行う
+ * @param {HTMLButtonElement} button - 押されたボタン（進捗を表示）
+ * @param {boolean} allPages - 次のページも読み込むかどうか
+ * @param {boolean} forceRefresh - キャッシュを使わずに詳細ページを取得し直すかどうか
  */
-function downloadCSV(csvContent) {
-  // BOM付きUTF-8（Excel対応）
-  const bom = '\uFEFF';
-  const blob = new Blob([bom + csvContent], { type: 'text/csv;charset=utf-8;' });
+async function runCsvExport(button, allPages, forceRefresh) {
+  // 初回使用時のベータ版確認
+  const hasSeenBetaNotice = localStorage.getItem('csvBetaNoticeShown');
+  if (!hasSeenBetaNotice) {
+    const confirmed = confirm(
+      '📊 CSVエクスポート（ベータ版）\n\n' +
+      '現在無料で提供中ですが、以下の点にご留意ください：\n\n' +
+      '✓ ベータ版のため、仕様が変更される可能性があります\n' +
+      '✓ 将来的に有料化する可能性があります\n\n' +
+      'ご了承いただける場合は「OK」を押してください。'
+    );
 
-  // ファイル名生成（日時付き）
-  const now = new Date();
-  const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
-  const timeStr = now.toTimeString().slice(0, 8).replace(/:/g, '');
-  const filename = `物件一覧_${SITE_TYPE}_${dateStr}_${timeStr}.csv`;
+    if (!confirmed) {
+      return; // キャンセルされた場合は処理を中断
+    }
+
+    localStorage.setItem('csvBetaNoticeShown', 'true');
+  }
 
-  // ダウンロード実行
-  const link = document.createElement('a');
-  link.href = URL.createObjectURL(blob);
-  link.download = filename;
-  link.style.display = 'none';
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
+  console.log(`[${SITE_TYPE}坪単価] CSVエクスポート開始`, allPages ? '（全ページ）' : '', forceRefresh ? '（再取得）' : '');
+  setExportButtonsDisabled(true);
+  button.innerHTML = '⏳ 収集中...';
 
-  // メモリ解放
-  URL.revokeObjectURL(link.href);
+  try {
+    // 進捗表示コールバック
+    const progressCallback = (current, total) => {
+      button.innerHTML = `⏳ ページ取得中 ${current}（最大${total}）`;
+    };
+
+    const properties = await collectPropertyData(progressCallback, allPages);
+    if (properties.length === 0) {
+      alert('エクスポート可能な物件データが見つかりませんでした。');
+      resetExportButton(button.id);
+      return;
+    }
+
+    const job = await sendRuntimeMessage({
+      type: 'startExportJob',
+      site: SITE_TYPE,
+      title: document.title,
+      sourceUrl: window.location.href,
+      properties,
+      forceRefresh
+    });
+    if (!job) {
+      throw new Error('エクスポートジョブを開始できません');
+    }
 
-  console.log(`[${SITE_TYPE}坪単価] CSVダウンロード完了:`, filename);
+    console.log(`[${SITE_TYPE}坪単価] エクスポートジョブを開始しました:`, job.id);
+    activeExport = { jobId: job.id, buttonId: button.id };
+    updateExportProgress(await loadExportJobs());
+  } catch (error) {
+    console.error(`[${SITE_TYPE}坪単価] CSVエクスポートエラー:`, error);
+    alert('CSVエクスポート中にエラーが発生しました。コンソールを確認してください。');
+    button.innerHTML = '❌ エラー';
+    setTimeout(() => resetExportButton(button.id), 2000);
+  }
 }
 
 /**
  * エクスポートボタンを作成
+ * 次のページがある一覧ページでは「全ページ」のボタンも追加する
  */
 function createExportButton() {
   // 既存のボタンがあれば削除
-  const existing = document.getElementById('fudosan-csv-export-button');
-  if (existing) {
-    existing.remove();
+  for (const id of Object.keys(EXPORT_BUTTON_LABELS)) {
+    document.getElementById(id)?.remove();
   }
 
   // ボタン作成
   const button = document.createElement('button');
   button.id = 'fudosan-csv-export-button';
   button.className = 'fudosan-csv-export-button';
-  button.innerHTML = '📊 CSVエクスポート (β版・SUUMO専用)';
-  button.title = '【ベータ版機能】現在のページの物件データをCSV形式でダウンロード\n・SUUMO専用（他サイトは今後対応予定）\n・無料提供中ですが、将来的に有料化する可能性があります';
+  button.innerHTML = EXPORT_BUTTON_LABELS[button.id];
+  button.title = '【ベータ版機能】現在のページの物件データをCSV形式でダウンロード\n・詳細ページの取得はバックグラウンドで続き、進捗はツールバーのアイコンから確認・一時停止できます\n・一度取得した詳細ページはキャッシュを使います（Shiftキーを押しながらクリックすると取得し直します）\n・SUUMO、三井のリハウス、アットホーム、ホームズに対応\n・無料提供中ですが、将来的に有料化する可能性があります';
 
   // クリックイベント（非同期対応）
-  button.addEventListener('click', async () => {
-    // 初回使用時のベータ版確認
-    const hasSeenBetaNotice = localStorage.getItem('csvBetaNoticeShown');
-    if (!hasSeenBetaNotice) {
-      const confirmed = confirm(
-        '📊 CSVエクスポート（ベータ版）\n\n' +
-        '現在無料で提供中ですが、以下の点にご留意ください：\n\n' +
-        '✓ SUUMO専用機能です\n' +
-        '✓ ベータ版のため、仕様が変更される可能性があります\n' +
-        '✓ 将来的に有料化する可能性があります\n\n' +
-        'ご了承いただける場合は「OK」を押してください。'
-      );
-
-      if (!confirmed) {
-        return; // キャンセルされた場合は処理を中断
-      }
-
-      localStorage.setItem('csvBetaNoticeShown', 'true');
-    }
+  button.addEventListener('click', (event) => runCsvExport(button, false, event.shiftKey));
 
-    console.log(`[${SITE_TYPE}坪単価] CSVエクスポート開始`);
-    button.disabled = true;
-    button.innerHTML = '⏳ 収集中...';
+  // ボタンをページに追加
+  document.body.appendChild(button);
+  console.log(`[${SITE_TYPE}坪単価] エクスポートボタンを追加しました`);
 
-    try {
-      // 進捗表示コールバック
-      const progressCallback = (current, total) => {
-        button.innerHTML = `⏳ 詳細取得中 ${current}/${total}`;
-      };
-
-      const properties = await collectPropertyData(progressCallback);
-      if (properties.length === 0) {
-        alert('エクスポート可能な物件データが見つかりませんでした。');
-        button.innerHTML = '📊 CSVエクスポート (β版・SUUMO専用)';
-        button.disabled = false;
-        return;
-      }
+  if (!SITE_ADAPTER.findNextPageUrl(document, window.location.href)) {
+    return;
+  }
+  const allPagesButton = document.createElement('button');
+  allPagesButton.id = 'fudosan-csv-export-all-button';
+  allPagesButton.className = 'fudosan-csv-export-button fudosan-csv-export-button--all';
+  allPagesButton.innerHTML = EXPORT_BUTTON_LABELS[allPagesButton.id];
+  allPagesButton.title = `【ベータ版機能】次のページも順に読み込み、最大${currentSettings.maxExportPages}ページ分の物件データを1つのCSVにまとめてダウンロード\n・最大ページ数は設定画面で変更できます\n・Shiftキーを押しながらクリックすると、キャッシュを使わずに詳細ページを取得し直します`;
+  allPagesButton.addEventListener('click', (event) => runCsvExport(allPagesButton, true, event.shiftKey));
+  document.body.appendChild(allPagesButton);
+}
 
-      button.innerHTML = '📝 CSV生成中...';
-      const csvContent = generateCSV(properties);
-      downloadCSV(csvContent);
+/**
+ * 単価表示とエクスポートボタンを追加
+ */
+function startUnitPriceDisplay() {
+  // ページ読み込み時に処理
+  processAllProperties();
 
-      button.innerHTML = '✅ 完了！';
-      setTimeout(() => {
-        button.innerHTML = '📊 CSVエクスポート (β版・SUUMO専用)';
-        button.disabled = false;
-      }, 2000);
-    } catch (error) {
-      console.error(`[${SITE_TYPE}坪単価] CSVエクスポートエラー:`, error);
-      alert('CSVエクスポート中にエラーが発生しました。コンソールを確認してください。');
-      button.innerHTML = '❌ エラー';
-      setTimeout(() => {
-        button.innerHTML = '📊 CSVエクスポート (β版・SUUMO専用)';
-        button.disabled = false;
-      }, 2000);
+  // エクスポートボタン・並べ替えパネルを追加（一覧ページのみ）
+  // エラーが起きても他の機能に影響しないようにtry-catchで囲む
+  try {
+    if (SITE_ADAPTER.findCards(document).length > 0) {
+      console.log(`[${SITE_TYPE}坪単価] 一覧ページと判定、エクスポートボタン・並べ替えパネルを追加`);
+      createExportButton();
+      createSortControl();
     }
-  });
+  } catch (error) {
+    console.error(`[${SITE_TYPE}坪単価] エクスポートボタン追加エラー:`, error);
+  }
+}
 
-  // ボタンをページに追加
-  document.body.appendChild(button);
-  console.log(`[${SITE_TYPE}坪単価] エクスポートボタンを追加しました`);
+/**
+ * 追加した単価表示とエクスポートボタンをすべて削除
+ */
+function stopUnitPriceDisplay() {
+  document.querySelectorAll('.suumo-unit-price').forEach(badge => badge.remove());
+  document.getElementById('fudosan-csv-export-button')?.remove();
+  document.getElementById('fudosan-csv-export-all-button')?.remove();
+  document.getElementById('fudosan-sort-control')?.remove();
+  document.getElementById('fudosan-building-panel')?.remove();
+  document.getElementById('fudosan-loan-panel')?.remove();
+  // 並べ替え・絞り込みを解除してページの状態に戻す
+  const cards = SITE_ADAPTER.findCards(document);
+  reorderWithinParents(collectSortableItems(cards), createSortComparator('default'));
+  document.querySelectorAll('.fudosan-filtered-out').forEach(element => element.classList.remove('fudosan-filtered-out'));
+  processedElements.clear();
+  cardUnitPrices.clear();
+}
+
+/**
+ * 変更された設定を反映（ページを再読み込みせずに単価表示を作り直す）
+ * @param {DisplaySettings} settings - 変更後の設定
+ */
+function applySettings(settings) {
+  console.log(`[${SITE_TYPE}坪単価] 設定が変更されました:`, settings);
+  currentSettings = settings;
+  stopUnitPriceDisplay();
+  if (isSiteEnabled(currentSettings, SITE_TYPE)) {
+    startUnitPriceDisplay();
+  }
 }
 
 /**
  * 初期化処理
  */
-function init() {
+async function init() {
+  if (!SITE_ADAPTER) {
+    console.log(`[${SITE_TYPE}坪単価] 対応していないサイトです:`, window.location.hostname);
+    return;
+  }
+
   console.log(`[${SITE_TYPE}坪単価] 拡張機能が起動しました`);
   console.log(`[${SITE_TYPE}坪単価] URL:`, window.location.href);
 
-  // ページ読み込み時に処理
-  processAllProperties();
+  try {
+    currentSettings = await loadSettings();
+  } catch (error) {
+    console.error(`[${SITE_TYPE}坪単価] 設定の読み込みに失敗しました。既定の設定で表示します:`, error);
+  }
+  onSettingsChanged(applySettings);
+  listenForPopupMessages();
+
+  try {
+    setWatchedListingKeys(await loadWatchlist());
+  } catch (error) {
+    console.error(`[${SITE_TYPE}坪単価] ウォッチリストの読み込みに失敗しました:`, error);
+  }
+  onWatchlistChanged((watchlist) => {
+    setWatchedListingKeys(watchlist);
+    updateWatchButtons();
+  });
+  onExportJobsChanged(updateExportProgress);
 
   // DOM変更を監視（無限スクロール対応）
   observeDOMChanges();
 
-  // エクスポートボタンを追加（一覧ページのみ）
-  // エラーが起きても他の機能に影響しないようにtry-catchで囲む
-  try {
-    // 詳細ページかどうかを判定
-    let propertyCards = [];
-    if (SITE_TYPE === 'REHOUSE') {
-      propertyCards = document.querySelectorAll('.property-index-card');
-    } else if (SITE_TYPE === 'ATHOME') {
-      propertyCards = document.querySelectorAll('.card-box-inner__detail');
-    } else if (SITE_TYPE === 'HOMES') {
-      const allTables = document.querySelectorAll('.bukkenSpec table');
-      const standardCards = Array.from(allTables).filter(table =>
-        table.querySelector('td.price') && table.querySelector('td.space')
-      );
-      const groupedCards = document.querySelectorAll('.unitSummary tbody tr');
-      propertyCards = [...standardCards, ...groupedCards];
-    } else {
-      propertyCards = document.querySelectorAll('.cassetteitem, .dottable--cassette, [class*="cassette"]');
-    }
-
-    if (propertyCards.length > 0) {
-      console.log(`[${SITE_TYPE}坪単価] 一覧ページと判定、エクスポートボタンを追加`);
-      createExportButton();
-    }
-  } catch (error) {
-    console.error(`[${SITE_TYPE}坪単価] エクスポートボタン追加エラー:`, error);
+  if (!isSiteEnabled(currentSettings, SITE_TYPE)) {
+    console.log(`[${SITE_TYPE}坪単価] このサイトでの表示は設定で無効になっています`);
+    return;
   }
+  startUnitPriceDisplay();
 }
 
 // DOMContentLoaded後に初期化
@@ -0,0 +1,161 @@
+/**
+ * ウォッチリストのダッシュボード
+ * 全サイトで保存した物件を一覧表示し、並べ替え・メモ・削除を行う
+ * 物件ページやほかのタブでの変更は storage.onChanged 経由で反映される
+ */
+
+const sortSelect = document.getElementById('sort-select');
+const watchlistRows = document.getElementById('watchlist-rows');
+
+// 表示中のウォッチリスト（物件キー -> 保存した物件）
+let currentWatchlist = {};
+
+/**
+ * サイト識別子から表示名を取得
+ * @param {string} siteId - サイトアダプターのid
+ * @returns {string}
+ */
+function getSiteLabel(siteId) {
+  const adapter = SITE_ADAPTERS.find(candidate => candidate.id === siteId);
+  return adapter ? adapter.label : siteId;
+}
+
+/**
+ * 価格を表示用の文字列に変換（価格帯は「3,980万円～5,480万円」）
+ * @param {WatchlistItem} item - 保存した物件
+ * @returns {string}
+ */
+function formatItemPrice(item) {
+  const format = (value) => `${value.toLocaleString()}万円`;
+  return item.priceMax ? `${format(item.price)}～${format(item.priceMax)}` : format(item.price);
+}
+
+/**
+ * 数値を単位付きの文字列に変換（値がない場合は「-」）
+ * @param {?number} value - 数値
+ * @param {string} unit - 単位
+ * @returns {string}
+ */
+function formatItemValue(value, unit) {
+  return value === null || value === undefined ? '-' : `${value.toLocaleString()}${unit}`;
+}
+
+/**
+ * 並べ替えの比較関数を作成（値がない物件は常に末尾）
+ * @param {string} order - 並べ替え順（sort-selectの値）
+ * @returns {function(WatchlistItem, WatchlistItem): number}
+ */
+function createWatchlistComparator(order) {
+  if (order === 'addedDesc') {
+    return (a, b) => b.addedAt.localeCompare(a.addedAt);
+  }
+  const key = order.startsWith('tsubo') ? 'tsuboPrice' : 'price';
+  const direction = order.endsWith('Desc') ? -1 : 1;
+  return (a, b) => {
+    const aValue = a[key] ?? null;
+    const bValue = b[key] ?? null;
+    if (aValue === null || bValue === null) {
+      return (aValue === null) - (bValue === null);
+    }
+    return (aValue - bValue) * direction;
+  };
+}
+
+/**
+ * 物件1件分の行を作成
+ * @param {WatchlistItem} item - 保存した物件
+ * @returns {HTMLTableRowElement}
+ */
+function createWatchlistRow(item) {
+  const row = document.createElement('tr');
+  const addCell = (text, className) => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (className) cell.className = className;
+    row.appendChild(cell);
+    return cell;
+  };
+
+  addCell(getSiteLabel(item.site));
+
+  const nameCell = addCell('');
+  const link = document.createElement('a');
+  link.href = item.url;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = item.name || item.url;
+  nameCell.appendChild(link);
+  if (item.address) {
+    const address = document.createElement('div');
+    address.className = 'address';
+    address.textContent = item.address;
+    nameCell.appendChild(address);
+  }
+
+  addCell(formatItemPrice(item), 'number');
+  addCell(formatItemValue(item.area, '㎡'), 'number');
+  addCell(formatItemValue(item.tsuboPrice, '万円/坪'), 'number');
+  addCell(formatItemValue(item.heiheiPrice, '万円/㎡'), 'number');
+  addCell(item.addedAt.slice(0, 10), 'number');
+
+  const note = document.createElement('textarea');
+  note.rows = 2;
+  note.value = item.note;
+  note.dataset.listingKey = item.listingKey;
+  note.addEventListener('change', () => updateWatchlistNote(item.listingKey, note.value));
+  addCell('').appendChild(note);
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.textContent = '削除';
+  removeButton.addEventListener('click', () => removeFromWatchlist(item.listingKey));
+  addCell('').appendChild(removeButton);
+
+  return row;
+}
+
+/**
+ * ウォッチリストを表示
+ * 入力中のメモは書きかけの内容とフォーカスを引き継ぐ
+ */
+function renderWatchlist() {
+  const items = Object.values(currentWatchlist).sort(createWatchlistComparator(sortSelect.value));
+
+  const focused = document.activeElement && document.activeElement.matches('textarea[data-listing-key]')
+    ? document.activeElement
+    : null;
+
+  watchlistRows.textContent = '';
+  for (const item of items) {
+    watchlistRows.appendChild(createWatchlistRow(item));
+  }
+
+  if (focused) {
+    const replacement = watchlistRows.querySelector(`textarea[data-listing-key="${CSS.escape(focused.dataset.listingKey)}"]`);
+    if (replacement) {
+      replacement.value = focused.value;
+      replacement.focus();
+    }
+  }
+
+  const siteCount = new Set(items.map(item => item.site)).size;
+  document.getElementById('summary').textContent = items.length > 0 ? `${items.length}件（${siteCount}サイト）` : '';
+  document.getElementById('empty').hidden = items.length > 0;
+  document.getElementById('watchlist-table').hidden = items.length === 0;
+}
+
+/**
+ * ダッシュボードの初期化
+ */
+async function initDashboard() {
+  currentWatchlist = await loadWatchlist();
+  renderWatchlist();
+
+  sortSelect.addEventListener('change', renderWatchlist);
+  onWatchlistChanged((watchlist) => {
+    currentWatchlist = watchlist;
+    renderWatchlist();
+  });
+}
+
+initDashboard();
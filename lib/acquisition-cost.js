@@ -0,0 +1,152 @@
+/**
+ * 購入時の諸費用（仲介手数料・登記費用・不動産取得税・印紙税・修繕積立基金など）と総取得費用の概算
+ * 詳細ページの単価表示（コンテンツスクリプト）とCSVエクスポート（バックグラウンド）で共有する
+ *
+ * lib/parser.js の extractYen() と normalizeNumberText() を使用
+ */
+
+// 消費税率
+const CONSUMPTION_TAX_RATE = 0.1;
+
+// 固定資産税評価額の物件価格に対する割合（評価額は掲載されないため、実勢価格の7割程度とする）
+const ASSESSED_VALUE_RATIO = 0.7;
+
+// 所有権移転登記の登録免許税率（土地の軽減税率1.5%を建物分にも当てはめた概算）
+const TRANSFER_REGISTRATION_TAX_RATE = 0.015;
+
+// 抵当権設定登記の登録免許税率（住宅用家屋の軽減税率）
+const MORTGAGE_REGISTRATION_TAX_RATE = 0.001;
+
+// 司法書士報酬の目安（円）
+const JUDICIAL_SCRIVENER_FEE = 100000;
+
+// 不動産取得税率（税率3%に宅地の課税標準1/2の特例を全体に当てはめた概算、住宅の控除は考慮しないため多めになる）
+const REAL_ESTATE_ACQUISITION_TAX_RATE = 0.015;
+
+// 売買契約書の印紙税（軽減措置後、[契約金額の上限（万円）, 税額（円）]）
+const STAMP_DUTY_BRACKETS = [
+  [50, 200],
+  [100, 500],
+  [500, 1000],
+  [1000, 5000],
+  [5000, 10000],
+  [10000, 30000],
+  [50000, 60000],
+  [100000, 160000],
+  [500000, 320000],
+  [Infinity, 480000]
+];
+
+/**
+ * @typedef {Object} AcquisitionCosts
+ * @property {number} price - 物件価格（円）
+ * @property {number} brokerageFee - 仲介手数料（税込、円、売主・代理の物件は0）
+ * @property {number} registrationCost - 登記費用（登録免許税と司法書士報酬、円）
+ * @property {number} acquisitionTax - 不動産取得税（円）
+ * @property {number} stampDuty - 売買契約書の印紙税（円）
+ * @property {?number} repairFundInitial - 修繕積立基金（円、わからない場合はnull）
+ * @property {?number} otherFees - 掲載されている諸費用のうち修繕積立基金以外の一時金（円、わからない場合はnull）
+ * @property {number} overhead - 諸費用の合計（円）
+ * @property {number} total - 総取得費用（物件価格＋諸費用、円）
+ */
+
+/**
+ * 取引態様から仲介手数料がかかるかどうかを判定（わからない場合は仲介とみなす）
+ * @param {string} transactionType - 取引態様（「仲介」「売主」「代理」など）
+ * @returns {boolean}
+ */
+function requiresBrokerageFee(transactionType) {
+  if (!transactionType || /仲介|媒介/.test(transactionType)) {
+    return true;
+  }
+  return !/売主|代理/.test(transactionType);
+}
+
+/**
+ * 宅建業法の上限額で仲介手数料を計算（200万円以下5%、400万円以下4%＋2万円、400万円超3%＋6万円、税込）
+ * @param {number} price - 物件価格（円）
+ * @returns {number} - 仲介手数料（円）
+ */
+function calculateBrokerageFee(price) {
+  let fee;
+  if (price <= 2000000) {
+    fee = price * 0.05;
+  } else if (price <= 4000000) {
+    fee = price * 0.04 + 20000;
+  } else {
+    fee = price * 0.03 + 60000;
+  }
+  return Math.round(fee * (1 + CONSUMPTION_TAX_RATE));
+}
+
+/**
+ * 売買契約書の印紙税を取得
+ * @param {number} price - 物件価格（万円）
+ * @returns {number} - 印紙税（円）
+ */
+function calculateStampDuty(price) {
+  return STAMP_DUTY_BRACKETS.find(([limit]) => price <= limit)[1];
+}
+
+/**
+ * 諸費用の欄（「修繕積立基金：45万6000円（一括払い）、管理準備金：1万2000円（一括払い）」など）から一時金を取得
+ * 月額の項目（「インターネット使用料：1100円／月」）は除く
+ * @param {string} text - 諸費用
+ * @returns {{repairFundInitial: ?number, others: ?number}} - 修繕積立基金とそれ以外の合計（円）
+ */
+function parseOtherFees(text) {
+  const result = { repairFundInitial: null, others: null };
+  if (!text) return result;
+
+  for (const item of text.normalize('NFKC').split(/、|\s(?=\S+:)/)) {
+    const amount = extractYen(item);
+    if (amount === null || /\/月|月額/.test(normalizeNumberText(item))) continue;
+    if (item.includes('修繕積立基金')) {
+      result.repairFundInitial = (result.repairFundInitial || 0) + amount;
+    } else {
+      result.others = (result.others || 0) + amount;
+    }
+  }
+  return result;
+}
+
+/**
+ * 購入時の諸費用と総取得費用を概算
+ * @param {number} price - 物件価格（万円）
+ * @param {Object} detail - 詳細ページの追加情報（transactionType, repairFundInitial, otherFees）
+ * @param {number} loanAmount - 借入額（円、抵当権設定登記の登録免許税に使う）
+ * @returns {AcquisitionCosts}
+ */
+function calculateAcquisitionCosts(price, detail, loanAmount) {
+  const priceYen = Math.round(price * 10000);
+  const assessedValue = priceYen * ASSESSED_VALUE_RATIO;
+  const otherFees = parseOtherFees(detail.otherFees);
+  // 修繕積立基金の欄を優先し、なければ諸費用の欄から取得
+  const repairFundInitial = extractYen(detail.repairFundInitial) ?? otherFees.repairFundInitial;
+
+  const costs = {
+    price: priceYen,
+    brokerageFee: requiresBrokerageFee(detail.transactionType) ? calculateBrokerageFee(priceYen) : 0,
+    registrationCost: Math.round(
+      assessedValue * TRANSFER_REGISTRATION_TAX_RATE + loanAmount * MORTGAGE_REGISTRATION_TAX_RATE + JUDICIAL_SCRIVENER_FEE
+    ),
+    acquisitionTax: Math.round(assessedValue * REAL_ESTATE_ACQUISITION_TAX_RATE),
+    stampDuty: calculateStampDuty(price),
+    repairFundInitial,
+    otherFees: otherFees.others
+  };
+  costs.overhead = costs.brokerageFee + costs.registrationCost + costs.acquisitionTax + costs.stampDuty +
+    (costs.repairFundInitial || 0) + (costs.otherFees || 0);
+  costs.total = priceYen + costs.overhead;
+  return costs;
+}
+
+/**
+ * 総取得費用から実質坪単価を計算
+ * @param {AcquisitionCosts} costs - calculateAcquisitionCosts()の結果
+ * @param {number} area - 面積（㎡）
+ * @returns {number} - 実質坪単価（万円/坪）
+ */
+function calculateEffectiveTsuboPrice(costs, area) {
+  return costs.total / 10000 / (area / TSUBO_SQM);
+}
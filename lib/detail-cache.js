@@ -0,0 +1,129 @@
+/**
+ * 詳細ページの取得結果のキャッシュ（IndexedDB）
+ * エクスポートジョブで解析した詳細ページの追加情報を詳細ページURLごとに保存し、
+ * 有効期間内の再エクスポートや重なる検索条件ではサイトにアクセスせずに使う（バックグラウンドで使用）
+ *
+ * - details: 詳細ページURL -> 追加情報と取得日時
+ *
+ * history-store.js の requestToPromise() と transactionDone() を使用
+ */
+
+const DETAIL_CACHE_DB_NAME = 'fudosan-detail-cache';
+const DETAIL_CACHE_DB_VERSION = 1;
+
+// 保存する最大件数（超えた分は取得日時の古い順に削除）
+const DETAIL_CACHE_MAX_ENTRIES = 5000;
+
+/**
+ * @typedef {Object} CachedDetailInfo
+ * @property {string} url - 詳細ページURL
+ * @property {string} site - サイト識別子
+ * @property {Object} detailInfo - 追加情報（createEmptyDetailInfo()の29項目）
+ * @property {number} fetchedAt - 取得日時（ミリ秒）
+ */
+
+let detailCacheDatabasePromise = null;
+
+/**
+ * データベースを開く（初回はストアを作成）
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDetailCacheDatabase() {
+  if (!detailCacheDatabasePromise) {
+    const request = indexedDB.open(DETAIL_CACHE_DB_NAME, DETAIL_CACHE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const details = request.result.createObjectStore('details', { keyPath: 'url' });
+      details.createIndex('fetchedAt', 'fetchedAt');
+    };
+    detailCacheDatabasePromise = requestToPromise(request).catch(error => {
+      detailCacheDatabasePromise = null;
+      throw error;
+    });
+  }
+  return detailCacheDatabasePromise;
+}
+
+/**
+ * 有効期間内のキャッシュを取得
+ * @param {string} url - 詳細ページURL
+ * @param {number} maxAgeMs - 有効期間（ミリ秒）
+ * @returns {Promise<?Object>} - 追加情報、キャッシュがないか古い場合はnull
+ */
+async function getCachedDetailInfo(url, maxAgeMs) {
+  const db = await openDetailCacheDatabase();
+  const transaction = db.transaction('details', 'readonly');
+  const entry = await requestToPromise(transaction.objectStore('details').get(url));
+  if (!entry || Date.now() - entry.fetchedAt > maxAgeMs) {
+    return null;
+  }
+  return entry.detailInfo;
+}
+
+/**
+ * 取得した追加情報を保存（同じURLの古いキャッシュは置き換える）
+ * @param {string} url - 詳細ページURL
+ * @param {string} site - サイト識別子
+ * @param {Object} detailInfo - 追加情報
+ * @returns {Promise<void>}
+ */
+async function putCachedDetailInfo(url, site, detailInfo) {
+  const db = await openDetailCacheDatabase();
+  const transaction = db.transaction('details', 'readwrite');
+  transaction.objectStore('details').put({ url, site, detailInfo, fetchedAt: Date.now() });
+  await transactionDone(transaction);
+}
+
+/**
+ * 有効期間を過ぎたキャッシュと、最大件数を超えた古いキャッシュを削除
+ * @param {number} maxAgeMs - 有効期間（ミリ秒）
+ * @returns {Promise<number>} - 削除した件数
+ */
+async function pruneDetailCache(maxAgeMs) {
+  const db = await openDetailCacheDatabase();
+  const transaction = db.transaction('details', 'readwrite');
+  const store = transaction.objectStore('details');
+  const expiredBefore = Date.now() - maxAgeMs;
+  let excess = Math.max(0, await requestToPromise(store.count()) - DETAIL_CACHE_MAX_ENTRIES);
+  let removed = 0;
+
+  // 取得日時の古い順に、期限切れか件数超過の間だけ削除
+  await new Promise((resolve, reject) => {
+    const request = store.index('fetchedAt').openCursor();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || (cursor.value.fetchedAt >= expiredBefore && excess <= 0)) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      removed++;
+      excess--;
+      cursor.continue();
+    };
+  });
+
+  await transactionDone(transaction);
+  return removed;
+}
+
+/**
+ * キャッシュの件数を取得
+ * @returns {Promise<number>}
+ */
+async function countDetailCache() {
+  const db = await openDetailCacheDatabase();
+  const transaction = db.transaction('details', 'readonly');
+  return requestToPromise(transaction.objectStore('details').count());
+}
+
+/**
+ * キャッシュをすべて削除
+ * @returns {Promise<void>}
+ */
+async function clearDetailCache() {
+  const db = await openDetailCacheDatabase();
+  const transaction = db.transaction('details', 'readwrite');
+  transaction.objectStore('details').clear();
+  await transactionDone(transaction);
+}
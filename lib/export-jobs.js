@@ -0,0 +1,503 @@
+/**
+ * バックグラウンドのエクスポートジョブ
+ * 一覧ページで収集した物件の詳細ページを1件ずつ取得してCSVにする。
+ * ジョブと途中までの結果は chrome.storage.local に保存し、タブを閉じても、
+ * service workerやブラウザが再起動しても続きから再開する（同時に実行するジョブは1つ）
+ * 有効期間内に取得した詳細ページは detail-cache.js のキャッシュを使い、サイトにアクセスしない
+ */
+
+// ジョブごとの物件データの chrome.storage.local のキー（後ろにジョブIDと物件の番号）
+// 1件ごとに保存するため、物件ごとに別のキーにする（全件を書き直すと件数の2乗に比例して書き込みが増える）
+const EXPORT_JOB_DATA_KEY_PREFIX = 'exportJobData:';
+
+// 詳細ページの取得に失敗した場合の再試行回数と、最初の再試行までの待機時間（ミリ秒、再試行のたびに2倍）
+// service workerは30秒ほど何もしないと停止するため、待機時間は最大でも20秒にとどめる
+const EXPORT_RETRY_LIMIT = 3;
+const EXPORT_RETRY_BASE_DELAY_MS = 5000;
+
+// 残しておく終了済み（完了・中止）のジョブの数
+const EXPORT_FINISHED_JOBS_TO_KEEP = 5;
+
+// ジョブの再開を確認するアラーム（service workerが停止しても1分ごとに起こす）
+const EXPORT_WATCHDOG_ALARM = 'exportJobsWatchdog';
+
+// ジョブ一覧の更新を順番に行うためのPromise（読み込みと保存の間に別の更新が割り込まないように）
+let exportJobsUpdateChain = Promise.resolve();
+
+// 実行中のキュー処理（多重に起動しないため）
+let exportQueuePromise = null;
+
+// ダウンロードの完了を待つ上限（ミリ秒、完了後にオブジェクトURLを解放する）
+const EXPORT_DOWNLOAD_TIMEOUT_MS = 60000;
+
+// 作成中のオフスクリーンドキュメント（多重に作成しないため）
+let offscreenDocumentPromise = null;
+
+/**
+ * ジョブ一覧を読み込んで変更し、保存する（他の更新と重ならないよう順番に実行）
+ * @param {function(ExportJob[]): *} update - ジョブ一覧を変更する関数
+ * @returns {Promise<*>} - updateの戻り値
+ */
+function updateExportJobs(update) {
+  const next = exportJobsUpdateChain.then(async () => {
+    const jobs = await loadExportJobs();
+    const result = update(jobs);
+    await chrome.storage.local.set({ [EXPORT_JOBS_STORAGE_KEY]: jobs });
+    return result;
+  });
+  exportJobsUpdateChain = next.catch(() => {});
+  return next;
+}
+
+/**
+ * ジョブの項目を更新
+ * @param {string} jobId - ジョブID
+ * @param {Partial<ExportJob>} changes - 変更する項目
+ * @returns {Promise<?ExportJob>} - 更新後のジョブ、削除済みの場合はnull
+ */
+function patchExportJob(jobId, changes) {
+  return updateExportJobs(jobs => {
+    const job = jobs.find(candidate => candidate.id === jobId);
+    if (!job) {
+      return null;
+    }
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    return { ...job };
+  });
+}
+
+/**
+ * ジョブの物件データのキーを取得
+ * @param {string} jobId - ジョブID
+ * @param {number} total - 物件数
+ * @returns {string[]}
+ */
+function getExportJobDataKeys(jobId, total) {
+  return Array.from({ length: total }, (_, index) => `${EXPORT_JOB_DATA_KEY_PREFIX}${jobId}:${index}`);
+}
+
+/**
+ * ジョブの物件データを読み込む
+ * 保存されていない物件は空のオブジェクトにする（後ろの物件の番号がずれて、別の番号のキーに保存しないため）
+ * @param {ExportJob} job - エクスポートジョブ
+ * @returns {Promise<Object[]>} - 物件の番号順
+ */
+async function loadExportJobData(job) {
+  const keys = getExportJobDataKeys(job.id, job.total);
+  const result = await chrome.storage.local.get(keys);
+  const missing = keys.filter(key => !result[key]).length;
+  if (missing > 0) {
+    console.warn(`[${job.site}坪単価] エクスポートジョブの物件データが${missing}件見つかりません: ${job.id}`);
+  }
+  return keys.map(key => result[key] || {});
+}
+
+/**
+ * ジョブの物件データを保存（ジョブの作成時に全件）
+ * @param {string} jobId - ジョブID
+ * @param {Object[]} properties - 物件データ
+ * @returns {Promise<void>}
+ */
+function saveExportJobData(jobId, properties) {
+  const keys = getExportJobDataKeys(jobId, properties.length);
+  return chrome.storage.local.set(Object.fromEntries(keys.map((key, index) => [key, properties[index]])));
+}
+
+/**
+ * 詳細ページを取得した物件1件分のデータを保存
+ * @param {string} jobId - ジョブID
+ * @param {number} index - 物件の番号
+ * @param {Object} property - 物件データ
+ * @returns {Promise<void>}
+ */
+function saveExportJobRow(jobId, index, property) {
+  return chrome.storage.local.set({ [`${EXPORT_JOB_DATA_KEY_PREFIX}${jobId}:${index}`]: property });
+}
+
+/**
+ * ジョブの物件データを削除
+ * @param {ExportJob} job - エクスポートジョブ
+ * @returns {Promise<void>}
+ */
+function removeExportJobData(job) {
+  return chrome.storage.local.remove(getExportJobDataKeys(job.id, job.total));
+}
+
+/**
+ * エクスポートジョブを作成してキューに追加
+ * @param {{site: string, title: string, sourceUrl: string, properties: Object[], forceRefresh: boolean}} request - 一覧ページで収集した物件
+ * @returns {Promise<ExportJob>}
+ */
+async function createExportJob({ site, title, sourceUrl, properties, forceRefresh = false }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    site,
+    title,
+    sourceUrl,
+    status: 'queued',
+    forceRefresh,
+    total: properties.length,
+    completed: 0,
+    failed: 0,
+    cached: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+  await saveExportJobData(job.id, properties);
+
+  const removedJobs = await updateExportJobs(jobs => {
+    jobs.push(job);
+    // 古い終了済みのジョブを削除（保存容量を使いすぎないため）
+    const finished = jobs.filter(candidate => candidate.status === 'completed' || candidate.status === 'cancelled');
+    const removed = finished.slice(0, Math.max(0, finished.length - EXPORT_FINISHED_JOBS_TO_KEEP));
+    removed.forEach(candidate => jobs.splice(jobs.indexOf(candidate), 1));
+    return removed;
+  });
+  for (const removedJob of removedJobs) {
+    await removeExportJobData(removedJob);
+  }
+
+  runExportQueue();
+  return job;
+}
+
+/**
+ * ジョブを一時停止（取得中の物件の処理が終わった時点で止まる）
+ * @param {string} jobId - ジョブID
+ * @returns {Promise<?ExportJob>}
+ */
+function pauseExportJob(jobId) {
+  return updateExportJobs(jobs => {
+    const job = jobs.find(candidate => candidate.id === jobId);
+    if (job && (job.status === 'running' || job.status === 'queued')) {
+      job.status = 'paused';
+      job.updatedAt = new Date().toISOString();
+    }
+    return job || null;
+  });
+}
+
+/**
+ * 一時停止したジョブを再開（実行中のジョブがあればその後に実行）
+ * @param {string} jobId - ジョブID
+ * @returns {Promise<?ExportJob>}
+ */
+async function resumeExportJob(jobId) {
+  const job = await updateExportJobs(jobs => {
+    const target = jobs.find(candidate => candidate.id === jobId);
+    if (target && target.status === 'paused') {
+      target.status = 'queued';
+      target.runError = null;
+      target.updatedAt = new Date().toISOString();
+    }
+    return target || null;
+  });
+  runExportQueue();
+  return job;
+}
+
+/**
+ * ジョブを中止（途中までの結果はダウンロードできる）
+ * @param {string} jobId - ジョブID
+ * @returns {Promise<?ExportJob>}
+ */
+function cancelExportJob(jobId) {
+  return updateExportJobs(jobs => {
+    const job = jobs.find(candidate => candidate.id === jobId);
+    if (job && job.status !== 'completed') {
+      job.status = 'cancelled';
+      job.updatedAt = new Date().toISOString();
+    }
+    return job || null;
+  });
+}
+
+/**
+ * ジョブと物件データを削除
+ * @param {string} jobId - ジョブID
+ * @returns {Promise<void>}
+ */
+async function removeExportJob(jobId) {
+  const job = await updateExportJobs(jobs => {
+    const index = jobs.findIndex(candidate => candidate.id === jobId);
+    return index === -1 ? null : jobs.splice(index, 1)[0];
+  });
+  if (job) {
+    await removeExportJobData(job);
+  }
+}
+
+/**
+ * ダウンロードが終わる（完了・中断）まで待つ
+ * @param {number} downloadId - chrome.downloads.download()のID
+ * @returns {Promise<void>} - 上限の時間を過ぎた場合も解決する
+ */
+function waitForDownload(downloadId) {
+  return new Promise(resolve => {
+    const finish = () => {
+      clearTimeout(timer);
+      chrome.downloads.onChanged.removeListener(listener);
+      resolve();
+    };
+    const listener = (delta) => {
+      if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') {
+        finish();
+      }
+    };
+    const timer = setTimeout(finish, EXPORT_DOWNLOAD_TIMEOUT_MS);
+    chrome.downloads.onChanged.addListener(listener);
+  });
+}
+
+/**
+ * ジョブの結果（詳細ページの取得を終えた物件まで）をCSVでダウンロード
+ * @param {string} jobId - ジョブID
+ * @returns {Promise<number>} - ダウンロードした物件数
+ */
+async function downloadExportJob(jobId) {
+  const job = (await loadExportJobs()).find(candidate => candidate.id === jobId);
+  if (!job) {
+    throw new Error('エクスポートジョブが見つかりません');
+  }
+  // 物件データが見つからなかった物件（空のオブジェクト）は行にしない
+  const properties = (await loadExportJobData(job)).slice(0, job.completed)
+    .filter(property => Object.keys(property).length > 0);
+  if (properties.length === 0) {
+    throw new Error('ダウンロードできる物件がまだありません');
+  }
+
+  // service workerではURL.createObjectURLを使えず、data URLは件数が多いとURLの長さの上限を超えるため、
+  // オフスクリーンドキュメントでBlobのURLを作成してダウンロード（BOM付きUTF-8、Excel対応）
+  const csvContent = '\uFEFF' + generateCSV(createExportRows(properties, await loadSettings()));
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    type: 'createObjectUrl',
+    content: csvContent,
+    mimeType: 'text/csv;charset=utf-8'
+  });
+  if (!response || !response.ok) {
+    throw new Error(response ? response.error : 'CSVのファイルを作成できません');
+  }
+  try {
+    const downloadId = await chrome.downloads.download({
+      url: response.result,
+      filename: createCsvFilename(job.site, new Date())
+    });
+    await waitForDownload(downloadId);
+  } finally {
+    await chrome.runtime.sendMessage({ target: 'offscreen', type: 'revokeObjectUrl', url: response.result });
+  }
+  if (job.downloadError) {
+    await patchExportJob(jobId, { downloadError: null });
+  }
+  return properties.length;
+}
+
+/**
+ * HTMLを解析するオフスクリーンドキュメントを用意（service workerにはDOMParserがないため）
+ * @returns {Promise<void>}
+ */
+async function ensureOffscreenDocument() {
+  if (await chrome.offscreen.hasDocument()) {
+    return;
+  }
+  if (!offscreenDocumentPromise) {
+    offscreenDocumentPromise = chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['DOM_PARSER', 'BLOBS'],
+      justification: 'CSVエクスポートで物件の詳細ページのHTMLを解析し、CSVのファイルを作成するため'
+    }).finally(() => {
+      offscreenDocumentPromise = null;
+    });
+  }
+  await offscreenDocumentPromise;
+}
+
+/**
+ * ページを取得（通信エラー・429・5xxの場合は待機時間を倍にしながら再試行）
+ * @param {string} url - ページURL
+ * @returns {Promise<string>} - HTML
+ */
+async function fetchWithRetry(url) {
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    let retryable;
+    try {
+      const response = await fetch(url);
+      if (response.ok) {
+        return await response.text();
+      }
+      error = new Error(`HTTP ${response.status}`);
+      retryable = response.status === 429 || response.status >= 500;
+    } catch (fetchError) {
+      // 通信エラー
+      error = fetchError;
+      retryable = true;
+    }
+
+    if (!retryable || attempt >= EXPORT_RETRY_LIMIT) {
+      throw error;
+    }
+    const delay = EXPORT_RETRY_BASE_DELAY_MS * 2 ** attempt;
+    console.warn(`[坪単価] 詳細ページの取得に失敗、${delay / 1000}秒後に再試行します (${attempt + 1}/${EXPORT_RETRY_LIMIT}): ${url}`, error);
+    await sleep(delay);
+  }
+}
+
+/**
+ * 詳細ページを取得し、オフスクリーンドキュメントでサイトアダプターを使って解析
+ * 有効期間内のキャッシュがあればそれを使い（再取得のジョブを除く）、取得した結果はキャッシュに保存する
+ * @param {string} url - 詳細ページURL
+ * @param {ExportJob} job - エクスポートジョブ（一覧ページのURLで売買・賃貸のアダプターを選ぶ）
+ * @param {number} cacheMaxAgeMs - キャッシュの有効期間（ミリ秒、0の場合はキャッシュを使わない）
+ * @returns {Promise<{detailInfo: Object, fromCache: boolean}>} - 追加情報（createEmptyDetailInfo()の29項目）
+ */
+async function fetchDetailPageInfo(url, job, cacheMaxAgeMs) {
+  if (cacheMaxAgeMs > 0 && !job.forceRefresh) {
+    try {
+      const cached = await getCachedDetailInfo(url, cacheMaxAgeMs);
+      if (cached) {
+        return { detailInfo: cached, fromCache: true };
+      }
+    } catch (error) {
+      // キャッシュが使えなくてもサイトから取得する
+      console.error('[坪単価] 詳細ページのキャッシュを読み込めません:', error);
+    }
+  }
+
+  const html = await fetchWithRetry(url);
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    type: 'parseDetailPage',
+    site: job.site,
+    sourceUrl: job.sourceUrl,
+    url,
+    html
+  });
+  if (!response || !response.ok) {
+    throw new Error(response ? response.error : '詳細ページを解析できません');
+  }
+
+  if (cacheMaxAgeMs > 0) {
+    try {
+      await putCachedDetailInfo(url, job.site, response.result);
+    } catch (error) {
+      console.error('[坪単価] 詳細ページのキャッシュを保存できません:', error);
+    }
+  }
+  return { detailInfo: response.result, fromCache: false };
+}
+
+/**
+ * ジョブの物件の詳細ページを続きから取得
+ * 1件ごとに結果（その物件のキーのみ）を保存し、一時停止・中止された場合はその時点で終了する
+ * 完了時の自動ダウンロードに失敗した場合は、ポップアップに表示するためジョブに記録する
+ * @param {string} jobId - ジョブID
+ * @returns {Promise<void>}
+ */
+async function runExportJob(jobId) {
+  let job = await patchExportJob(jobId, { status: 'running' });
+  const properties = job ? await loadExportJobData(job) : [];
+  const cacheMaxAgeMs = (await loadSettings()).detailCacheTtlHours * 60 * 60 * 1000;
+  let requestCount = 0;
+
+  while (job && job.status === 'running' && job.completed < properties.length) {
+    const index = job.completed;
+    const property = properties[index];
+    let failed = false;
+    let fromCache = false;
+
+    if (property.url) {
+      try {
+        let detailInfo;
+        ({ detailInfo, fromCache } = await fetchDetailPageInfo(property.url, job, cacheMaxAgeMs));
+        Object.assign(property, detailInfo);
+        // 詳細ページの物件名で上書き
+        if (detailInfo.nameDetail) {
+          property.name = detailInfo.nameDetail;
+        }
+      } catch (error) {
+        console.error(`[${job.site}坪単価] 詳細ページ取得エラー: ${property.url}`, error);
+        failed = true;
+      }
+    }
+
+    await saveExportJobRow(jobId, index, property);
+    job = await updateExportJobs(jobs => {
+      const target = jobs.find(candidate => candidate.id === jobId);
+      if (!target) {
+        return null;
+      }
+      target.completed = index + 1;
+      target.failed += failed ? 1 : 0;
+      target.cached += fromCache ? 1 : 0;
+      target.updatedAt = new Date().toISOString();
+      return { ...target };
+    });
+
+    // キャッシュを使った物件はサイトにアクセスしていないため待たない
+    if (job && job.completed < properties.length && property.url && !fromCache) {
+      requestCount++;
+      await waitBeforeNextRequest(requestCount);
+      job = (await loadExportJobs()).find(candidate => candidate.id === jobId) || null;
+    }
+  }
+
+  if (job && job.status === 'running') {
+    await patchExportJob(jobId, { status: 'completed' });
+    try {
+      await downloadExportJob(jobId);
+    } catch (error) {
+      console.error(`[${job.site}坪単価] CSVダウンロードエラー:`, error);
+      await patchExportJob(jobId, { downloadError: error.message || String(error) });
+    }
+  }
+}
+
+/**
+ * キューのジョブを順に実行（実行中のジョブがあれば何もしない）
+ * 実行中・待機中のジョブがある間はアラームでservice workerを起こし、停止しても再開する
+ * 保存容量の超過などでジョブを続けられない場合は、同じ物件で失敗し続けないよう理由を記録して一時停止する
+ * @returns {Promise<void>}
+ */
+function runExportQueue() {
+  if (exportQueuePromise) {
+    return exportQueuePromise;
+  }
+  exportQueuePromise = (async () => {
+    let ranJob = false;
+    for (;;) {
+      const jobs = await loadExportJobs();
+      // service workerの停止で中断した実行中のジョブを優先
+      const job = jobs.find(candidate => candidate.status === 'running') ||
+        jobs.find(candidate => candidate.status === 'queued');
+      if (!job) {
+        break;
+      }
+      await chrome.alarms.create(EXPORT_WATCHDOG_ALARM, { periodInMinutes: 1 });
+      try {
+        await runExportJob(job.id);
+      } catch (error) {
+        console.error(`[${job.site}坪単価] エクスポートジョブの実行エラー:`, error);
+        await patchExportJob(job.id, { status: 'paused', runError: error.message || String(error) });
+      }
+      ranJob = true;
+    }
+    await chrome.alarms.clear(EXPORT_WATCHDOG_ALARM);
+    if (await chrome.offscreen.hasDocument()) {
+      await chrome.offscreen.closeDocument();
+    }
+    if (ranJob) {
+      // 期限切れ・件数超過のキャッシュを削除
+      await pruneDetailCache((await loadSettings()).detailCacheTtlHours * 60 * 60 * 1000);
+    }
+  })().catch(error => {
+    console.error('[坪単価] エクスポートジョブの実行エラー:', error);
+  }).finally(() => {
+    exportQueuePromise = null;
+  });
+  return exportQueuePromise;
+}
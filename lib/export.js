@@ -0,0 +1,315 @@
+/**
+ * CSVエクスポートの共通処理
+ * コンテンツスクリプト（物件カードの収集・進捗表示）、バックグラウンド（詳細ページの取得・CSVの生成）、
+ * ポップアップ（ジョブの操作）で共有する
+ *
+ * CSVの生成（createExportRows()）には lib/parser.js、lib/loan.js、lib/acquisition-cost.js、lib/property-flags.js、lib/loan-deduction.js、lib/repair-fund.js が必要
+ */
+
+// エクスポートジョブの一覧を保存する chrome.storage.local のキー（物件データはジョブごとに別のキー）
+const EXPORT_JOBS_STORAGE_KEY = 'exportJobs';
+
+// サーバー負荷軽減のためのリクエスト間隔（ミリ秒）と、長めに待つ間隔（件数）
+const REQUEST_INTERVAL_MS = 2000;
+const REQUEST_LONG_INTERVAL_MS = 3000;
+const REQUEST_LONG_INTERVAL_EVERY = 5;
+
+/**
+ * @typedef {Object} ExportJob
+ * @property {string} id - ジョブID
+ * @property {string} site - サイト識別子
+ * @property {string} title - 一覧ページのタイトル（ポップアップの表示用）
+ * @property {string} sourceUrl - エクスポートを始めた一覧ページのURL
+ * @property {'queued'|'running'|'paused'|'completed'|'cancelled'} status - 状態
+ * @property {boolean} forceRefresh - キャッシュを使わずにすべての詳細ページを取得し直すかどうか
+ * @property {number} total - 物件数
+ * @property {number} completed - 詳細ページの取得を終えた物件数（この件数までの結果をダウンロードできる）
+ * @property {number} failed - 再試行しても詳細ページを取得できなかった物件数
+ * @property {number} cached - 詳細ページのキャッシュを使った物件数
+ * @property {?string} [downloadError] - 完了時の自動ダウンロードに失敗した理由（ダウンロードし直すと消える）
+ * @property {?string} [runError] - 実行中のエラーで一時停止した理由（再開すると消える）
+ * @property {string} createdAt - 作成日時（ISO 8601）
+ * @property {string} updatedAt - 更新日時（ISO 8601）
+ */
+
+/**
+ * 指定ミリ秒待機する
+ * @param {number} ms - 待機時間（ミリ秒）
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * サーバー負荷軽減のため、次のリクエストまで待機（2秒、5件ごとに3秒）
+ * @param {number} count - これまでのリクエスト数
+ */
+function waitBeforeNextRequest(count) {
+  return sleep(count % REQUEST_LONG_INTERVAL_EVERY === 0 ? REQUEST_LONG_INTERVAL_MS : REQUEST_INTERVAL_MS);
+}
+
+/**
+ * CSV文字列を生成
+ * @param {Array} properties - 物件データの配列
+ * @returns {string} - CSV文字列
+ */
+function generateCSV(properties) {
+  if (properties.length === 0) {
+    return '';
+  }
+
+  // 英語キーから日本語ヘッダーへのマッピング
+  const headerMap = {
+    site: 'サイト',
+    name: '物件名',
+    address: '住所',
+    price: '価格(万円)',
+    priceMax: '価格上限(万円)',
+    rent: '賃料(円/月)',
+    commonFee: '管理費・共益費(円/月)',
+    rentTsuboPrice: '坪単価(円/坪/月)',
+    rentHeiheiPrice: '平米単価(円/㎡/月)',
+    totalRentTsuboPrice: '管理費込坪単価(円/坪/月)',
+    totalRentHeiheiPrice: '管理費込平米単価(円/㎡/月)',
+    area: '専有面積(㎡)',
+    areaMax: '専有面積上限(㎡)',
+    tsuboPrice: '坪単価(万円/坪)',
+    tsuboPriceMax: '坪単価上限(万円/坪)',
+    heiheiPrice: '平米単価(万円/㎡)',
+    heiheiPriceMax: '平米単価上限(万円/㎡)',
+    landAreaSqm: '土地面積(㎡)',
+    buildingAreaSqm: '建物面積(㎡)',
+    privateRoadArea: '私道負担(㎡)',
+    landTsuboPrice: '土地坪単価(万円/坪)',
+    buildingTsuboPrice: '建物坪単価(万円/坪)',
+    age: '築年数',
+    station: '駅距離',
+    floor: '階数',
+    direction: '向き',
+    buildingFloors: '建物階数',
+    managementFee: '管理費',
+    repairFund: '修繕積立金',
+    totalUnits: '総戸数',
+    structure: '構造',
+    parking: '駐車場',
+    builtDate: '築年月',
+    company: '不動産会社',
+    url: 'URL',
+    // 追加項目
+    layout: '間取り',
+    salesUnits: '販売戸数',
+    balconyArea: 'バルコニー面積',
+    repairFundInitial: '修繕積立基金',
+    otherFees: '諸費用',
+    deliveryTime: '引渡可能時期',
+    landArea: '敷地面積',
+    landRights: '敷地の権利形態',
+    zoning: '用途地域',
+    constructor: '施工会社',
+    energyPerformance: 'エネルギー消費性能',
+    insulation: '断熱性能',
+    utilityEstimate: '目安光熱費',
+    reform: 'リフォーム',
+    majorPriceRange: '最多価格帯',
+    restrictions: 'その他制限事項',
+    notes: 'その他概要・特記事項',
+    transactionType: '取引態様',
+    // 数値に正規化した項目（createExportRows()で追加）
+    managementFeeYen: '管理費(円/月)',
+    repairFundYen: '修繕積立金(円/月)',
+    floorNumber: '所在階(階)',
+    buildingFloorCount: '建物階数(階)',
+    totalUnitCount: '総戸数(戸)',
+    buildingAge: '築年数(年)',
+    walkMinutes: '駅徒歩(分)',
+    runningCostPerSqm: '管理費等(円/㎡/月)',
+    loanPayment: 'ローン返済(円/月)',
+    totalMonthlyCost: '毎月の支払い(円/月)',
+    acquisitionOverhead: '購入時の諸費用(万円)',
+    acquisitionCost: '総取得費用(万円)',
+    effectiveTsuboPrice: '実質坪単価(万円/坪)',
+    // 注意点のフラグ（createPropertyFlagColumns()で追加、1: 該当、0: 非該当、空欄: 判定不可）
+    oldSeismicFlag: '旧耐震(フラグ)',
+    seismicBorderlineFlag: '耐震基準要確認(フラグ)',
+    lightStructureFlag: '木造・軽量鉄骨(フラグ)',
+    highRiseNoSeismicNoteFlag: '超高層・耐震記載なし(フラグ)',
+    leaseholdFlag: '借地権(フラグ)',
+    fixedTermLeaseholdFlag: '定期借地権(フラグ)',
+    rebuildProhibitedFlag: '再建築不可(フラグ)',
+    setbackRequiredFlag: 'セットバック要(フラグ)',
+    disclosureRequiredFlag: '告知事項あり(フラグ)',
+    managementCompanyChangeFlag: '管理会社変更予定(フラグ)',
+    // 住宅ローン控除（createLoanDeductionColumns()で追加）
+    loanDeduction: '住宅ローン控除',
+    loanDeductionLimit: '住宅ローン控除の借入限度額(万円)',
+    // 修繕積立金の水準（createRepairFundColumns()で追加）
+    repairFundPerSqm: '修繕積立金(円/㎡/月)',
+    repairFundGrade: '修繕積立金の水準'
+  };
+
+  // nameDetailは内部使用のみなので除外
+  const headers = Object.keys(properties[0]).filter(key => key !== 'nameDetail');
+  const csvRows = [];
+
+  // 日本語ヘッダー行を追加
+  const japaneseHeaders = headers.map(h => headerMap[h] || h);
+  csvRows.push(japaneseHeaders.join(','));
+
+  // データ行を追加
+  for (const property of properties) {
+    const values = headers.map(header => {
+      // 詳細ページを取得できなかった物件にはない項目もある（constructorなどObjectのプロパティと混同しないため）
+      let value = Object.hasOwn(property, header) ? property[header] : '';
+      if (value === null || value === undefined) {
+        value = '';
+      }
+      // 文字列に変換
+      value = String(value);
+      // カンマ、改行、ダブルクォートを含む場合はダブルクォートで囲む
+      if (value.includes(',') || value.includes('\n') || value.includes('"')) {
+        value = '"' + value.replace(/"/g, '""') + '"';
+      }
+      return value;
+    });
+    csvRows.push(values.join(','));
+  }
+
+  return csvRows.join('\n');
+}
+
+/**
+ * 文字列のままの項目から、表計算ソフトなどでそのまま扱える数値の項目を作成
+ * 取得できない項目は空欄
+ * @param {Object} property - 物件データ
+ * @param {Date} now - 築年数の基準日
+ * @returns {Object} - 数値の項目
+ */
+function createNormalizedColumns(property, now) {
+  const builtDate = parseBuiltDate(property.builtDate);
+  // 築年月がない場合は一覧ページの「築20年」を使う
+  const cardAge = parseInt(property.age, 10);
+  const buildingAge = builtDate ? calculateBuildingAge(builtDate, now) : (Number.isNaN(cardAge) ? null : cardAge);
+  const columns = {
+    managementFeeYen: extractYen(property.managementFee),
+    repairFundYen: extractYen(property.repairFund),
+    floorNumber: parseFloor(property.floor),
+    buildingFloorCount: parseBuildingFloors(property.buildingFloors),
+    totalUnitCount: parseUnitCount(property.totalUnits),
+    buildingAge,
+    walkMinutes: parseWalkMinutes(property.station)
+  };
+  for (const [key, value] of Object.entries(columns)) {
+    columns[key] = value ?? '';
+  }
+  return columns;
+}
+
+/**
+ * 管理費・修繕積立金の㎡あたりと、ローンを含めた毎月の支払いの項目を作成（売買のみ、計算できない項目は空欄）
+ * @param {Object} property - 物件データ
+ * @param {Object} normalized - createNormalizedColumns()の結果
+ * @param {LoanConditions} loan - ローンの条件
+ * @returns {Object}
+ */
+function createRunningCostColumns(property, normalized, loan) {
+  const toNumber = (value) => value === '' || value === undefined ? null : Number(value);
+  const costs = property.price === undefined
+    ? null
+    : calculateRunningCosts(
+      toNumber(property.price),
+      toNumber(property.area),
+      toNumber(normalized.managementFeeYen),
+      toNumber(normalized.repairFundYen),
+      loan
+    );
+  return {
+    runningCostPerSqm: costs?.runningCostPerSqm ?? '',
+    loanPayment: costs?.loanPayment ?? '',
+    totalMonthlyCost: costs?.totalMonthlyCost ?? ''
+  };
+}
+
+/**
+ * 購入時の諸費用・総取得費用と実質坪単価の項目を作成（売買のみ、価格がわからない物件は空欄）
+ * 実質坪単価は専有面積がある物件のみ（土地・一戸建ては空欄）
+ * @param {Object} property - 物件データ
+ * @param {LoanConditions} loan - ローンの条件（抵当権設定登記の登録免許税に使う）
+ * @param {number} decimals - 実質坪単価の小数点以下の桁数
+ * @returns {Object}
+ */
+function createAcquisitionCostColumns(property, loan, decimals) {
+  if (property.price === undefined || property.price === '') {
+    return { acquisitionOverhead: '', acquisitionCost: '', effectiveTsuboPrice: '' };
+  }
+  const price = Number(property.price);
+  const costs = calculateAcquisitionCosts(price, property, calculateLoanAmount(price, loan));
+  const factor = 10 ** decimals;
+  return {
+    acquisitionOverhead: Math.round(costs.overhead / 10000),
+    acquisitionCost: Math.round(costs.total / 10000),
+    effectiveTsuboPrice: property.area
+      ? Math.round(calculateEffectiveTsuboPrice(costs, Number(property.area)) * factor) / factor
+      : ''
+  };
+}
+
+/**
+ * CSVに出力する行を作成（元の文字列の項目はそのまま残し、数値に正規化した項目と毎月の支払い・総取得費用・注意点のフラグ・住宅ローン控除・修繕積立金の水準の項目を後ろに追加）
+ * @param {Object[]} properties - 物件データ
+ * @param {DisplaySettings} settings - 設定（ローンの条件・小数点以下の桁数）
+ * @param {Date} [now] - 築年数の基準日
+ * @returns {Object[]}
+ */
+function createExportRows(properties, settings, now = new Date()) {
+  const loan = getLoanConditions(settings);
+  return properties.map(property => {
+    const normalized = createNormalizedColumns(property, now);
+    return {
+      ...property,
+      ...normalized,
+      ...createRunningCostColumns(property, normalized, loan),
+      ...createAcquisitionCostColumns(property, loan, settings.decimals),
+      ...createPropertyFlagColumns(property, now),
+      ...createLoanDeductionColumns(property, loan, now),
+      ...createRepairFundColumns(property, normalized)
+    };
+  });
+}
+
+/**
+ * ダウンロードするCSVのファイル名を作成
+ * @param {string} site - サイト識別子
+ * @param {Date} date - 作成日時
+ * @returns {string} - 「物件一覧_SUUMO_20261019_153000.csv」の形式
+ */
+function createCsvFilename(site, date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const dateStr = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const timeStr = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `物件一覧_${site}_${dateStr}_${timeStr}.csv`;
+}
+
+/**
+ * エクスポートジョブの一覧を読み込む
+ * @returns {Promise<ExportJob[]>} - 作成順のジョブ
+ */
+async function loadExportJobs() {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+    return [];
+  }
+  const result = await chrome.storage.local.get(EXPORT_JOBS_STORAGE_KEY);
+  return result[EXPORT_JOBS_STORAGE_KEY] || [];
+}
+
+/**
+ * エクスポートジョブの変更（進捗・状態）を監視
+ * @param {function(ExportJob[]): void} callback - 変更後のジョブ一覧を受け取る関数
+ */
+function onExportJobsChanged(callback) {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.onChanged) return;
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[EXPORT_JOBS_STORAGE_KEY]) {
+      callback(changes[EXPORT_JOBS_STORAGE_KEY].newValue || []);
+    }
+  });
+}
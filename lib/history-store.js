@@ -0,0 +1,248 @@
+/**
+ * 価格履歴の保存（IndexedDB）
+ * 拡張機能のバックグラウンド（service worker）で使用し、全サイトの履歴を1つのデータベースにまとめる
+ *
+ * - listings: 物件ごとの最新情報（キー: 'SUUMO:nc_12345678' のような物件キー）
+ * - observations: 物件を見たときの価格・面積・坪単価（同じ日に同じ価格なら記録しない）
+ */
+
+const HISTORY_DB_NAME = 'fudosan-price-history';
+const HISTORY_DB_VERSION = 1;
+
+/**
+ * @typedef {Object} ListingSnapshot
+ * @property {string} listingKey - 物件キー（サイトID:物件ID）
+ * @property {string} site - サイト識別子
+ * @property {string} url - 詳細ページURL
+ * @property {string} name - 物件名
+ * @property {string} address - 住所
+ * @property {number} price - 価格（万円、価格帯の場合は下限）
+ * @property {?number} priceMax - 価格帯の上限（範囲でない場合はnull）
+ * @property {?number} area - 面積（㎡）
+ * @property {?number} tsuboPrice - 坪単価（万円/坪）
+ * @property {number} [floor] - 所在階（詳細ページか一覧ページの表示で取得できた場合のみ、地下は負の数）
+ * @property {string} [direction] - 向き（詳細ページで取得できた場合のみ）
+ * @property {number} [buildingAge] - 築年数（一覧ページで取得できた場合のみ、土地・一戸建ては含まない）
+ * @property {number} [walkMinutes] - 駅徒歩の分数（一覧ページで取得できた場合のみ、土地・一戸建ては含まない）
+ */
+
+/**
+ * @typedef {Object} DuplicateListing
+ * @property {string} listingKey - 他サイトの物件キー
+ * @property {string} site - 他サイトの識別子
+ * @property {string} url - 他サイトの詳細ページURL
+ * @property {number} price - 他サイトでの価格（万円）
+ * @property {string} lastSeenAt - 他サイトで最後に見た日（YYYY-MM-DD）
+ */
+
+/**
+ * @typedef {Object} PriceObservation
+ * @property {string} listingKey - 物件キー
+ * @property {string} date - 記録日（YYYY-MM-DD、ローカル時刻）
+ * @property {number} price - 価格（万円）
+ * @property {?number} priceMax - 価格帯の上限
+ * @property {?number} area - 面積（㎡）
+ * @property {?number} tsuboPrice - 坪単価（万円/坪）
+ */
+
+let historyDatabasePromise = null;
+
+/**
+ * IDBRequestをPromiseに変換
+ * @param {IDBRequest} request - リクエスト
+ * @returns {Promise<*>}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * トランザクションの完了を待つ
+ * @param {IDBTransaction} transaction - トランザクション
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * データベースを開く（初回はストアを作成）
+ * @returns {Promise<IDBDatabase>}
+ */
+function openHistoryDatabase() {
+  if (!historyDatabasePromise) {
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('listings', { keyPath: 'listingKey' });
+      const observations = db.createObjectStore('observations', { autoIncrement: true });
+      observations.createIndex('listingKey', 'listingKey');
+    };
+    historyDatabasePromise = requestToPromise(request).catch(error => {
+      historyDatabasePromise = null;
+      throw error;
+    });
+  }
+  return historyDatabasePromise;
+}
+
+/**
+ * 日付をローカル時刻のYYYY-MM-DD形式に変換
+ * @param {Date} date - 日付
+ * @returns {string}
+ */
+function formatLocalDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * 物件を見たことを記録し、各物件の履歴を返す
+ * 直前の記録と同じ日で価格・面積が変わっていない場合は記録しない
+ * @param {ListingSnapshot[]} listings - 表示中の物件
+ * @param {Date} [seenAt] - 記録日時
+ * @returns {Promise<Object<string, PriceObservation[]>>} - 物件キー -> 古い順の履歴
+ */
+async function recordListingObservations(listings, seenAt = new Date()) {
+  const db = await openHistoryDatabase();
+  const date = formatLocalDate(seenAt);
+  const transaction = db.transaction(['listings', 'observations'], 'readwrite');
+  const listingStore = transaction.objectStore('listings');
+  const observationStore = transaction.objectStore('observations');
+  const histories = {};
+
+  for (const listing of listings) {
+    const history = await requestToPromise(observationStore.index('listingKey').getAll(listing.listingKey));
+    const latest = history[history.length - 1];
+    const observation = {
+      listingKey: listing.listingKey,
+      date,
+      price: listing.price,
+      priceMax: listing.priceMax ?? null,
+      area: listing.area ?? null,
+      tsuboPrice: listing.tsuboPrice ?? null
+    };
+    const changed = !latest ||
+      latest.date !== date ||
+      latest.price !== observation.price ||
+      latest.priceMax !== observation.priceMax ||
+      latest.area !== observation.area;
+    if (changed) {
+      observationStore.add(observation);
+      history.push(observation);
+    }
+
+    // 詳細ページでは住所などが空のため、空文字で既存の値を上書きしない
+    const existing = await requestToPromise(listingStore.get(listing.listingKey));
+    const merged = { ...existing };
+    for (const [key, value] of Object.entries(listing)) {
+      if (value !== '' && value !== undefined) {
+        merged[key] = value;
+      }
+    }
+    listingStore.put({
+      ...merged,
+      firstSeenAt: existing ? existing.firstSeenAt : date,
+      lastSeenAt: date
+    });
+    histories[listing.listingKey] = history;
+  }
+
+  await transactionDone(transaction);
+  return histories;
+}
+
+/**
+ * 記録済みの物件から、他サイトに掲載されている同じ住戸を探す
+ * 比較には記録済みの情報（詳細ページで取得した所在階なども含む）を使い、
+ * 同じマンションの別の階の住戸を他サイトの掲載と表示しないよう、両方の所在階がわかる物件のみ比べる
+ * @param {ListingSnapshot[]} listings - 表示中の物件
+ * @returns {Promise<Object<string, DuplicateListing[]>>} - 物件キー -> 他サイトの同じ住戸（価格の安い順）
+ */
+async function findDuplicateListings(listings) {
+  const db = await openHistoryDatabase();
+  const transaction = db.transaction('listings', 'readonly');
+  const stored = await requestToPromise(transaction.objectStore('listings').getAll());
+  const storedByKey = new Map(stored.map(listing => [listing.listingKey, listing]));
+
+  const duplicates = {};
+  for (const listing of listings) {
+    const target = { ...listing, ...storedByKey.get(listing.listingKey) };
+    duplicates[listing.listingKey] = stored
+      .filter(candidate => target.floor != null && candidate.floor != null && isSameListingUnit(target, candidate))
+      .sort((a, b) => a.price - b.price)
+      .map(({ listingKey, site, url, price, lastSeenAt }) => ({ listingKey, site, url, price, lastSeenAt }));
+  }
+  return duplicates;
+}
+
+/**
+ * 記録済みの物件から、同じマンションの物件（指定した物件自身を含む）を探す
+ * @param {string} listingKey - 物件キー
+ * @returns {Promise<Array<ListingSnapshot & {lastSeenAt: string}>>} - 同じマンションの物件（所在階の高い順）、未記録の場合は空
+ */
+async function findBuildingListings(listingKey) {
+  const db = await openHistoryDatabase();
+  const transaction = db.transaction('listings', 'readonly');
+  const stored = await requestToPromise(transaction.objectStore('listings').getAll());
+  const target = stored.find(listing => listing.listingKey === listingKey);
+  if (!target) {
+    return [];
+  }
+  return stored
+    .filter(listing => listing === target || isSameBuilding(target, listing))
+    .sort((a, b) => (b.floor ?? -Infinity) - (a.floor ?? -Infinity));
+}
+
+/**
+ * 記録済みの物件から、相場モデルの回帰に使える同じ市区町村の物件を探す
+ * 一覧ページで築年数・駅徒歩分・面積・坪単価を記録したマンションのみ
+ * 複数のサイトに掲載された同じ住戸は1件にまとめる（同じ住戸を重複して回帰に使わないため、最後に見た掲載を使う）
+ * @param {string[]} addresses - 表示中の物件の住所（市区町村で比べる）
+ * @returns {Promise<Array<{listingKey: string, listingKeys: string[], tsuboPrice: number, buildingAge: number, walkMinutes: number, area: number}>>}
+ *   - listingKeysはまとめた掲載すべての物件キー
+ */
+async function findValuationSamples(addresses) {
+  const db = await openHistoryDatabase();
+  const transaction = db.transaction('listings', 'readonly');
+  const stored = await requestToPromise(transaction.objectStore('listings').getAll());
+  const targets = new Set(addresses.map(getListingMunicipality).filter(Boolean));
+  const candidates = stored.filter(listing =>
+    listing.buildingAge != null && listing.walkMinutes != null && listing.area != null && listing.tsuboPrice != null &&
+    targets.has(getListingMunicipality(listing.address))
+  );
+
+  const units = [];
+  for (const listing of candidates) {
+    const unit = units.find(group => group.some(other => isSameListingUnit(other, listing)));
+    if (unit) {
+      unit.push(listing);
+    } else {
+      units.push([listing]);
+    }
+  }
+  return units.map(group => {
+    const latest = group.reduce((a, b) => (b.lastSeenAt > a.lastSeenAt ? b : a));
+    const { listingKey, tsuboPrice, buildingAge, walkMinutes, area } = latest;
+    return { listingKey, listingKeys: group.map(listing => listing.listingKey), tsuboPrice, buildingAge, walkMinutes, area };
+  });
+}
+
+/**
+ * 記録した履歴をすべて削除
+ * @returns {Promise<void>}
+ */
+async function clearListingHistory() {
+  const db = await openHistoryDatabase();
+  const transaction = db.transaction(['listings', 'observations'], 'readwrite');
+  transaction.objectStore('listings').clear();
+  transaction.objectStore('observations').clear();
+  await transactionDone(transaction);
+}
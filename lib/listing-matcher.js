@@ -0,0 +1,131 @@
+/**
+ * 他サイトに掲載されている同じ住戸・同じマンションの判定
+ * 価格履歴に記録した物件の物件名・住所・面積・所在階・価格を比べる（バックグラウンドで使用）
+ */
+
+// 同じ住戸とみなす面積の差（㎡、サイトによって小数点以下の桁数が異なるため）
+const MATCH_AREA_TOLERANCE_SQM = 0.5;
+
+// 同じ住戸とみなす価格の差の割合（掲載サイトごとの価格差は数%程度のため、大きく違う場合は別の住戸）
+const MATCH_PRICE_TOLERANCE_RATIO = 0.2;
+
+// 部分一致で比べる物件名の最低文字数（「レジデンス」などの短い名前どうしの誤判定を防ぐ）
+const MATCH_MIN_NAME_LENGTH = 4;
+
+// 住所の漢数字（丁目の表記ゆれ用）
+const KANJI_DIGITS = { '〇': '0', '一': '1', '二': '2', '三': '3', '四': '4', '五': '5', '六': '6', '七': '7', '八': '8', '九': '9' };
+
+/**
+ * 物件名を比較用に正規化（全角・半角、空白、記号、「5階」以降の部屋の表記を揃える）
+ * @param {string} name - 物件名
+ * @returns {string}
+ */
+function normalizeListingName(name) {
+  return (name || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, '')
+    .replace(/\d+階.*$|\d+号室.*$/, '')
+    .replace(/[・･\-‐－―〜~()（）「」【】[\]、,。.]/g, '');
+}
+
+/**
+ * 住所を比較用に正規化（「芝浦四丁目」「芝浦4丁目」「芝浦4-」を「芝浦4」に揃える）
+ * @param {string} address - 住所
+ * @returns {string}
+ */
+function normalizeListingAddress(address) {
+  return (address || '')
+    .normalize('NFKC')
+    .replace(/\s+/g, '')
+    .replace(/[〇一二三四五六七八九](?=丁目)/g, digit => KANJI_DIGITS[digit])
+    .replace(/丁目|番地?|号/g, '-')
+    .replace(/[-‐－―ー]+$/, '');
+}
+
+/**
+ * 住所から都道府県・市区町村までを取得（「東京都港区芝浦4-」→「東京都港区」、政令指定都市は区まで）
+ * @param {string} address - 住所
+ * @returns {string} - 市区町村がわからない場合は空文字
+ */
+function getListingMunicipality(address) {
+  const match = normalizeListingAddress(address).match(/^(?:.+?[都道府県])?(?:.+?郡)?(?:.+?市.+?区|.+?[市区町村])/);
+  return match ? match[0] : '';
+}
+
+/**
+ * 物件名が一致するか（一方が他方を含む場合も一致とする）
+ * @param {string} a - 物件名
+ * @param {string} b - 物件名
+ * @returns {boolean}
+ */
+function listingNamesMatch(a, b) {
+  const nameA = normalizeListingName(a);
+  const nameB = normalizeListingName(b);
+  if (Math.min(nameA.length, nameB.length) < MATCH_MIN_NAME_LENGTH) {
+    return false;
+  }
+  return nameA.includes(nameB) || nameB.includes(nameA);
+}
+
+/**
+ * 住所が一致するか（一覧ページは丁目まで、詳細ページは番地までなど詳しさが違うため前方一致）
+ * @param {string} a - 住所
+ * @param {string} b - 住所
+ * @returns {boolean}
+ */
+function listingAddressesMatch(a, b) {
+  const addressA = normalizeListingAddress(a);
+  const addressB = normalizeListingAddress(b);
+  // 丁目などの番号まで含まない住所（市区町村のみ）では判定しない
+  if (!/\d/.test(addressA) || !/\d/.test(addressB)) {
+    return false;
+  }
+  return addressA.startsWith(addressB) || addressB.startsWith(addressA);
+}
+
+/**
+ * 別のサイトに掲載された同じ住戸かどうか
+ * 面積がほぼ同じで、所在階が矛盾せず、価格が近く、物件名か住所が一致する場合に同じ住戸とみなす
+ * 一方の所在階がわからない場合は、同じマンションの別の階の同じ間取りと区別できないため物件名の一致を必須にする
+ * @param {ListingSnapshot} a - 物件
+ * @param {ListingSnapshot} b - 物件
+ * @returns {boolean}
+ */
+function isSameListingUnit(a, b) {
+  if (a.site === b.site) {
+    return false;
+  }
+  if (a.area == null || b.area == null || Math.abs(a.area - b.area) > MATCH_AREA_TOLERANCE_SQM) {
+    return false;
+  }
+  const floorKnown = a.floor != null && b.floor != null;
+  if (floorKnown && a.floor !== b.floor) {
+    return false;
+  }
+  if (Math.abs(a.price - b.price) > Math.max(a.price, b.price) * MATCH_PRICE_TOLERANCE_RATIO) {
+    return false;
+  }
+  if (!floorKnown) {
+    return listingNamesMatch(a.name, b.name);
+  }
+  return listingNamesMatch(a.name, b.name) || listingAddressesMatch(a.address, b.address);
+}
+
+/**
+ * 同じマンションの物件かどうか（サイトは問わない）
+ * 「パークタワー芝浦」と「パークタワー芝浦ベイワード」のような別の建物を区別するため物件名は完全一致で比べ、
+ * 住所が両方わかっている場合は住所も一致する必要がある
+ * @param {ListingSnapshot} a - 物件
+ * @param {ListingSnapshot} b - 物件
+ * @returns {boolean}
+ */
+function isSameBuilding(a, b) {
+  const nameA = normalizeListingName(a.name);
+  if (nameA.length < MATCH_MIN_NAME_LENGTH || nameA !== normalizeListingName(b.name)) {
+    return false;
+  }
+  const addressA = normalizeListingAddress(a.address);
+  const addressB = normalizeListingAddress(b.address);
+  return !addressA || !addressB || addressA.startsWith(addressB) || addressB.startsWith(addressA);
+}
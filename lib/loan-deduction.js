@@ -0,0 +1,215 @@
+/**
+ * 住宅ローン控除（住宅借入金等特別控除）の対象になるかどうかの目安
+ * 床面積・築年（新耐震）・省エネ性能から判定し、借入限度額と控除期間を求める（2024〜2025年入居の制度）
+ * 新築と中古は借入限度額・控除期間・床面積の要件が異なるため、築年数ではなく「新築」「未入居」の記載で見分ける
+ *
+ * lib/loan.js の calculateLoanAmount()、lib/property-flags.js の createDetailFacts() を使用
+ */
+
+// 控除率（年末のローン残高に対する割合）
+const LOAN_DEDUCTION_RATE = 0.007;
+
+// 床面積の要件（㎡、40㎡以上50㎡未満は新築かつ合計所得金額1,000万円以下の場合のみ）
+const LOAN_DEDUCTION_MIN_AREA = 50;
+const LOAN_DEDUCTION_MIN_AREA_SMALL = 40;
+
+// 掲載の面積（壁芯）から登記簿の面積（内法）が50㎡を下回るおそれがある上限（内法は壁芯より5〜8%程度小さい）
+const LOAN_DEDUCTION_WALL_AREA_MARGIN = 54;
+
+// 新耐震基準に適合しているとみなされる建築年（1982年1月1日以降の建築）
+const LOAN_DEDUCTION_MIN_BUILT_YEAR = 1982;
+
+// 新築（建築後使用されたことのない住宅）の記載（「新築同様」「新築時」は中古の物件の記載）
+const NEW_BUILD_PATTERN = /新築(?!同様|時|当時)|未入居|未完成/;
+
+// 省エネ性能ごとの借入限度額（万円）と控除期間（年）
+const LOAN_DEDUCTION_LIMITS = {
+  longTerm: { label: '長期優良住宅・低炭素住宅', new: 4500, used: 3000 },
+  zeh: { label: 'ZEH水準省エネ住宅', new: 3500, used: 3000 },
+  energySaving: { label: '省エネ基準適合住宅', new: 3000, used: 3000 },
+  other: { label: 'その他の住宅', new: 0, used: 2000 }
+};
+const LOAN_DEDUCTION_YEARS = { new: 13, used: 10 };
+
+// 判定結果の表示名
+const LOAN_DEDUCTION_STATUS_LABELS = {
+  eligible: '対象',
+  conditional: '要確認',
+  ineligible: '対象外',
+  unknown: '判定不可'
+};
+
+/**
+ * @typedef {Object} LoanDeductionResult
+ * @property {'eligible'|'conditional'|'ineligible'|'unknown'} status - 判定（要確認は条件を満たせば対象）
+ * @property {?string} tier - 省エネ性能（LOAN_DEDUCTION_LIMITSのキー）
+ * @property {number} borrowingLimit - 借入限度額（万円、対象外の場合は0）
+ * @property {number} years - 控除期間（年）
+ * @property {?number} firstYearDeduction - 初年度の控除額の目安（円、年末残高を借入額として計算）
+ * @property {string[]} reasons - 判定の理由と確認事項
+ */
+
+/**
+ * 省エネ性能の記載（エネルギー消費性能・断熱性能・特記事項など）から省エネ性能の区分を判定
+ * @param {string} text - 省エネ性能の記載
+ * @returns {?string} - LOAN_DEDUCTION_LIMITSのキー、省エネ性能の記載がない場合はnull
+ */
+function classifyEnergyTier(text) {
+  const normalized = (text || '').normalize('NFKC');
+  if (/長期優良|低炭素/.test(normalized)) return 'longTerm';
+  if (/ZEH/i.test(normalized)) return 'zeh';
+
+  const insulation = normalized.match(/断熱(?:等)?性能(?:等級)?\s*(?:等級)?\s*(\d)/);
+  if (insulation) {
+    const grade = parseInt(insulation[1], 10);
+    if (grade >= 5) return 'zeh';
+    if (grade === 4) return 'energySaving';
+    return 'other';
+  }
+  if (/省エネ基準(?:に)?適合|省エネ適合/.test(normalized)) return 'energySaving';
+  return /エネルギー消費性能|断熱性能/.test(normalized) ? 'other' : null;
+}
+
+/**
+ * 住宅ローン控除の対象になるかどうかを判定
+ * @param {Object} facts - 判定に使う情報
+ * @param {?number} facts.area - 専有面積（㎡、範囲の場合は下限）
+ * @param {boolean} facts.registeredArea - 面積が登記簿の面積（内法）かどうか（掲載の多くは壁芯）
+ * @param {boolean} facts.newBuild - 新築かどうか（isNewBuildListing()の結果）
+ * @param {?{year: number, month: ?number}} facts.builtDate - 築年月
+ * @param {string} facts.energyText - 省エネ性能の記載
+ * @param {?number} facts.loanAmount - 借入額（円）
+ * @returns {LoanDeductionResult}
+ */
+function evaluateLoanDeduction(facts) {
+  const reasons = [];
+  const result = { status: 'eligible', tier: null, borrowingLimit: 0, years: 0, firstYearDeduction: null, reasons };
+  const downgrade = (status) => {
+    const order = ['eligible', 'conditional', 'unknown', 'ineligible'];
+    if (order.indexOf(status) > order.indexOf(result.status)) {
+      result.status = status;
+    }
+  };
+
+  const isNew = facts.newBuild;
+  const kind = isNew ? 'new' : 'used';
+
+  if (facts.area == null) {
+    downgrade('unknown');
+    reasons.push('専有面積がわからない');
+  } else if (facts.area < LOAN_DEDUCTION_MIN_AREA_SMALL) {
+    downgrade('ineligible');
+    reasons.push(`専有面積が${LOAN_DEDUCTION_MIN_AREA_SMALL}㎡未満（${facts.area}㎡）`);
+  } else if (facts.area < LOAN_DEDUCTION_MIN_AREA) {
+    if (isNew) {
+      downgrade('conditional');
+      reasons.push(`専有面積が${LOAN_DEDUCTION_MIN_AREA}㎡未満のため、合計所得金額1,000万円以下の場合のみ対象`);
+    } else {
+      downgrade('ineligible');
+      reasons.push(`中古住宅は専有面積${LOAN_DEDUCTION_MIN_AREA}㎡以上が必要（${facts.area}㎡）`);
+    }
+  } else if (!facts.registeredArea && facts.area < LOAN_DEDUCTION_WALL_AREA_MARGIN) {
+    downgrade('conditional');
+    reasons.push(`掲載の面積は壁芯のため、登記簿の面積（内法）が${LOAN_DEDUCTION_MIN_AREA}㎡を下回らないか確認`);
+  } else {
+    reasons.push(`専有面積${facts.area}㎡（${LOAN_DEDUCTION_MIN_AREA}㎡以上）`);
+  }
+
+  if (!facts.builtDate) {
+    downgrade('unknown');
+    reasons.push('築年月がわからない');
+  } else if (!isNew && facts.builtDate.year < LOAN_DEDUCTION_MIN_BUILT_YEAR) {
+    downgrade('conditional');
+    reasons.push(`${LOAN_DEDUCTION_MIN_BUILT_YEAR}年より前の建築のため、耐震基準適合証明書などが必要`);
+  } else {
+    reasons.push(isNew ? '新築（新築・未入居の記載あり）' : `${LOAN_DEDUCTION_MIN_BUILT_YEAR}年以降の建築（新耐震基準）`);
+  }
+
+  result.tier = classifyEnergyTier(facts.energyText);
+  const tier = result.tier || 'other';
+  result.borrowingLimit = LOAN_DEDUCTION_LIMITS[tier][kind];
+  result.years = LOAN_DEDUCTION_YEARS[kind];
+  if (!result.tier) {
+    reasons.push(`省エネ性能の記載がないため「${LOAN_DEDUCTION_LIMITS.other.label}」として計算`);
+  } else {
+    reasons.push(`省エネ性能: ${LOAN_DEDUCTION_LIMITS[tier].label}`);
+  }
+  if (isNew && result.borrowingLimit === 0) {
+    downgrade('conditional');
+    reasons.push('省エネ基準に適合しない新築は、2023年までに建築確認を受けた場合のみ対象（借入限度額2,000万円・10年）');
+  }
+
+  reasons.push('合計所得金額2,000万円以下・入居から6か月以内の居住などの要件があります');
+  if (result.status === 'ineligible' || result.status === 'unknown') {
+    result.borrowingLimit = 0;
+    result.years = 0;
+  } else if (facts.loanAmount != null) {
+    result.firstYearDeduction = Math.round(Math.min(facts.loanAmount, result.borrowingLimit * 10000) * LOAN_DEDUCTION_RATE);
+  }
+  return result;
+}
+
+/**
+ * 物件名・築年数・取引態様・特記事項などの記載から新築かどうかを判定
+ * @param {string} text - createNewBuildText()の結果（「新築・中古マンション」のような分類の文言を含むページのタイトルは使わない）
+ * @returns {boolean}
+ */
+function isNewBuildListing(text) {
+  return NEW_BUILD_PATTERN.test(text || '');
+}
+
+/**
+ * 詳細ページの追加情報（またはCSVの物件データ）から新築の判定に使う記載を作成
+ * @param {Object} detail - createEmptyDetailInfo()の項目を持つオブジェクト（CSVは一覧ページの物件名・築年数を含む）
+ * @returns {string}
+ */
+function createNewBuildText(detail) {
+  return [detail.name, detail.nameDetail, detail.age, detail.transactionType, detail.notes].filter(Boolean).join(' ');
+}
+
+/**
+ * 詳細ページの追加情報（またはCSVの物件データ）から判定に使う省エネ性能の記載を作成
+ * 断熱性能の欄は「等級5」のように値だけのことがあるため、見出しを付けてつなげる
+ * @param {Object} detail - createEmptyDetailInfo()の項目を持つオブジェクト
+ * @returns {string}
+ */
+function createEnergyText(detail) {
+  return [
+    detail.energyPerformance && `エネルギー消費性能 ${detail.energyPerformance}`,
+    detail.insulation && `断熱性能 ${detail.insulation}`,
+    detail.notes,
+    detail.restrictions
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * CSVの住宅ローン控除の列を作成（マンションは専有面積を壁芯、一戸建ては建物面積を登記簿の面積とみなす）
+ * 詳細ページと同じく、床面積のない物件（土地）は判定しない
+ * @param {Object} property - 物件データ
+ * @param {LoanConditions} loan - ローンの条件（初年度の控除額の目安に使う）
+ * @param {Date} now - 基準日
+ * @returns {{loanDeduction: string, loanDeductionLimit: number|string}}
+ */
+function createLoanDeductionColumns(property, loan, now) {
+  if (property.price === undefined || property.price === '') {
+    return { loanDeduction: '', loanDeductionLimit: '' };
+  }
+  const toNumber = (value) => value === undefined || value === '' ? null : Number(value);
+  const condoArea = toNumber(property.area);
+  const area = condoArea ?? toNumber(property.buildingAreaSqm);
+  if (area === null) {
+    return { loanDeduction: '', loanDeductionLimit: '' };
+  }
+  const result = evaluateLoanDeduction({
+    area,
+    registeredArea: condoArea === null,
+    newBuild: isNewBuildListing(createNewBuildText(property)),
+    builtDate: createDetailFacts(property, now).builtDate,
+    energyText: createEnergyText(property),
+    loanAmount: calculateLoanAmount(Number(property.price), loan)
+  });
+  return {
+    loanDeduction: LOAN_DEDUCTION_STATUS_LABELS[result.status],
+    loanDeductionLimit: result.borrowingLimit || ''
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * 住宅ローンの返済額と毎月の支払いの計算
+ * 詳細ページの単価表示・ローンシミュレーション（コンテンツスクリプト）とCSVエクスポート（バックグラウンド）で共有する
+ */
+
+// 変動金利で金利を見直す間隔（年）
+const LOAN_RATE_REVIEW_YEARS = 5;
+
+// 返済方法・金利タイプの表示名
+const LOAN_METHOD_LABELS = { annuity: '元利均等', equalPrincipal: '元金均等' };
+const LOAN_RATE_TYPE_LABELS = { fixed: '固定金利', variable: '変動金利' };
+
+/**
+ * @typedef {Object} LoanConditions
+ * @property {number} interestRate - 金利（年%、変動金利の場合は当初の金利）
+ * @property {number} years - 返済期間（年）
+ * @property {number} downPaymentPercent - 頭金（物件価格に対する%）
+ * @property {'annuity'|'equalPrincipal'} method - 返済方法（'annuity': 元利均等、'equalPrincipal': 元金均等）
+ * @property {'fixed'|'variable'} rateType - 金利タイプ
+ * @property {number} rateIncrease - 変動金利の見直しごとの金利の上昇幅（年%）
+ */
+
+/**
+ * @typedef {Object} LoanScheduleYear
+ * @property {number} year - 返済年（1年目から）
+ * @property {number} interestRate - その年の金利（年%）
+ * @property {number} payment - その年の返済額（円）
+ * @property {number} principal - うち元金（円）
+ * @property {number} interest - うち利息（円）
+ * @property {number} balance - 年末の残高（円）
+ */
+
+/**
+ * @typedef {Object} LoanSchedule
+ * @property {number} firstMonthlyPayment - 初回の毎月の返済額（円）
+ * @property {number} lastMonthlyPayment - 最終回の毎月の返済額（円）
+ * @property {number} totalPayment - 総返済額（円）
+ * @property {number} totalInterest - 利息の合計（円）
+ * @property {LoanScheduleYear[]} years - 年ごとの返済
+ */
+
+/**
+ * @typedef {Object} RunningCosts
+ * @property {?number} managementFee - 管理費（円/月）
+ * @property {?number} repairFund - 修繕積立金（円/月）
+ * @property {number} runningCost - 管理費＋修繕積立金（円/月）
+ * @property {?number} runningCostPerSqm - 管理費＋修繕積立金の専有面積1㎡あたり（円/㎡/月）
+ * @property {?number} loanAmount - 借入額（円、価格がわからない場合はnull）
+ * @property {?number} loanPayment - ローンの初回の返済額（円/月）
+ * @property {?number} totalMonthlyCost - ローンの返済額＋管理費＋修繕積立金（円/月）
+ */
+
+/**
+ * 設定からローンの条件を取得
+ * @param {DisplaySettings} settings - 設定
+ * @returns {LoanConditions}
+ */
+function getLoanConditions(settings) {
+  return {
+    interestRate: settings.loanInterestRate,
+    years: settings.loanYears,
+    downPaymentPercent: settings.loanDownPaymentPercent,
+    method: settings.loanMethod,
+    rateType: settings.loanRateType,
+    rateIncrease: settings.loanRateIncrease
+  };
+}
+
+/**
+ * 頭金を除いた借入額を計算
+ * @param {number} price - 物件価格（万円）
+ * @param {LoanConditions} loan - ローンの条件
+ * @returns {number} - 借入額（円）
+ */
+function calculateLoanAmount(price, loan) {
+  return Math.round(price * 10000 * (1 - loan.downPaymentPercent / 100));
+}
+
+/**
+ * 元利均等返済の毎月の返済額を計算
+ * @param {number} principal - 借入額（円）
+ * @param {number} interestRate - 金利（年%）
+ * @param {number} years - 返済期間（年）
+ * @returns {number} - 毎月の返済額（円）
+ */
+function calculateMonthlyLoanPayment(principal, interestRate, years) {
+  const months = years * 12;
+  const monthlyRate = interestRate / 100 / 12;
+  if (principal <= 0 || months <= 0) {
+    return 0;
+  }
+  if (monthlyRate === 0) {
+    return principal / months;
+  }
+  return principal * monthlyRate / (1 - (1 + monthlyRate) ** -months);
+}
+
+/**
+ * 返済予定を年ごとに計算
+ * 変動金利は5年ごとに金利が上昇幅ずつ上がるものとし、見直しのたびに残りの期間で返済額を計算し直す
+ * （返済額の上限を前回の125%とするルールなどは考慮しない）
+ * @param {number} principal - 借入額（円）
+ * @param {LoanConditions} loan - ローンの条件
+ * @returns {LoanSchedule}
+ */
+function calculateLoanSchedule(principal, loan) {
+  const totalMonths = Math.max(0, Math.round(loan.years * 12));
+  const principalPerMonth = totalMonths > 0 ? principal / totalMonths : 0;
+  const schedule = { firstMonthlyPayment: 0, lastMonthlyPayment: 0, totalPayment: 0, totalInterest: 0, years: [] };
+  let balance = principal;
+  let annuityPayment = 0;
+  let yearRow = null;
+
+  for (let month = 0; month < totalMonths && balance > 0; month++) {
+    const year = Math.floor(month / 12);
+    const reviews = loan.rateType === 'variable' ? Math.floor(year / LOAN_RATE_REVIEW_YEARS) : 0;
+    // 小数の足し算の誤差（0.8 + 0.25 = 1.0499…）を丸める
+    const interestRate = Math.round((loan.interestRate + reviews * loan.rateIncrease) * 1000) / 1000;
+    const monthlyRate = interestRate / 100 / 12;
+
+    // 元利均等は借入時と金利の見直し時に、残りの期間で返済額を決め直す
+    const reviewMonth = month === 0 || (loan.rateType === 'variable' && month % (LOAN_RATE_REVIEW_YEARS * 12) === 0);
+    if (loan.method !== 'equalPrincipal' && reviewMonth) {
+      annuityPayment = calculateMonthlyLoanPayment(balance, interestRate, (totalMonths - month) / 12);
+    }
+
+    const interest = balance * monthlyRate;
+    const principalPaid = Math.min(balance, loan.method === 'equalPrincipal' ? principalPerMonth : annuityPayment - interest);
+    const payment = principalPaid + interest;
+    balance -= principalPaid;
+
+    if (month === 0) {
+      schedule.firstMonthlyPayment = Math.round(payment);
+    }
+    schedule.lastMonthlyPayment = Math.round(payment);
+    schedule.totalPayment += payment;
+    schedule.totalInterest += interest;
+
+    if (!yearRow || yearRow.year !== year + 1) {
+      yearRow = { year: year + 1, interestRate, payment: 0, principal: 0, interest: 0, balance: 0 };
+      schedule.years.push(yearRow);
+    }
+    yearRow.payment += payment;
+    yearRow.principal += principalPaid;
+    yearRow.interest += interest;
+    yearRow.balance = Math.max(0, balance);
+  }
+
+  for (const row of schedule.years) {
+    row.payment = Math.round(row.payment);
+    row.principal = Math.round(row.principal);
+    row.interest = Math.round(row.interest);
+    row.balance = Math.round(row.balance);
+  }
+  schedule.totalPayment = Math.round(schedule.totalPayment);
+  schedule.totalInterest = Math.round(schedule.totalInterest);
+  return schedule;
+}
+
+/**
+ * 管理費・修繕積立金と、ローンの返済額を合わせた毎月の支払いを計算
+ * @param {?number} price - 物件価格（万円）
+ * @param {?number} area - 専有面積（㎡）
+ * @param {?number} managementFee - 管理費（円/月）
+ * @param {?number} repairFund - 修繕積立金（円/月）
+ * @param {LoanConditions} loan - ローンの条件
+ * @returns {RunningCosts|null} - 管理費・修繕積立金がどちらもわからない場合はnull
+ */
+function calculateRunningCosts(price, area, managementFee, repairFund, loan) {
+  if (managementFee == null && repairFund == null) {
+    return null;
+  }
+  const runningCost = (managementFee || 0) + (repairFund || 0);
+  const loanAmount = price ? calculateLoanAmount(price, loan) : null;
+  const loanPayment = loanAmount === null ? null : calculateLoanSchedule(loanAmount, loan).firstMonthlyPayment;
+
+  return {
+    managementFee,
+    repairFund,
+    runningCost,
+    runningCostPerSqm: area ? Math.round(runningCost / area) : null,
+    loanAmount,
+    loanPayment,
+    totalMonthlyCost: loanPayment === null ? null : loanPayment + runningCost
+  };
+}
@@ -0,0 +1,299 @@
+/**
+ * 価格・面積の解析
+ * 「3980万円～5480万円」のような範囲、「価格未定」、全角数字、坪表記、「（壁芯）」などの注記に対応し、
+ * 先頭の数値を拾うだけの解析で起きていた誤認識をなくす
+ */
+
+// 1坪あたりの㎡
+const TSUBO_SQM = 3.3058;
+
+/**
+ * @typedef {Object} ParsedRange
+ * @property {'ok'|'unknown'|'invalid'} status - 'ok': 解析成功、'unknown': 未定・非公開など、'invalid': 解析できない
+ * @property {number} [min] - 下限（status === 'ok' の場合のみ）
+ * @property {number} [max] - 上限（範囲でない場合はminと同じ）
+ */
+
+// 範囲の区切り（「～」「〜」「~」「-」など）
+const RANGE_SEPARATOR_PATTERN = /^(?:円|台)*[~〜\-－―ー](?:約)?$/;
+
+// 価格が決まっていないことを表す表記
+const UNKNOWN_PATTERN = /未定|未確定|応談|非公開|相談|調整中/;
+
+/**
+ * 全角数字・記号を半角にし、カンマと空白を除去
+ * @param {string} text - 元の文字列
+ * @returns {string}
+ */
+function normalizeNumberText(text) {
+  return text.normalize('NFKC').replace(/[,\s]/g, '');
+}
+
+/**
+ * 「60.5～80.2m2」「3980～5480万円」のように下限の単位が省略された範囲に単位を補う
+ * @param {string} text - 正規化済みの文字列
+ * @param {string} unitPattern - 単位の正規表現（「m2|m|坪」など）
+ * @returns {string}
+ */
+function completeRangeUnit(text, unitPattern) {
+  const pattern = new RegExp(`(?<![\\d.a-z])(\\d+(?:\\.\\d+)?)([~〜\\-－―ー]約?\\d+(?:\\.\\d+)?)(${unitPattern})`, 'g');
+  return text.replace(pattern, '$1$3$2$3');
+}
+
+/**
+ * 数値トークンの並びから範囲を作成
+ * 最初の2つのトークンの間が範囲の区切りだけの場合に範囲として扱い、それ以外は最初のトークンのみ使用
+ * @param {string} text - 正規化済みの文字列
+ * @param {Array<{value: number, index: number, end: number}>} tokens - 数値トークン
+ * @returns {ParsedRange}
+ */
+function rangeFromTokens(text, tokens) {
+  const first = tokens[0];
+  if (tokens.length >= 2) {
+    const between = text.slice(first.end, tokens[1].index);
+    if (RANGE_SEPARATOR_PATTERN.test(between)) {
+      const values = [first.value, tokens[1].value];
+      return { status: 'ok', min: Math.min(...values), max: Math.max(...values) };
+    }
+  }
+  return { status: 'ok', min: first.value, max: first.value };
+}
+
+/**
+ * 価格を解析（万円単位）
+ * 「4,980万円」「1億2900万円」「1億円」「3980万円～5480万円」「価格未定」に対応
+ * @param {string} text - 価格の文字列
+ * @returns {ParsedRange} - 価格（万円）
+ */
+function parsePrice(text) {
+  if (!text) return { status: 'invalid' };
+
+  const normalized = completeRangeUnit(normalizeNumberText(text), '万');
+
+  // 億・万の表記（「1億円」「1億2900万円」「4980万円」）
+  const tokens = [];
+  const pattern = /(\d+(?:\.\d+)?)億(?:(\d+(?:\.\d+)?)万)?|(\d+(?:\.\d+)?)万/g;
+  let match;
+  while ((match = pattern.exec(normalized)) !== null) {
+    const value = match[1] !== undefined
+      ? parseFloat(match[1]) * 10000 + (match[2] ? parseFloat(match[2]) : 0)
+      : parseFloat(match[3]);
+    tokens.push({ value, index: match.index, end: pattern.lastIndex });
+  }
+
+  if (tokens.length === 0) {
+    // 「49800000円」のような円表記
+    const yenMatch = normalized.match(/(\d+)円/);
+    if (yenMatch) {
+      const value = parseInt(yenMatch[1], 10) / 10000;
+      return { status: 'ok', min: value, max: value };
+    }
+    return UNKNOWN_PATTERN.test(normalized) ? { status: 'unknown' } : { status: 'invalid' };
+  }
+
+  const range = rangeFromTokens(normalized, tokens);
+  return range.min > 0 ? range : { status: 'invalid' };
+}
+
+/**
+ * 面積を解析（㎡単位）
+ * 「107.19m2」「135.24㎡」「４５．２㎡」「70.5m2（壁芯）」「30.25坪」「60.5m2～80.2m2」に対応
+ * ㎡と坪が併記されている場合は㎡を優先
+ * @param {string} text - 面積の文字列
+ * @returns {ParsedRange} - 面積（㎡）
+ */
+function parseArea(text) {
+  if (!text) return { status: 'invalid' };
+
+  // NFKCで「㎡」「m²」は「m2」になる
+  const normalized = completeRangeUnit(
+    normalizeNumberText(text).replace(/専有面積|土地面積|建物面積|[:：]/g, ''),
+    'm2|m|坪'
+  );
+
+  const sqmTokens = [];
+  const tsuboTokens = [];
+  const pattern = /(\d+(?:\.\d+)?)(m2|m|坪)/g;
+  let match;
+  while ((match = pattern.exec(normalized)) !== null) {
+    const token = { value: parseFloat(match[1]), index: match.index, end: pattern.lastIndex };
+    if (match[2] === '坪') {
+      // 坪表記の場合は㎡に換算
+      token.value = Math.round(token.value * TSUBO_SQM * 100) / 100;
+      tsuboTokens.push(token);
+    } else {
+      sqmTokens.push(token);
+    }
+  }
+
+  const tokens = sqmTokens.length > 0 ? sqmTokens : tsuboTokens;
+  if (tokens.length === 0) {
+    // 単位のない数値のみの場合
+    const plainMatch = normalized.match(/^(\d+(?:\.\d+)?)$/);
+    if (plainMatch) {
+      const value = parseFloat(plainMatch[1]);
+      return { status: 'ok', min: value, max: value };
+    }
+    return UNKNOWN_PATTERN.test(normalized) ? { status: 'unknown' } : { status: 'invalid' };
+  }
+
+  const range = rangeFromTokens(normalized, tokens);
+  return range.min > 0 ? range : { status: 'invalid' };
+}
+
+/**
+ * 文字列から円単位の金額を抽出（「8.5万円」「8万5000円」「85,000円」に対応）
+ * @param {string} text - 抽出元の文字列
+ * @returns {number|null} - 金額（円）、「-」などで金額がない場合はnull
+ */
+function extractYen(text) {
+  if (!text) return null;
+
+  const normalized = normalizeNumberText(text);
+
+  // 「8.5万円」「8万5000円」
+  const manMatch = normalized.match(/(\d+(?:\.\d+)?)万(\d+)?/);
+  if (manMatch) {
+    return Math.round(parseFloat(manMatch[1]) * 10000 + (manMatch[2] ? parseInt(manMatch[2], 10) : 0));
+  }
+
+  // 「85000円」
+  const yenMatch = normalized.match(/(\d+(?:\.\d+)?)円/);
+  return yenMatch ? Math.round(parseFloat(yenMatch[1])) : null;
+}
+
+/**
+ * 所在階を解析（「5階」「5階/10階建」「10階建 / 5階」「地下1階」に対応）
+ * @param {string} text - 所在階の文字列
+ * @returns {number|null} - 所在階（地下は負の数）、取得できない場合はnull
+ */
+function parseFloor(text) {
+  if (!text) return null;
+  const match = normalizeNumberText(text).match(/(地下|B)?(\d+)階(?!建)/);
+  if (!match) return null;
+  const floor = parseInt(match[2], 10);
+  return match[1] ? -floor : floor;
+}
+
+/**
+ * 一覧ページの物件カードの文字列から所在階を取得（「所在階：5階」「5階/10階建」「10階建 / 5階」の表記）
+ * 「RC16階地下1階建」のような建物階数だけの表記は所在階とみなさない
+ * @param {string} text - 物件カードの文字列
+ * @returns {number|null} - 所在階（地下は負の数）、表示がない場合はnull
+ */
+function extractCardFloor(text) {
+  if (!text) return null;
+  const normalized = normalizeNumberText(text);
+  const match = normalized.match(/所在階[:：]?((?:地下|B)?\d+)階(?!建)/) ||
+                normalized.match(/((?:地下|B)?\d+)階\/(?:地上)?\d+階(?:地下\d+階)?建/) ||
+                normalized.match(/\d+階(?:地下\d+階)?建\/((?:地下|B)?\d+)階(?!建)/);
+  return match ? parseFloor(match[1] + '階') : null;
+}
+
+/**
+ * 建物の階数を解析（「10階」「地上10階地下1階建」「RC16階建」に対応）
+ * @param {string} text - 建物階数の文字列
+ * @returns {number|null} - 地上の階数、取得できない場合はnull
+ */
+function parseBuildingFloors(text) {
+  if (!text) return null;
+  const normalized = normalizeNumberText(text);
+  const match = normalized.match(/(?:地上)?(\d+)階(?:地下\d+階)?建/) || normalized.match(/(\d+)階/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * 戸数を解析（「120戸」「120戸（他管理事務室1戸）」に対応）
+ * @param {string} text - 総戸数の文字列
+ * @returns {number|null} - 戸数、取得できない場合はnull
+ */
+function parseUnitCount(text) {
+  if (!text) return null;
+  const match = normalizeNumberText(text).match(/(\d+)戸/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// 和暦の元年の前年（西暦 = 和暦の年 + オフセット）
+const JAPANESE_ERA_OFFSETS = { '昭和': 1925, '平成': 1988, '令和': 2018 };
+
+/**
+ * 築年月を解析（「2005年3月」「2005/03」「平成17年3月」「令和元年」に対応）
+ * @param {string} text - 築年月の文字列
+ * @returns {{year: number, month: ?number}|null} - 西暦の年と月（月がない場合はnull）、取得できない場合はnull
+ */
+function parseBuiltDate(text) {
+  if (!text) return null;
+  const normalized = normalizeNumberText(text);
+
+  const eraMatch = normalized.match(/(昭和|平成|令和)(\d+|元)年(?:(\d{1,2})月)?/);
+  if (eraMatch) {
+    const eraYear = eraMatch[2] === '元' ? 1 : parseInt(eraMatch[2], 10);
+    return {
+      year: JAPANESE_ERA_OFFSETS[eraMatch[1]] + eraYear,
+      month: eraMatch[3] ? parseInt(eraMatch[3], 10) : null
+    };
+  }
+
+  const match = normalized.match(/(\d{4})年(?:(\d{1,2})月)?/) || normalized.match(/(\d{4})[/.](\d{1,2})/);
+  if (!match) return null;
+  return { year: parseInt(match[1], 10), month: match[2] ? parseInt(match[2], 10) : null };
+}
+
+/**
+ * 築年数を計算（月がわかる場合は満年数、新築・未完成は0）
+ * @param {{year: number, month: ?number}} builtDate - parseBuiltDate()の結果
+ * @param {Date} now - 基準日
+ * @returns {number} - 築年数（年）
+ */
+function calculateBuildingAge(builtDate, now) {
+  let age = now.getFullYear() - builtDate.year;
+  if (builtDate.month && now.getMonth() + 1 < builtDate.month) {
+    age--;
+  }
+  return Math.max(0, age);
+}
+
+/**
+ * 一覧ページの物件カードの文字列から築年月を取得（「築年月 2005年3月」「築20年」「新築」に対応）
+ * 「築20年」は基準日の年から引いた年のみ（月はnull）
+ * @param {string} text - 物件カードの文字列
+ * @param {Date} now - 「築20年」「新築」の基準日
+ * @returns {{year: number, month: ?number}|null} - 取得できない場合はnull
+ */
+function parseCardBuiltDate(text, now) {
+  if (!text) return null;
+  const normalized = normalizeNumberText(text);
+
+  const ageMatch = normalized.match(/築(\d+)年/);
+  if (ageMatch) {
+    return { year: now.getFullYear() - parseInt(ageMatch[1], 10), month: null };
+  }
+  const builtMatch = normalized.match(/(?:築年月|完成時期|竣工時期|築年数):?(.{0,12})/);
+  const builtDate = builtMatch ? parseBuiltDate(builtMatch[1]) : null;
+  if (builtDate) {
+    return builtDate;
+  }
+  return normalized.includes('新築') ? { year: now.getFullYear(), month: null } : null;
+}
+
+/**
+ * 一覧ページの物件カードの文字列から築年数を取得（「築20年」「築年月 2005年3月」「新築」に対応）
+ * @param {string} text - 物件カードの文字列
+ * @param {Date} now - 築年数の基準日
+ * @returns {number|null} - 築年数（年）、取得できない場合はnull
+ */
+function parseCardBuildingAge(text, now) {
+  const builtDate = parseCardBuiltDate(text, now);
+  return builtDate ? calculateBuildingAge(builtDate, now) : null;
+}
+
+/**
+ * 駅徒歩の分数を解析（「徒歩7分」「歩7分」に対応、複数ある場合は最初の駅）
+ * @param {string} text - 駅距離の文字列
+ * @returns {number|null} - 分数、取得できない場合はnull
+ */
+function parseWalkMinutes(text) {
+  if (!text) return null;
+  const match = normalizeNumberText(text).match(/歩(\d+)分/);
+  return match ? parseInt(match[1], 10) : null;
+}
@@ -0,0 +1,242 @@
+/**
+ * 物件の注意点（旧耐震・構造・借地権・再建築不可など）を判定するルール
+ * 一覧ページの物件カードの文字列、詳細ページの追加情報、CSVの物件データから同じ形の事実を作り、ルールごとに判定する
+ * 単価表示のチップ（コンテンツスクリプト）とCSVのフラグ列（バックグラウンド）で共有する
+ *
+ * lib/parser.js の parseBuiltDate() などを使用
+ */
+
+// 新耐震基準の施行日（1981年6月1日以降に建築確認を受けた建物が新耐震）
+const NEW_SEISMIC_STANDARD = { year: 1981, month: 6 };
+
+// 建築確認から完成までの期間を見込み、新耐震かどうかを確認したほうがよい完成年の上限
+const SEISMIC_BORDERLINE_LAST_YEAR = 1983;
+
+// 超高層とみなす階数（高さ60m超の目安）
+const HIGH_RISE_FLOORS = 20;
+
+// 免震・制震・耐震の記載
+const SEISMIC_NOTE_PATTERN = /免震|制震|制振|耐震/;
+
+// 軽い構造（木造・軽量鉄骨造）
+const LIGHT_STRUCTURE_PATTERN = /木造|軽量鉄骨|W造/;
+
+// 借地権などを否定する記載（「借地権なし」「借地権の設定なし」は所有権の物件）
+const LAND_RIGHTS_NEGATION_PATTERN = /(?:定期)?(?:借地権?|地上権|賃借権)(?:の設定)?(?:なし|無し|無)/g;
+
+/**
+ * @typedef {Object} PropertyFacts
+ * @property {?{year: number, month: ?number}} builtDate - 築年月（「築20年」のみの場合は年だけ）
+ * @property {string} structure - 構造（一覧ページは構造の欄か「RC10階建」の表記、わからない場合は空文字）
+ * @property {?number} buildingFloorCount - 建物の階数
+ * @property {string} landRights - 敷地の権利形態（一覧ページは空文字）
+ * @property {string} text - 判定に使う文字列（構造・敷地の権利形態・制限事項・特記事項など、一覧ページはカード全体）
+ * @property {?string} seismicText - 免震・制震の記載を探す文字列（特徴・設備の欄を含む詳細ページ全体、ない場合はnull）
+ */
+
+/**
+ * @typedef {Object} PropertyFlagRule
+ * @property {string} id - 識別子（CSVの列名に使う）
+ * @property {string} label - チップの表示名
+ * @property {'danger'|'warning'} level - 重要度（チップの色）
+ * @property {string} description - 説明（チップのツールチップ）
+ * @property {function(PropertyFacts): ?boolean} test - 該当する場合true、判定できない場合null
+ */
+
+/**
+ * 判定に使う文字列にパターンが含まれるかどうかで判定するルールの関数を作成
+ * @param {RegExp} pattern - 該当を表すパターン
+ * @param {RegExp} [exclude] - 該当から除くパターン（「定期借地権」を「借地権」に含めないなど）
+ * @returns {function(PropertyFacts): ?boolean} - 文字列がない場合はnull
+ */
+function createTextRule(pattern, exclude = null) {
+  return ({ text }) => {
+    if (!text) return null;
+    return pattern.test(text) && !(exclude && exclude.test(text));
+  };
+}
+
+/**
+ * 土地の権利（借地権など）を判定するルールの関数を作成
+ * 敷地の権利形態の欄があればその欄だけ、なければ判定に使う文字列から、否定の記載を除いて探す
+ * @param {RegExp} pattern - 該当を表すパターン
+ * @param {RegExp} [exclude] - 該当から除くパターン
+ * @returns {function(PropertyFacts): ?boolean}
+ */
+function createLandRightsRule(pattern, exclude = null) {
+  const rule = createTextRule(pattern, exclude);
+  return ({ landRights, text }) => {
+    const source = landRights || text;
+    if (!source) return null;
+    return rule({ text: source.replace(LAND_RIGHTS_NEGATION_PATTERN, ' ') });
+  };
+}
+
+/** @type {PropertyFlagRule[]} */
+const PROPERTY_FLAG_RULES = [
+  {
+    id: 'oldSeismic',
+    label: '旧耐震',
+    level: 'danger',
+    description: '1981年5月以前の建築のため旧耐震基準の可能性が高い（耐震診断・耐震改修の有無を確認）',
+    test: ({ builtDate }) => {
+      if (!builtDate) return null;
+      if (builtDate.year !== NEW_SEISMIC_STANDARD.year) return builtDate.year < NEW_SEISMIC_STANDARD.year;
+      return builtDate.month === null ? null : builtDate.month < NEW_SEISMIC_STANDARD.month;
+    }
+  },
+  {
+    id: 'seismicBorderline',
+    label: '耐震基準要確認',
+    level: 'warning',
+    description: '1981年6月〜1983年の完成のため、建築確認の日付によっては旧耐震基準（確認済証の日付を確認）',
+    test: ({ builtDate }) => {
+      if (!builtDate) return null;
+      const { year, month } = builtDate;
+      if (year === NEW_SEISMIC_STANDARD.year) return month === null || month >= NEW_SEISMIC_STANDARD.month;
+      return year > NEW_SEISMIC_STANDARD.year && year <= SEISMIC_BORDERLINE_LAST_YEAR;
+    }
+  },
+  {
+    id: 'lightStructure',
+    label: '木造・軽量鉄骨',
+    level: 'warning',
+    description: '木造・軽量鉄骨造のため、耐用年数が短くローンの返済期間や遮音性に影響することがある',
+    // 広告文の「木造の温もり」などを拾わないよう、構造だけで判定する
+    test: ({ structure }) => structure ? LIGHT_STRUCTURE_PATTERN.test(structure) : null
+  },
+  {
+    id: 'highRiseNoSeismicNote',
+    label: '超高層・耐震記載なし',
+    level: 'warning',
+    description: `${HIGH_RISE_FLOORS}階建以上で、免震・制震・耐震の記載が見つからない（長周期地震動への対策を確認）`,
+    test: ({ buildingFloorCount, structure, text, seismicText }) => {
+      if (buildingFloorCount === null) return null;
+      if (buildingFloorCount < HIGH_RISE_FLOORS) return false;
+      if (SEISMIC_NOTE_PATTERN.test(`${structure} ${text}`)) return false;
+      // 免震・制震は特徴・設備の欄に書かれることが多く、その欄がない場合は判定できない
+      return seismicText === null ? null : !SEISMIC_NOTE_PATTERN.test(seismicText);
+    }
+  },
+  {
+    id: 'leasehold',
+    label: '借地権',
+    level: 'danger',
+    description: '土地が借地権（地上権・賃借権）のため、地代・更新料などがかかり、所有権の物件より坪単価が安く見える',
+    test: createLandRightsRule(/借地(?!借家法)|地上権|賃借権/, /定期借地/)
+  },
+  {
+    id: 'fixedTermLeasehold',
+    label: '定期借地権',
+    level: 'danger',
+    description: '定期借地権のため、期間の満了時に建物を取り壊して土地を返す必要がある（残りの期間・解体積立金を確認）',
+    test: createLandRightsRule(/定期借地/)
+  },
+  {
+    id: 'rebuildProhibited',
+    label: '再建築不可',
+    level: 'danger',
+    description: '建て替えができないため、住宅ローンを利用しにくく売却もしにくい',
+    test: createTextRule(/再建築不可|再建築できません/)
+  },
+  {
+    id: 'setbackRequired',
+    label: 'セットバック要',
+    level: 'warning',
+    description: '建て替えの際に敷地の一部を道路として後退させる必要があり、使える面積が減る',
+    test: createTextRule(/要セットバック|セットバック(?:要|有|あり|必要)/)
+  },
+  {
+    id: 'disclosureRequired',
+    label: '告知事項あり',
+    level: 'warning',
+    description: '告知事項（心理的瑕疵など）があるため、内容を確認',
+    test: createTextRule(/告知事項(?:あり|有)|心理的瑕疵/)
+  },
+  {
+    id: 'managementCompanyChange',
+    label: '管理会社変更予定',
+    level: 'warning',
+    description: '管理会社の変更が予定されているため、変更後の管理費・修繕積立金・管理の内容を確認',
+    test: createTextRule(/管理会社(?:の)?変更予定|管理会社(?:を)?変更(?:する|の)予定/)
+  }
+];
+
+/**
+ * 一覧ページの物件カードの文字列から構造を取得（「構造：木造」の欄か「RC10階建」「木造2階建」の表記）
+ * 欄の区切りを見分けるため、空白を除く前の文字列を渡す
+ * @param {string} text - 物件カードの文字列（NFKC正規化済み、空白は残す）
+ * @returns {string} - 構造、わからない場合は空文字
+ */
+function extractCardStructure(text) {
+  const structure = '(?:SRC|RC|S|W|鉄骨鉄筋コンクリート|鉄筋コンクリート|軽量鉄骨|鉄骨|木)造?';
+  const labeled = text.match(new RegExp(`(?:^|[\\s|/])(?:建物)?構造[\\s:：]*(${structure})`));
+  if (labeled) return labeled[1];
+  // 「3LDK+S2階建」の「S」（サービスルーム）を構造と見なさないよう、S・Wは「造」が付く場合のみ
+  const floorStructure = '(?:(?<![A-Za-z])(?:SRC|RC)|(?<![A-Za-z])[SW]造|鉄骨鉄筋コンクリート造?|鉄筋コンクリート造?|軽量鉄骨造?|鉄骨造?|木造)';
+  const beforeFloors = text.match(new RegExp(`${floorStructure}\\s*(?:地上)?\\d+階(?:地下\\d+階)?建`));
+  return beforeFloors ? beforeFloors[0].replace(/\s+/g, '') : '';
+}
+
+/**
+ * 一覧ページの物件カードの文字列から事実を作成
+ * @param {string} text - 物件カードの文字列
+ * @param {Date} now - 「築20年」から築年を求める基準日
+ * @returns {PropertyFacts}
+ */
+function createCardFacts(text, now) {
+  const normalized = normalizeNumberText(text);
+  const floorsMatch = normalized.match(/(?:地上)?(\d+)階(?:地下\d+階)?建/);
+  return {
+    builtDate: parseCardBuiltDate(text, now),
+    structure: extractCardStructure(text.normalize('NFKC')),
+    buildingFloorCount: floorsMatch ? parseInt(floorsMatch[1], 10) : null,
+    landRights: '',
+    text,
+    seismicText: null
+  };
+}
+
+/**
+ * 詳細ページの追加情報（またはCSVの物件データ）から事実を作成
+ * 築年月がない場合は一覧ページの「築20年」（age）を使う
+ * @param {Object} detail - createEmptyDetailInfo()の項目を持つオブジェクト
+ * @param {Date} now - 「築20年」から築年を求める基準日
+ * @param {?string} [pageText] - 詳細ページ全体の文字列（免震・制震の記載を探す、CSVではnull）
+ * @returns {PropertyFacts}
+ */
+function createDetailFacts(detail, now, pageText = null) {
+  return {
+    builtDate: parseBuiltDate(detail.builtDate) || parseCardBuiltDate(detail.age ? `築${detail.age}` : '', now),
+    structure: detail.structure || '',
+    buildingFloorCount: parseBuildingFloors(detail.buildingFloors),
+    landRights: detail.landRights || '',
+    text: [detail.structure, detail.landRights, detail.restrictions, detail.notes, detail.reform].filter(Boolean).join(' '),
+    seismicText: pageText
+  };
+}
+
+/**
+ * 該当するルールを取得
+ * @param {PropertyFacts} facts - 事実
+ * @returns {PropertyFlagRule[]}
+ */
+function evaluatePropertyFlags(facts) {
+  return PROPERTY_FLAG_RULES.filter(rule => rule.test(facts) === true);
+}
+
+/**
+ * CSVのフラグ列を作成（該当は1、非該当は0、判定できない場合は空欄）
+ * @param {Object} property - 物件データ
+ * @param {Date} now - 基準日
+ * @returns {Object<string, number|string>} - ルールのid＋Flag -> 値（「oldSeismicFlag」など）
+ */
+function createPropertyFlagColumns(property, now) {
+  const facts = createDetailFacts(property, now);
+  const columns = {};
+  for (const rule of PROPERTY_FLAG_RULES) {
+    const result = rule.test(facts);
+    columns[`${rule.id}Flag`] = result === null ? '' : Number(result);
+  }
+  return columns;
+}
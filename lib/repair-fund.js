@@ -0,0 +1,162 @@
+/**
+ * 修繕積立金の水準（国土交通省「マンションの修繕積立金に関するガイドライン」の目安との比較）
+ * 専有面積1㎡あたりの月額を、建物の階数・規模（総戸数から推定した延床面積）の目安と比べ、築年数で段階増額を考慮してA〜Dで評価する
+ * 延床面積は掲載されないため推定値で、総戸数・階数がわからない場合は不足と判定しにくい区分で比べる
+ */
+
+// 超高層の目安の階数（ガイドラインは20階以上を別の区分にしている）
+const REPAIR_FUND_HIGH_RISE_FLOORS = 20;
+
+// 専有面積の合計に対する延床面積の比率（共用部分を含めるため、レンタブル比を8割とみなす）
+const REPAIR_FUND_FLOOR_AREA_RATIO = 1 / 0.8;
+
+// 小規模とみなす総戸数（1戸あたりの負担が大きくなりやすく、値上げの余地も小さい）
+const REPAIR_FUND_SMALL_UNITS = 30;
+
+// 段階増額積立方式の初期の水準（目安に対する割合）と、目安の水準に達するまでの年数
+const REPAIR_FUND_INITIAL_RATIO = 0.4;
+const REPAIR_FUND_RAMP_YEARS = 15;
+
+// 大規模修繕（2回目以降）を控え、不足が一時金や大幅な値上げにつながりやすい築年数
+const REPAIR_FUND_MATURE_AGE = 30;
+
+/**
+ * @typedef {Object} RepairFundBand
+ * @property {string} label - 区分の表示名
+ * @property {number} low - 目安の下限（円/㎡・月）
+ * @property {number} average - 平均値（円/㎡・月）
+ * @property {number} high - 目安の上限（円/㎡・月）
+ */
+
+/**
+ * ガイドラインの目安（計画期間全体の平均、機械式駐車場の分を除く）
+ * 20階未満は延床面積の区分ごと（[延床面積の上限（㎡）, 目安]）
+ * @type {Array<[number, RepairFundBand]>}
+ */
+const REPAIR_FUND_BANDS = [
+  [5000, { label: '20階未満・延床5,000㎡未満', low: 235, average: 335, high: 430 }],
+  [10000, { label: '20階未満・延床5,000〜10,000㎡', low: 170, average: 252, high: 320 }],
+  [20000, { label: '20階未満・延床10,000〜20,000㎡', low: 200, average: 271, high: 330 }],
+  [Infinity, { label: '20階未満・延床20,000㎡以上', low: 190, average: 255, high: 325 }]
+];
+const REPAIR_FUND_HIGH_RISE_BAND = { label: '20階以上', low: 240, average: 338, high: 410 };
+
+// 総戸数がわからない場合の区分（目安が最も低く、不足と判定しにくい区分）
+const REPAIR_FUND_DEFAULT_BAND = REPAIR_FUND_BANDS[1][1];
+
+// 評価の説明
+const REPAIR_FUND_GRADE_LABELS = {
+  A: '十分（目安の平均以上）',
+  B: '目安の範囲内',
+  C: 'やや不足（目安の下限未満）',
+  D: '不足（将来の値上げ・一時金のおそれ）'
+};
+
+/**
+ * @typedef {Object} RepairFundEvaluation
+ * @property {'A'|'B'|'C'|'D'} grade - 評価
+ * @property {number} perSqm - 専有面積1㎡あたりの修繕積立金（円/月）
+ * @property {RepairFundBand} band - 比較した目安
+ * @property {number} expectedLow - 築年数を考慮した下限（円/㎡・月）
+ * @property {number} expectedAverage - 築年数を考慮した平均値（円/㎡・月）
+ * @property {string[]} reasons - 判定の理由と注意点
+ */
+
+/**
+ * 建物の階数と延床面積の推定から、比較するガイドラインの目安を選ぶ
+ * @param {?number} buildingFloorCount - 建物の階数
+ * @param {?number} totalUnits - 総戸数
+ * @param {number} area - 専有面積（㎡、延床面積の推定に使う）
+ * @returns {{band: RepairFundBand, floorArea: ?number}} - 目安と推定した延床面積（㎡）
+ */
+function selectRepairFundBand(buildingFloorCount, totalUnits, area) {
+  if (buildingFloorCount !== null && buildingFloorCount >= REPAIR_FUND_HIGH_RISE_FLOORS) {
+    return { band: REPAIR_FUND_HIGH_RISE_BAND, floorArea: null };
+  }
+  if (!totalUnits) {
+    return { band: REPAIR_FUND_DEFAULT_BAND, floorArea: null };
+  }
+  const floorArea = totalUnits * area * REPAIR_FUND_FLOOR_AREA_RATIO;
+  return { band: REPAIR_FUND_BANDS.find(([limit]) => floorArea < limit)[1], floorArea };
+}
+
+/**
+ * 修繕積立金の水準を評価
+ * @param {Object} facts - 評価に使う情報
+ * @param {?number} facts.repairFund - 修繕積立金（円/月）
+ * @param {?number} facts.area - 専有面積（㎡）
+ * @param {?number} facts.buildingFloorCount - 建物の階数
+ * @param {?number} facts.totalUnits - 総戸数
+ * @param {?number} facts.buildingAge - 築年数（年）
+ * @returns {RepairFundEvaluation|null} - 修繕積立金か専有面積がわからない場合はnull
+ */
+function evaluateRepairFund({ repairFund, area, buildingFloorCount, totalUnits, buildingAge }) {
+  if (repairFund == null || !area) {
+    return null;
+  }
+  const reasons = [];
+  const perSqm = Math.round(repairFund / area);
+  const { band, floorArea } = selectRepairFundBand(buildingFloorCount, totalUnits, area);
+
+  if (buildingFloorCount === null) {
+    reasons.push(`建物の階数がわからないため${REPAIR_FUND_HIGH_RISE_FLOORS}階未満として判定`);
+  }
+  if (floorArea !== null) {
+    reasons.push(`延床面積 約${Math.round(floorArea).toLocaleString()}㎡（総戸数${totalUnits}戸 × 専有面積 ÷ 0.8 で推定）`);
+  } else if (band !== REPAIR_FUND_HIGH_RISE_BAND) {
+    reasons.push('総戸数がわからないため、目安が最も低い規模の区分で判定');
+  }
+
+  // 段階増額積立方式では築浅ほど低い額から始まるため、目安を築年数に応じて下げる
+  let ageRatio = 1;
+  if (buildingAge == null) {
+    reasons.push('築年数がわからないため段階増額を考慮しない');
+  } else {
+    ageRatio = Math.min(1, REPAIR_FUND_INITIAL_RATIO + (1 - REPAIR_FUND_INITIAL_RATIO) * buildingAge / REPAIR_FUND_RAMP_YEARS);
+    if (ageRatio < 1) {
+      reasons.push(`築${buildingAge}年のため、段階増額を見込んで目安の${Math.round(ageRatio * 100)}%と比較`);
+    }
+  }
+  const expectedLow = Math.round(band.low * ageRatio);
+  const expectedAverage = Math.round(band.average * ageRatio);
+
+  let grade;
+  if (perSqm >= expectedAverage) {
+    grade = 'A';
+  } else if (perSqm >= expectedLow) {
+    grade = 'B';
+  } else if (perSqm >= expectedLow * 0.7) {
+    grade = 'C';
+  } else {
+    grade = 'D';
+  }
+
+  if (totalUnits && totalUnits < REPAIR_FUND_SMALL_UNITS) {
+    reasons.push(`総戸数${totalUnits}戸の小規模マンションのため、1戸あたりの負担が大きくなりやすい`);
+  }
+  if ((grade === 'C' || grade === 'D') && buildingAge != null && buildingAge >= REPAIR_FUND_MATURE_AGE) {
+    reasons.push(`築${REPAIR_FUND_MATURE_AGE}年以上で大規模修繕を控えるため、長期修繕計画と積立金の残高を確認`);
+  }
+  return { grade, perSqm, band, expectedLow, expectedAverage, reasons };
+}
+
+/**
+ * CSVの修繕積立金の水準の列を作成（計算できない場合は空欄）
+ * @param {Object} property - 物件データ
+ * @param {Object} normalized - createNormalizedColumns()の結果
+ * @returns {{repairFundPerSqm: number|string, repairFundGrade: string}}
+ */
+function createRepairFundColumns(property, normalized) {
+  const toNumber = (value) => value === '' || value === undefined ? null : Number(value);
+  const result = evaluateRepairFund({
+    repairFund: toNumber(normalized.repairFundYen),
+    area: toNumber(property.area),
+    buildingFloorCount: toNumber(normalized.buildingFloorCount),
+    totalUnits: toNumber(normalized.totalUnitCount),
+    buildingAge: toNumber(normalized.buildingAge)
+  });
+  return {
+    repairFundPerSqm: result ? result.perSqm : '',
+    repairFundGrade: result ? result.grade : ''
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * 表示設定
+ * chrome.storage.sync に保存し、コンテンツスクリプト・オプションページ・ポップアップで共有する
+ */
+
+// chrome.storage.sync の保存キー
+const SETTINGS_STORAGE_KEY = 'settings';
+
+/**
+ * @typedef {Object} DisplaySettings
+ * @property {Object<string, boolean>} enabledSites - サイトアダプターのid -> 表示するかどうか（未設定のサイトは表示）
+ * @property {boolean} showTsuboPrice - 坪単価を表示するかどうか
+ * @property {boolean} showHeiheiPrice - 平米単価を表示するかどうか
+ * @property {number} decimals - 万円単位の単価の小数点以下の桁数（0〜2）
+ * @property {'man'|'yen'} priceUnit - 単価の表示単位（'man': 万円、'yen': 円）
+ * @property {'auto'|'full'|'compact'} badgeStyle - 表示スタイル（'auto': 挿入位置に合わせる）
+ * @property {boolean} historyEnabled - 閲覧した物件の価格履歴を記録するかどうか（オプトイン）
+ * @property {boolean} valuationIncludeHistory - 割安・割高の判定に価格履歴の同じ市区町村の物件も使うかどうか（価格履歴が有効な場合のみ）
+ * @property {number} maxExportPages - 全ページのCSVエクスポートで読み込む最大ページ数（表示中のページを含む）
+ * @property {number} detailCacheTtlHours - CSVエクスポートで取得した詳細ページのキャッシュの有効期間（時間、0はキャッシュしない）
+ * @property {number} loanInterestRate - 毎月の支払いの目安に使うローンの金利（年%）
+ * @property {number} loanYears - 毎月の支払いの目安に使うローンの返済期間（年）
+ * @property {number} loanDownPaymentPercent - 毎月の支払いの目安に使う頭金（物件価格に対する%）
+ * @property {'annuity'|'equalPrincipal'} loanMethod - ローンの返済方法（'annuity': 元利均等、'equalPrincipal': 元金均等）
+ * @property {'fixed'|'variable'} loanRateType - ローンの金利タイプ
+ * @property {number} loanRateIncrease - 変動金利の5年ごとの金利の上昇幅（年%）
+ */
+
+/** @type {DisplaySettings} */
+const DEFAULT_SETTINGS = {
+  enabledSites: {},
+  showTsuboPrice: true,
+  showHeiheiPrice: true,
+  decimals: 0,
+  priceUnit: 'man',
+  badgeStyle: 'auto',
+  historyEnabled: false,
+  valuationIncludeHistory: false,
+  maxExportPages: 10,
+  detailCacheTtlHours: 24,
+  loanInterestRate: 0.8,
+  loanYears: 35,
+  loanDownPaymentPercent: 10,
+  loanMethod: 'annuity',
+  loanRateType: 'fixed',
+  loanRateIncrease: 0.25
+};
+
+/**
+ * 保存されている設定を既定値とマージ（項目の追加に対応）
+ * @param {Object|undefined} stored - 保存されている設定
+ * @returns {DisplaySettings}
+ */
+function mergeSettings(stored) {
+  return {
+    ...DEFAULT_SETTINGS,
+    ...(stored || {}),
+    enabledSites: { ...DEFAULT_SETTINGS.enabledSites, ...(stored && stored.enabledSites) }
+  };
+}
+
+/**
+ * chrome.storage が使えるかどうか（拡張機能のコンテキスト外では既定値で動作）
+ * @returns {boolean}
+ */
+function hasSettingsStorage() {
+  return typeof chrome !== 'undefined' && Boolean(chrome.storage && chrome.storage.sync);
+}
+
+/**
+ * 設定を読み込む
+ * @returns {Promise<DisplaySettings>}
+ */
+async function loadSettings() {
+  if (!hasSettingsStorage()) {
+    return mergeSettings();
+  }
+  const result = await chrome.storage.sync.get(SETTINGS_STORAGE_KEY);
+  return mergeSettings(result[SETTINGS_STORAGE_KEY]);
+}
+
+/**
+ * 設定を保存
+ * @param {DisplaySettings} settings - 設定
+ * @returns {Promise<void>}
+ */
+async function saveSettings(settings) {
+  if (!hasSettingsStorage()) return;
+  await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: mergeSettings(settings) });
+}
+
+/**
+ * 設定の変更を監視（他のタブ・オプションページ・ポップアップでの変更も通知される）
+ * @param {function(DisplaySettings): void} callback - 変更後の設定を受け取る関数
+ */
+function onSettingsChanged(callback) {
+  if (!hasSettingsStorage()) return;
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[SETTINGS_STORAGE_KEY]) {
+      callback(mergeSettings(changes[SETTINGS_STORAGE_KEY].newValue));
+    }
+  });
+}
+
+/**
+ * サイトで単価表示が有効かどうか
+ * @param {DisplaySettings} settings - 設定
+ * @param {string} siteId - サイトアダプターのid
+ * @returns {boolean}
+ */
+function isSiteEnabled(settings, siteId) {
+  return settings.enabledSites[siteId] !== false;
+}
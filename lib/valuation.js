@@ -0,0 +1,145 @@
+/**
+ * 築年数・駅徒歩分・専有面積から坪単価を推定する相場モデル（最小二乗法の重回帰）
+ * 一覧ページの物件（と価格履歴に記録済みの近くの物件）で回帰し、各物件の割安・割高を判定する（コンテンツスクリプトで使用）
+ */
+
+// 説明変数（築年数・駅徒歩分・専有面積）
+const VALUATION_FEATURES = ['buildingAge', 'walkMinutes', 'area'];
+
+// 説明変数の表示名
+const VALUATION_FEATURE_LABELS = { buildingAge: '築年数', walkMinutes: '駅徒歩', area: '専有面積' };
+
+// 回帰する最低件数（説明変数の数に対して件数が少ないと推定が不安定なため）
+const MIN_VALUATION_SAMPLES = 10;
+
+/**
+ * @typedef {Object} ValuationFeatures
+ * @property {?number} buildingAge - 築年数（年）
+ * @property {?number} walkMinutes - 駅徒歩（分）
+ * @property {?number} area - 専有面積（㎡）
+ */
+
+/**
+ * @typedef {Object} ValuationSample
+ * @property {number} tsuboPrice - 坪単価
+ * @property {?number} buildingAge - 築年数（年）
+ * @property {?number} walkMinutes - 駅徒歩（分）
+ * @property {?number} area - 専有面積（㎡）
+ */
+
+/**
+ * @typedef {Object} ValuationModel
+ * @property {number} intercept - 切片
+ * @property {Object<string, number>} coefficients - 説明変数 -> 係数（値がすべて同じで推定できない説明変数は含まない）
+ * @property {number} sampleCount - 回帰に使った件数
+ * @property {number} rSquared - 決定係数
+ */
+
+/**
+ * 連立一次方程式を解く（部分ピボット選択つきのガウスの消去法）
+ * @param {number[][]} matrix - 係数行列（書き換える）
+ * @param {number[]} vector - 右辺（書き換える）
+ * @returns {number[]|null} - 解、行列が特異な場合はnull
+ */
+function solveLinearSystem(matrix, vector) {
+  const size = vector.length;
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(matrix[pivot][column]) < 1e-9) {
+      return null;
+    }
+    [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+    [vector[column], vector[pivot]] = [vector[pivot], vector[column]];
+
+    for (let row = column + 1; row < size; row++) {
+      const factor = matrix[row][column] / matrix[column][column];
+      for (let k = column; k < size; k++) {
+        matrix[row][k] -= factor * matrix[column][k];
+      }
+      vector[row] -= factor * vector[column];
+    }
+  }
+
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = vector[row];
+    for (let k = row + 1; k < size; k++) {
+      sum -= matrix[row][k] * solution[k];
+    }
+    solution[row] = sum / matrix[row][row];
+  }
+  return solution;
+}
+
+/**
+ * 坪単価を築年数・駅徒歩分・専有面積で回帰する
+ * 説明変数がそろわない物件は使わず、すべての物件で同じ値の説明変数（全物件が徒歩5分など）は除く
+ * @param {ValuationSample[]} samples - 物件
+ * @returns {ValuationModel|null} - 件数が足りないか推定できない場合はnull
+ */
+function fitValuationModel(samples) {
+  const usable = samples.filter(sample =>
+    Number.isFinite(sample.tsuboPrice) && VALUATION_FEATURES.every(feature => Number.isFinite(sample[feature]))
+  );
+  if (usable.length < MIN_VALUATION_SAMPLES) {
+    return null;
+  }
+
+  const features = VALUATION_FEATURES.filter(feature => usable.some(sample => sample[feature] !== usable[0][feature]));
+  const rows = usable.map(sample => [1, ...features.map(feature => sample[feature])]);
+  const size = features.length + 1;
+
+  // 正規方程式 (XᵀX)β = Xᵀy
+  const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+  const vector = new Array(size).fill(0);
+  rows.forEach((row, index) => {
+    for (let i = 0; i < size; i++) {
+      vector[i] += row[i] * usable[index].tsuboPrice;
+      for (let j = 0; j < size; j++) {
+        matrix[i][j] += row[i] * row[j];
+      }
+    }
+  });
+  const solution = solveLinearSystem(matrix, vector);
+  if (!solution) {
+    return null;
+  }
+
+  const model = {
+    intercept: solution[0],
+    coefficients: Object.fromEntries(features.map((feature, index) => [feature, solution[index + 1]])),
+    sampleCount: usable.length,
+    rSquared: 0
+  };
+  const mean = usable.reduce((sum, sample) => sum + sample.tsuboPrice, 0) / usable.length;
+  let totalSquares = 0;
+  let residualSquares = 0;
+  for (const sample of usable) {
+    totalSquares += (sample.tsuboPrice - mean) ** 2;
+    residualSquares += (sample.tsuboPrice - predictTsuboPrice(model, sample)) ** 2;
+  }
+  model.rSquared = totalSquares > 0 ? 1 - residualSquares / totalSquares : 0;
+  return model;
+}
+
+/**
+ * 相場モデルから坪単価を推定
+ * @param {ValuationModel} model - fitValuationModel()の結果
+ * @param {ValuationFeatures} features - 物件の説明変数
+ * @returns {number|null} - 推定した坪単価、説明変数がそろわないか推定値が0以下の場合はnull
+ */
+function predictTsuboPrice(model, features) {
+  let predicted = model.intercept;
+  for (const [feature, coefficient] of Object.entries(model.coefficients)) {
+    if (!Number.isFinite(features[feature])) {
+      return null;
+    }
+    predicted += coefficient * features[feature];
+  }
+  return predicted > 0 ? predicted : null;
+}
@@ -0,0 +1,109 @@
+/**
+ * ウォッチリスト（☆で保存した物件）
+ * chrome.storage.local に保存し、コンテンツスクリプトとダッシュボードで共有する
+ */
+
+// chrome.storage.local の保存キー
+const WATCHLIST_STORAGE_KEY = 'watchlist';
+
+/**
+ * @typedef {Object} WatchlistItem
+ * @property {string} listingKey - 物件キー（サイトID:物件ID）
+ * @property {string} site - サイト識別子
+ * @property {string} url - 詳細ページURL
+ * @property {string} name - 物件名
+ * @property {string} address - 住所
+ * @property {number} price - 価格（万円、価格帯の場合は下限）
+ * @property {?number} priceMax - 価格帯の上限（範囲でない場合はnull）
+ * @property {?number} area - 面積（㎡、土地・一戸建ては土地面積）
+ * @property {?number} tsuboPrice - 坪単価（万円/坪、土地・一戸建ては土地坪単価）
+ * @property {?number} heiheiPrice - 平米単価（万円/㎡）
+ * @property {string} note - メモ
+ * @property {string} addedAt - 保存日時（ISO 8601）
+ */
+
+/**
+ * chrome.storage.local が使えるかどうか
+ * @returns {boolean}
+ */
+function hasWatchlistStorage() {
+  return typeof chrome !== 'undefined' && Boolean(chrome.storage && chrome.storage.local);
+}
+
+/**
+ * ウォッチリストを読み込む
+ * @returns {Promise<Object<string, WatchlistItem>>} - 物件キー -> 保存した物件
+ */
+async function loadWatchlist() {
+  if (!hasWatchlistStorage()) {
+    return {};
+  }
+  const result = await chrome.storage.local.get(WATCHLIST_STORAGE_KEY);
+  return result[WATCHLIST_STORAGE_KEY] || {};
+}
+
+/**
+ * ウォッチリストを読み込んで変更し、保存する
+ * @param {function(Object<string, WatchlistItem>): void} update - ウォッチリストを変更する関数
+ * @returns {Promise<void>}
+ */
+async function updateWatchlist(update) {
+  if (!hasWatchlistStorage()) return;
+  const watchlist = await loadWatchlist();
+  update(watchlist);
+  await chrome.storage.local.set({ [WATCHLIST_STORAGE_KEY]: watchlist });
+}
+
+/**
+ * 物件をウォッチリストに追加（保存済みの場合は物件情報を更新し、メモと保存日時は残す）
+ * @param {Omit<WatchlistItem, 'note'|'addedAt'>} listing - 物件の情報
+ * @returns {Promise<void>}
+ */
+function addToWatchlist(listing) {
+  return updateWatchlist(watchlist => {
+    const existing = watchlist[listing.listingKey];
+    watchlist[listing.listingKey] = {
+      ...listing,
+      note: existing ? existing.note : '',
+      addedAt: existing ? existing.addedAt : new Date().toISOString()
+    };
+  });
+}
+
+/**
+ * 物件をウォッチリストから削除
+ * @param {string} listingKey - 物件キー
+ * @returns {Promise<void>}
+ */
+function removeFromWatchlist(listingKey) {
+  return updateWatchlist(watchlist => {
+    delete watchlist[listingKey];
+  });
+}
+
+/**
+ * 保存した物件のメモを更新
+ * @param {string} listingKey - 物件キー
+ * @param {string} note - メモ
+ * @returns {Promise<void>}
+ */
+function updateWatchlistNote(listingKey, note) {
+  return updateWatchlist(watchlist => {
+    if (watchlist[listingKey]) {
+      watchlist[listingKey].note = note;
+    }
+  });
+}
+
+/**
+ * ウォッチリストの変更を監視（他のタブ・ダッシュボードでの変更も通知される）
+ * @param {function(Object<string, WatchlistItem>): void} callback - 変更後のウォッチリストを受け取る関数
+ */
+function onWatchlistChanged(callback) {
+  if (!hasWatchlistStorage()) return;
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[WATCHLIST_STORAGE_KEY]) {
+      callback(changes[WATCHLIST_STORAGE_KEY].newValue || {});
+    }
+  });
+}
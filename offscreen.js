@@ -0,0 +1,42 @@
+/**
+ * オフスクリーンドキュメント
+ * service workerにはDOMParserとURL.createObjectURLがないため、エクスポートジョブで取得した詳細ページのHTMLの解析と、
+ * ダウンロードするCSVのBlobのURLの作成をここで行う
+ */
+
+/**
+ * 詳細ページのHTMLをサイトアダプターで解析
+ * @param {{site: string, sourceUrl: string, html: string}} message - メッセージ
+ * @returns {Object} - 追加情報（createEmptyDetailInfo()の29項目）
+ */
+function parseDetailPageMessage(message) {
+  // 一覧ページと同じく、売買・賃貸は一覧ページのURLで判定する
+  const adapter = getPageAdapter(getSiteAdapterById(message.site), message.sourceUrl);
+  if (!adapter) {
+    throw new Error(`対応していないサイトです: ${message.site}`);
+  }
+  const doc = new DOMParser().parseFromString(message.html, 'text/html');
+  return adapter.parseDetailPage(doc);
+}
+
+// メッセージの種類 -> 処理（戻り値をresultとして返す）
+const OFFSCREEN_HANDLERS = {
+  parseDetailPage: parseDetailPageMessage,
+  createObjectUrl: (message) => URL.createObjectURL(new Blob([message.content], { type: message.mimeType })),
+  revokeObjectUrl: (message) => URL.revokeObjectURL(message.url)
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.target !== 'offscreen' || !Object.hasOwn(OFFSCREEN_HANDLERS, message.type)) {
+    return false;
+  }
+
+  try {
+    sendResponse({ ok: true, result: OFFSCREEN_HANDLERS[message.type](message) });
+  } catch (error) {
+    const label = message.type === 'parseDetailPage' ? `詳細ページ解析エラー: ${message.url}` : `${message.type}エラー`;
+    console.error(`[${message.site || ''}坪単価] ${label}`, error);
+    sendResponse({ ok: false, error: String(error) });
+  }
+  return false;
+});
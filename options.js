@@ -0,0 +1,146 @@
+/**
+ * オプションページ
+ * 変更はその場で chrome.storage.sync に保存し、開いている物件ページへは storage.onChanged 経由で反映される
+ */
+
+const settingsForm = document.getElementById('settings-form');
+const statusElement = document.getElementById('status');
+
+/**
+ * サイトごとの表示切り替えのチェックボックスを作成
+ */
+function renderSiteList() {
+  const siteList = document.getElementById('site-list');
+  for (const adapter of SITE_ADAPTERS) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.siteId = adapter.id;
+    label.append(checkbox, ` ${adapter.label}`);
+    siteList.appendChild(label);
+  }
+}
+
+/**
+ * 設定をフォームに反映
+ * @param {DisplaySettings} settings - 設定
+ */
+function fillForm(settings) {
+  for (const checkbox of settingsForm.querySelectorAll('[data-site-id]')) {
+    checkbox.checked = isSiteEnabled(settings, checkbox.dataset.siteId);
+  }
+  settingsForm.elements.showTsuboPrice.checked = settings.showTsuboPrice;
+  settingsForm.elements.showHeiheiPrice.checked = settings.showHeiheiPrice;
+  settingsForm.elements.priceUnit.value = settings.priceUnit;
+  settingsForm.elements.decimals.value = String(settings.decimals);
+  settingsForm.elements.badgeStyle.value = settings.badgeStyle;
+  settingsForm.elements.historyEnabled.checked = settings.historyEnabled;
+  settingsForm.elements.valuationIncludeHistory.checked = settings.valuationIncludeHistory;
+  settingsForm.elements.maxExportPages.value = String(settings.maxExportPages);
+  settingsForm.elements.detailCacheTtlHours.value = String(settings.detailCacheTtlHours);
+  settingsForm.elements.loanInterestRate.value = String(settings.loanInterestRate);
+  settingsForm.elements.loanYears.value = String(settings.loanYears);
+  settingsForm.elements.loanDownPaymentPercent.value = String(settings.loanDownPaymentPercent);
+  settingsForm.elements.loanMethod.value = settings.loanMethod;
+  settingsForm.elements.loanRateType.value = settings.loanRateType;
+  settingsForm.elements.loanRateIncrease.value = String(settings.loanRateIncrease);
+}
+
+/**
+ * 数値の入力欄の値を取得（空欄・範囲外の場合は既定値）
+ * @param {string} name - 入力欄のname（設定の項目名）
+ * @returns {number}
+ */
+function readNumberInput(name) {
+  const input = settingsForm.elements[name];
+  const value = parseFloat(input.value);
+  return Number.isFinite(value) && input.checkValidity() ? value : DEFAULT_SETTINGS[name];
+}
+
+/**
+ * フォームの内容から設定を作成
+ * @returns {DisplaySettings}
+ */
+function readForm() {
+  const enabledSites = {};
+  for (const checkbox of settingsForm.querySelectorAll('[data-site-id]')) {
+    enabledSites[checkbox.dataset.siteId] = checkbox.checked;
+  }
+  return {
+    enabledSites,
+    showTsuboPrice: settingsForm.elements.showTsuboPrice.checked,
+    showHeiheiPrice: settingsForm.elements.showHeiheiPrice.checked,
+    priceUnit: settingsForm.elements.priceUnit.value,
+    decimals: parseInt(settingsForm.elements.decimals.value, 10),
+    badgeStyle: settingsForm.elements.badgeStyle.value,
+    historyEnabled: settingsForm.elements.historyEnabled.checked,
+    valuationIncludeHistory: settingsForm.elements.valuationIncludeHistory.checked,
+    maxExportPages: parseInt(settingsForm.elements.maxExportPages.value, 10),
+    detailCacheTtlHours: parseInt(settingsForm.elements.detailCacheTtlHours.value, 10),
+    loanInterestRate: readNumberInput('loanInterestRate'),
+    loanYears: readNumberInput('loanYears'),
+    loanDownPaymentPercent: readNumberInput('loanDownPaymentPercent'),
+    loanMethod: settingsForm.elements.loanMethod.value,
+    loanRateType: settingsForm.elements.loanRateType.value,
+    loanRateIncrease: readNumberInput('loanRateIncrease')
+  };
+}
+
+/**
+ * 保存結果を一時的に表示
+ * @param {string} message - 表示する文言
+ */
+function showStatus(message) {
+  statusElement.textContent = message;
+  setTimeout(() => {
+    statusElement.textContent = '';
+  }, 1500);
+}
+
+/**
+ * 詳細ページのキャッシュの件数を表示
+ */
+async function renderDetailCacheCount() {
+  const response = await chrome.runtime.sendMessage({ type: 'countDetailCache' });
+  document.getElementById('detail-cache-count').textContent =
+    response && response.ok ? `保存中: ${response.result.toLocaleString()}件` : '';
+}
+
+/**
+ * オプションページの初期化
+ */
+async function initOptionsPage() {
+  renderSiteList();
+  fillForm(await loadSettings());
+
+  settingsForm.addEventListener('change', async () => {
+    await saveSettings(readForm());
+    showStatus('保存しました');
+  });
+
+  document.getElementById('reset-button').addEventListener('click', async () => {
+    fillForm(DEFAULT_SETTINGS);
+    await saveSettings(DEFAULT_SETTINGS);
+    showStatus('初期設定に戻しました');
+  });
+
+  document.getElementById('clear-history-button').addEventListener('click', async () => {
+    if (!confirm('記録した価格履歴をすべて削除します。よろしいですか？')) {
+      return;
+    }
+    const response = await chrome.runtime.sendMessage({ type: 'clearHistory' });
+    showStatus(response && response.ok ? '履歴を削除しました' : '履歴の削除に失敗しました');
+  });
+
+  document.getElementById('clear-detail-cache-button').addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ type: 'clearDetailCache' });
+    showStatus(response && response.ok ? 'キャッシュを削除しました' : 'キャッシュの削除に失敗しました');
+    renderDetailCacheCount();
+  });
+  renderDetailCacheCount();
+
+  // ポップアップなど他の画面での変更を反映
+  onSettingsChanged(fillForm);
+}
+
+initOptionsPage();
@@ -0,0 +1,230 @@
+/**
+ * ツールバーのポップアップ
+ * 表示中のタブのサイトで単価表示を有効・無効にし、一覧ページの単価の統計を表示する
+ * CSVエクスポートのジョブの進捗を表示し、一時停止・再開・中止・ダウンロードを行う
+ */
+
+// エクスポートジョブの状態の表示名
+const EXPORT_JOB_STATUS_LABELS = {
+  queued: '待機中',
+  running: '詳細ページを取得中',
+  paused: '一時停止中',
+  completed: '完了',
+  cancelled: '中止'
+};
+
+/**
+ * 表示中のタブを取得
+ * @returns {Promise<chrome.tabs.Tab|undefined>}
+ */
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab;
+}
+
+/**
+ * タブのサイトアダプターを取得
+ * @param {chrome.tabs.Tab|undefined} tab - タブ
+ * @returns {SiteAdapter|null} - 対応サイトでない場合はnull
+ */
+function getTabAdapter(tab) {
+  // host_permissionsのサイト以外ではURLを取得できない
+  if (!tab || !tab.url) {
+    return null;
+  }
+  return getSiteAdapter(new URL(tab.url).hostname);
+}
+
+/**
+ * 統計の代わりにメッセージを表示
+ * @param {string} message - 表示する文言
+ */
+function showStatsMessage(message) {
+  document.getElementById('stats').hidden = true;
+  const messageElement = document.getElementById('stats-message');
+  messageElement.textContent = message;
+  messageElement.hidden = false;
+}
+
+/**
+ * コンテンツスクリプトから一覧ページの統計を取得して表示
+ * @param {number} tabId - タブID
+ */
+async function renderPageStats(tabId) {
+  let stats;
+  try {
+    stats = await chrome.tabs.sendMessage(tabId, { type: 'getPageStats' });
+  } catch (error) {
+    // 拡張機能の更新後などでコンテンツスクリプトが読み込まれていない
+    showStatsMessage('ページを再読み込みすると統計を表示できます');
+    return;
+  }
+
+  if (!stats || !stats.isListPage) {
+    showStatsMessage('一覧ページで単価の統計を表示します');
+    return;
+  }
+  if (!stats.enabled) {
+    showStatsMessage('このサイトでの表示が無効になっています');
+    return;
+  }
+
+  document.getElementById('stats-summary').textContent =
+    `物件数: ${stats.cardCount}件（計算不可: ${stats.unavailableCount}件）`;
+
+  const rows = document.getElementById('stats-rows');
+  rows.textContent = '';
+  for (const { label, summary } of stats.metrics) {
+    const row = document.createElement('tr');
+    const cells = summary ? [label, summary.min, summary.median, summary.mean, summary.max] : [label, '-', '-', '-', '-'];
+    for (const [index, text] of cells.entries()) {
+      const cell = document.createElement(index === 0 ? 'th' : 'td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    rows.appendChild(row);
+  }
+
+  document.getElementById('stats-message').hidden = true;
+  document.getElementById('stats').hidden = false;
+}
+
+/**
+ * エクスポートジョブの操作をバックグラウンドに依頼（失敗した場合はメッセージを表示）
+ * @param {string} type - メッセージの種類
+ * @param {string} jobId - ジョブID
+ */
+async function sendExportJobCommand(type, jobId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type, jobId });
+    if (!response || !response.ok) {
+      alert(response ? response.error : 'バックグラウンドに接続できません');
+    }
+  } catch (error) {
+    alert(`バックグラウンドに接続できません: ${error}`);
+  }
+}
+
+/**
+ * エクスポートジョブ1件分の表示を作成
+ * @param {ExportJob} job - エクスポートジョブ
+ * @returns {HTMLElement}
+ */
+function createExportJobElement(job) {
+  const element = document.createElement('div');
+  element.className = 'export-job';
+
+  const title = document.createElement('div');
+  title.className = 'export-job__title';
+  title.textContent = `${getSiteAdapterById(job.site)?.label || job.site} ${job.title}`;
+  title.title = job.sourceUrl;
+  element.appendChild(title);
+
+  const status = document.createElement('div');
+  status.className = 'export-job__status';
+  status.textContent = `${EXPORT_JOB_STATUS_LABELS[job.status]} ${job.completed}/${job.total}件` +
+    (job.cached > 0 ? `（キャッシュ ${job.cached}件）` : '') +
+    (job.failed > 0 ? `（取得失敗 ${job.failed}件）` : '');
+  element.appendChild(status);
+
+  if (job.runError) {
+    const error = document.createElement('div');
+    error.className = 'export-job__error';
+    error.textContent = `エラーのため一時停止しました: ${job.runError}`;
+    element.appendChild(error);
+  }
+  if (job.downloadError) {
+    const error = document.createElement('div');
+    error.className = 'export-job__error';
+    error.textContent = `CSVをダウンロードできませんでした: ${job.downloadError}`;
+    element.appendChild(error);
+  }
+
+  const progress = document.createElement('progress');
+  progress.max = job.total;
+  progress.value = job.completed;
+  element.appendChild(progress);
+
+  const actions = document.createElement('div');
+  actions.className = 'export-job__actions';
+  const addAction = (label, type) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', () => sendExportJobCommand(type, job.id));
+    actions.appendChild(button);
+  };
+
+  if (job.status === 'running' || job.status === 'queued') {
+    addAction('一時停止', 'pauseExportJob');
+  }
+  if (job.status === 'paused') {
+    addAction('再開', 'resumeExportJob');
+  }
+  if (job.status !== 'completed' && job.status !== 'cancelled') {
+    addAction('中止', 'cancelExportJob');
+  }
+  if (job.completed > 0) {
+    addAction(job.status === 'completed' ? 'ダウンロード' : '途中までダウンロード', 'downloadExportJob');
+  }
+  if (job.status === 'completed' || job.status === 'cancelled') {
+    addAction('削除', 'removeExportJob');
+  }
+  element.appendChild(actions);
+
+  return element;
+}
+
+/**
+ * エクスポートジョブの一覧を表示（新しい順、ジョブがなければ非表示）
+ * @param {ExportJob[]} jobs - エクスポートジョブの一覧
+ */
+function renderExportJobs(jobs) {
+  const list = document.getElementById('export-job-list');
+  list.textContent = '';
+  for (const job of [...jobs].reverse()) {
+    list.appendChild(createExportJobElement(job));
+  }
+  document.getElementById('export-jobs').hidden = jobs.length === 0;
+}
+
+/**
+ * ポップアップの初期化
+ */
+async function initPopup() {
+  document.getElementById('options-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  document.getElementById('watchlist-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  });
+
+  renderExportJobs(await loadExportJobs());
+  onExportJobsChanged(renderExportJobs);
+
+  const tab = await getActiveTab();
+  const adapter = getTabAdapter(tab);
+  if (!adapter) {
+    document.getElementById('unsupported').hidden = false;
+    return;
+  }
+
+  const toggle = document.getElementById('site-toggle');
+  document.getElementById('site-toggle-text').textContent = `${adapter.label}で坪単価を表示`;
+  document.getElementById('site-toggle-label').hidden = false;
+  toggle.checked = isSiteEnabled(await loadSettings(), adapter.id);
+
+  toggle.addEventListener('change', async () => {
+    const settings = await loadSettings();
+    settings.enabledSites[adapter.id] = toggle.checked;
+    await saveSettings(settings);
+    // コンテンツスクリプトが設定を反映してから統計を取り直す
+    setTimeout(() => renderPageStats(tab.id), 300);
+  });
+
+  await renderPageStats(tab.id);
+}
+
+initPopup();
@@ -0,0 +1,103 @@
+/**
+ * アットホーム サイトアダプター
+ */
+registerSiteAdapter({
+  id: 'ATHOME',
+  label: 'アットホーム',
+
+  matches(hostname) {
+    return hostname.includes('athome.co.jp');
+  },
+
+  findCards(doc) {
+    return Array.from(doc.querySelectorAll('.card-box-inner__detail'));
+  },
+
+  extractListingId(url) {
+    // 「/mansion/6980123456/」の数字部分
+    const match = new URL(url).pathname.match(/\/(\d{6,})(?:\/|$)/);
+    return match ? match[1] : null;
+  },
+
+  getSortableElement(card) {
+    // 物件カードは.card-box内の詳細部分のため、カード全体を移動する
+    return card.closest('.card-box') || card;
+  },
+
+  isDetailPage(doc) {
+    return this.findDetailPriceElement(doc) !== null;
+  },
+
+  findPriceElement(card) {
+    return findFirstBySelectors(card, [
+      '.property-price',                         // アットホーム一覧ページ
+      '[class*="price"]',                        // 汎用パターン
+    ]) || findGenericPriceElement(card);
+  },
+
+  findAreaElement(card) {
+    // 専有面積ブロック内のspanから「40.00m²」のような値を取得
+    const blocks = card.querySelectorAll('.property-detail-table__block');
+    for (const block of blocks) {
+      if (!block.textContent.includes('専有面積')) continue;
+      for (const span of block.querySelectorAll('span')) {
+        if (span.textContent.includes('m') || span.textContent.includes('㎡')) {
+          return span;
+        }
+      }
+    }
+    return card.querySelector('[class*="area"]') || findGenericAreaElement(card);
+  },
+
+  extractName(card) {
+    const titleElement = card.querySelector('.property-title, [class*="title"]');
+    return titleElement ? titleElement.textContent.trim() : '';
+  },
+
+  extractAddress(card) {
+    const addressElement = card.querySelector('.property-address');
+    return addressElement ? addressElement.textContent.trim() : '';
+  },
+
+  extractUrl(card, baseUrl) {
+    const linkElement = card.querySelector('a[href]');
+    return linkElement ? toAbsoluteUrl(linkElement.getAttribute('href'), baseUrl) : '';
+  },
+
+  getBadgeTarget: defaultBadgeTarget,
+
+  findDetailPriceElement(doc) {
+    return doc.querySelector('.price-main');
+  },
+
+  findDetailAreaElement(doc) {
+    // 物件概要テーブルから専有面積を取得
+    for (const row of doc.querySelectorAll('table tr')) {
+      const th = row.querySelector('th');
+      const td = row.querySelector('td');
+      if (th && th.textContent.trim() === '専有面積' && td) {
+        return td;
+      }
+    }
+    return null;
+  },
+
+  getDetailBadgeTargets(doc, priceElement) {
+    // 価格表示の下に追加
+    return priceElement ? [{ element: priceElement, position: 'after', compact: false }] : [];
+  },
+
+  parseDetailPage(doc) {
+    const detailInfo = createEmptyDetailInfo();
+
+    detailInfo.nameDetail = findPropertyName(doc, ['.property-title', 'h1']);
+
+    // 物件概要テーブル（「階建 / 階」「建物構造」「土地権利」などの見出し）
+    const pairs = collectLabelValuePairs(doc);
+    fillDetailInfoFromPairs(detailInfo, pairs);
+
+    detailInfo.company = findCompanyName(pairs, ['取扱い会社', '取扱会社', '会社名', 'お問合せ先']);
+
+    return detailInfo;
+  }
+});
@@ -0,0 +1,242 @@
+/**
+ * 詳細ページ解析の共通処理
+ * 各サイトアダプターの parseDetailPage() から使用し、全サイトで同じ29項目を埋める
+ */
+
+/**
+ * 詳細ページから取得する項目の空オブジェクトを作成
+ * @returns {Object} - 詳細情報（全項目空文字）
+ */
+function createEmptyDetailInfo() {
+  return {
+    nameDetail: '',          // 詳細ページの物件名
+    floor: '',               // 階数
+    direction: '',           // 向き
+    buildingFloors: '',      // 建物階数
+    managementFee: '',       // 管理費
+    repairFund: '',          // 修繕積立金
+    totalUnits: '',          // 総戸数
+    structure: '',           // 構造
+    parking: '',             // 駐車場
+    builtDate: '',           // 築年月（詳細）
+    company: '',             // 不動産会社名
+    // 追加項目
+    layout: '',              // 間取り
+    salesUnits: '',          // 販売戸数
+    balconyArea: '',         // バルコニー面積
+    repairFundInitial: '',   // 修繕積立基金
+    otherFees: '',           // 諸費用
+    deliveryTime: '',        // 引渡可能時期
+    landArea: '',            // 敷地面積
+    landRights: '',          // 敷地の権利形態
+    zoning: '',              // 用途地域
+    constructor: '',         // 施工会社
+    energyPerformance: '',   // エネルギー消費性能
+    insulation: '',          // 断熱性能
+    utilityEstimate: '',     // 目安光熱費
+    reform: '',              // リフォーム
+    majorPriceRange: '',     // 最多価格帯
+    restrictions: '',        // その他制限事項
+    notes: '',               // その他概要・特記事項
+    transactionType: ''      // 取引態様
+  };
+}
+
+// 構造の表記パターン
+const STRUCTURE_PATTERN = /(SRC|RC|鉄骨鉄筋コンクリート|鉄筋コンクリート|鉄骨造|木造|軽量鉄骨)/;
+
+/**
+ * 「12階/RC16階地下1階建」「10階建 / 5階」「5階/地上10階建」のような
+ * 所在階と建物階数が一緒になった値を分離
+ * @param {Object} detailInfo - 詳細情報（floor, structure, buildingFloorsを上書き）
+ * @param {string} value - 値
+ */
+function applyFloorAndBuilding(detailInfo, value) {
+  const structureMatch = value.match(STRUCTURE_PATTERN);
+  if (structureMatch) {
+    detailInfo.structure = structureMatch[1];
+  }
+
+  const buildingFloorsMatch = value.match(/(?:地上)?(\d+)階(?:地下\d+階)?建/);
+  if (buildingFloorsMatch) {
+    detailInfo.buildingFloors = buildingFloorsMatch[1] + '階';
+  }
+
+  // 建物階数部分を除いた残りから所在階を取得
+  const rest = buildingFloorsMatch ? value.replace(buildingFloorsMatch[0], '') : value;
+  const floorMatch = rest.match(/(\d+)階/);
+  if (floorMatch) {
+    detailInfo.floor = floorMatch[1] + '階';
+  }
+}
+
+/**
+ * 見出しと値の組から該当する項目を詳細情報に設定
+ * @param {Object} detailInfo - 詳細情報
+ * @param {string} label - 見出し（空白は正規化済み）
+ * @param {string} value - 値（空白は正規化済み）
+ * @returns {boolean} - 該当する項目があった場合true
+ */
+function applyDetailField(detailInfo, label, value) {
+  if (!value) return false;
+
+  // 「所在階/構造・階建」「階建 / 階」「所在階 / 階数」から情報を分離
+  if ((label.includes('所在階') || label.includes('階建')) &&
+      (label.includes('構造') || label.includes('階建') || label.includes('階数'))) {
+    applyFloorAndBuilding(detailInfo, value);
+  } else if (label.includes('所在階') || label === '階') {
+    detailInfo.floor = value;
+  } else if (label.includes('向き') || label.includes('主要採光面') || label === '方位') {
+    const match = value.match(/([東西南北]+)向き/);
+    if (match) {
+      detailInfo.direction = match[1] + '向き';
+    } else {
+      detailInfo.direction = value.split(/\s/)[0]; // 最初の単語のみ
+    }
+  } else if (label.includes('建物階数') || label === '階数') {
+    detailInfo.buildingFloors = value;
+  } else if (label.includes('管理費') && !label.includes('修繕')) {
+    // 「2万5000円／月（委託(通勤)）」などから抽出
+    detailInfo.managementFee = value.split(/\[/)[0].trim();
+  } else if (label.includes('修繕積立基金')) {
+    detailInfo.repairFundInitial = value.split(/\[/)[0].trim();
+  } else if (label.includes('修繕積立金')) {
+    detailInfo.repairFund = value.split(/\[/)[0].trim();
+  } else if (label.includes('総戸数')) {
+    detailInfo.totalUnits = value;
+  } else if (label.includes('構造') && !label.includes('所在階')) {
+    detailInfo.structure = value;
+  } else if (label.includes('駐車場')) {
+    detailInfo.parking = value;
+  } else if (label.includes('築年月') || label === '完成時期' || label === '竣工時期') {
+    detailInfo.builtDate = value.split(/[(（]/)[0].trim(); // 括弧以降を除去
+  } else if (label.includes('間取り')) {
+    detailInfo.layout = value;
+  } else if (label.includes('販売戸数')) {
+    detailInfo.salesUnits = value;
+  } else if (label.includes('その他面積') || label.includes('バルコニー面積')) {
+    detailInfo.balconyArea = value;
+  } else if (label.includes('諸費用')) {
+    detailInfo.otherFees = value;
+  } else if (label.includes('引渡') || label.includes('入居時期')) {
+    detailInfo.deliveryTime = value;
+  } else if (label.includes('敷地面積')) {
+    detailInfo.landArea = value;
+  } else if (label.includes('敷地の権利形態') || label.includes('土地権利')) {
+    detailInfo.landRights = value;
+  } else if (label.includes('用途地域')) {
+    detailInfo.zoning = value;
+  } else if (label.includes('施工')) {
+    detailInfo.constructor = value;
+  } else if (label.includes('エネルギー消費性能')) {
+    detailInfo.energyPerformance = value;
+  } else if (label.includes('断熱性能')) {
+    detailInfo.insulation = value;
+  } else if (label.includes('目安光熱費')) {
+    detailInfo.utilityEstimate = value;
+  } else if (label.includes('リフォーム') || label.includes('リノベーション')) {
+    detailInfo.reform = value;
+  } else if (label.includes('最多価格帯')) {
+    detailInfo.majorPriceRange = value;
+  } else if (label.includes('制限事項') || label.includes('法令上の制限')) {
+    detailInfo.restrictions = value;
+  } else if (label.includes('その他概要') || label.includes('特記事項') || label === '備考') {
+    detailInfo.notes = value;
+  } else if (label.includes('取引態様')) {
+    detailInfo.transactionType = value;
+  } else {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 空白を正規化したテキストを取得
+ * @param {Element} element - 要素
+ * @returns {string}
+ */
+function normalizedText(element) {
+  return element.textContent.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * 見出しと値の組を取得（<th>見出し</th><td>値</td> と <dt>見出し</dt><dd>値</dd>）
+ * @param {Document|Element} root - 検索範囲
+ * @param {Object} options - オプション
+ * @param {boolean} options.includeDl - dt/dd形式も含めるかどうか
+ * @returns {Array<{label: string, value: string, element: Element}>}
+ */
+function collectLabelValuePairs(root, { includeDl = true } = {}) {
+  const pairs = [];
+
+  // 各thについて、次の兄弟要素がtdかチェック
+  for (const th of root.querySelectorAll('th')) {
+    const td = th.nextElementSibling;
+    if (td && td.tagName === 'TD') {
+      pairs.push({ label: normalizedText(th), value: normalizedText(td), element: td });
+    }
+  }
+
+  if (includeDl) {
+    for (const dt of root.querySelectorAll('dt')) {
+      const dd = dt.nextElementSibling;
+      if (dd && dd.tagName === 'DD') {
+        pairs.push({ label: normalizedText(dt), value: normalizedText(dd), element: dd });
+      }
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * 見出しと値の組から詳細情報を埋める（既に値がある項目は上書きしない）
+ * @param {Object} detailInfo - 詳細情報
+ * @param {Array<{label: string, value: string}>} pairs - 見出しと値の組
+ */
+function fillDetailInfoFromPairs(detailInfo, pairs) {
+  for (const { label, value } of pairs) {
+    const scratch = createEmptyDetailInfo();
+    if (!applyDetailField(scratch, label, value)) continue;
+    for (const [key, fieldValue] of Object.entries(scratch)) {
+      if (fieldValue && !detailInfo[key]) {
+        detailInfo[key] = fieldValue;
+      }
+    }
+  }
+}
+
+/**
+ * 見出しのいずれかに一致する値から不動産会社名を取得
+ * @param {Array<{label: string, element: Element}>} pairs - 見出しと値の組
+ * @param {string[]} labels - 会社名を表す見出し
+ * @returns {string} - 会社名（1行目のみ）、見つからない場合は空文字
+ */
+function findCompanyName(pairs, labels) {
+  for (const { label, element } of pairs) {
+    if (labels.some(companyLabel => label.includes(companyLabel))) {
+      const company = element.textContent.trim().split(/[\n\t]/)[0].trim();
+      if (company) return company;
+    }
+  }
+  return '';
+}
+
+/**
+ * 見出しタグから物件名を取得（「物件名 価格（間取り）」形式なら物件名部分のみ）
+ * @param {Document} doc - 詳細ページ
+ * @param {string[]} selectors - 見出しのセレクタ（優先順）
+ * @param {string[]} excludes - 物件名ではない見出しに含まれる文字列
+ * @returns {string}
+ */
+function findPropertyName(doc, selectors, excludes = []) {
+  for (const selector of selectors) {
+    for (const heading of doc.querySelectorAll(selector)) {
+      const text = heading.textContent.trim().replace(/\s+/g, ' ');
+      if (!text || excludes.some(exclude => text.includes(exclude))) continue;
+      const match = text.match(/^(.+?)\s*[\d億万円]+/);
+      return match ? match[1].trim() : text;
+    }
+  }
+  return '';
+}
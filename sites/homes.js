@@ -0,0 +1,210 @@
+/**
+ * ホームズ サイトアダプター
+ */
+
+// 詳細ページのdata-component属性名 -> 対応する見出し（applyDetailFieldに渡す）
+const HOMES_DETAIL_COMPONENTS = {
+  floor: '所在階 / 階数',
+  direction: '向き',
+  managementFee: '管理費等',
+  repairReserveFund: '修繕積立金',
+  totalUnits: '総戸数',
+  structure: '構造',
+  builtDate: '築年月',
+  layout: '間取り',
+  balconyArea: 'バルコニー面積',
+  landRights: '土地権利'
+};
+
+registerSiteAdapter({
+  id: 'HOMES',
+  label: 'ホームズ',
+
+  matches(hostname) {
+    return hostname.includes('homes.co.jp');
+  },
+
+  findCards(doc) {
+    // 通常の一覧ページ - td.priceとtd.spaceの両方を持つtableを物件カードとして扱う
+    const standardCards = Array.from(doc.querySelectorAll('.bukkenSpec table')).filter(table =>
+      table.querySelector('td.price') && table.querySelector('td.space')
+    );
+
+    // グルーピング一覧ページ - .unitSummary内のtr要素を物件カードとして扱う
+    const groupedCards = Array.from(doc.querySelectorAll('.unitSummary tbody tr'));
+
+    return [...standardCards, ...groupedCards];
+  },
+
+  extractListingId(url) {
+    // 「/mansion/b-35001234567890/」の「b-35001234567890」
+    const match = new URL(url).pathname.match(/\/(b-[0-9a-z]+)/i);
+    return match ? match[1] : null;
+  },
+
+  getSortableElement(card) {
+    // 通常の一覧ページは物件ごとのブロック、グルーピング一覧ページは行ごとに移動する
+    if (card.tagName === 'TR') return card;
+    return card.closest('[class*="mod-mergeBuilding"], .moduleInner') || card;
+  },
+
+  isDetailPage(doc) {
+    return this.findDetailPriceElement(doc) !== null;
+  },
+
+  findPriceElement(card) {
+    const element = findFirstBySelectors(card, [
+      'td.price',                                // ホームズ一覧ページ
+      '[class*="price"]',                        // 汎用パターン
+    ]);
+    if (element) return element;
+
+    // グルーピング一覧ページの場合: verticalTable構造
+    const verticalTable = card.tagName === 'TR' ? card.querySelector('.verticalTable') : null;
+    if (verticalTable) {
+      return findCellByHeader(verticalTable, '価格');
+    }
+    return findGenericPriceElement(card);
+  },
+
+  findAreaElement(card) {
+    const element = findFirstBySelectors(card, [
+      'td.space',                                // ホームズ一覧ページ
+      '[class*="area"]',                         // 汎用パターン
+    ]);
+    if (element) return element;
+
+    // グルーピング一覧ページの場合: verticalTable構造
+    const verticalTable = card.tagName === 'TR' ? card.querySelector('.verticalTable') : null;
+    if (verticalTable) {
+      return findCellByHeader(verticalTable, '専有面積');
+    }
+    return findGenericAreaElement(card);
+  },
+
+  extractName(card) {
+    const titleElement = card.querySelector('.bukkenName, [class*="name"]');
+    return titleElement ? titleElement.textContent.trim() : '';
+  },
+
+  extractAddress(card) {
+    const addressElement = card.querySelector('.bukkenAdress, [class*="address"]');
+    return addressElement ? addressElement.textContent.trim() : '';
+  },
+
+  extractUrl(card, baseUrl) {
+    const linkElement = card.querySelector('a[href]');
+    return linkElement ? toAbsoluteUrl(linkElement.getAttribute('href'), baseUrl) : '';
+  },
+
+  getBadgeTarget: defaultBadgeTarget,
+
+  findDetailPriceElement(doc) {
+    return doc.querySelector('[data-component="price"]');
+  },
+
+  findDetailAreaElement(doc) {
+    return doc.querySelector('[data-component="occupiedArea"]');
+  },
+
+  getDetailBadgeTargets(doc, priceElement) {
+    // 価格表示の下に追加
+    return priceElement ? [{ element: priceElement, position: 'after', compact: false }] : [];
+  },
+
+  parseDetailPage(doc) {
+    const detailInfo = createEmptyDetailInfo();
+
+    detailInfo.nameDetail = findPropertyName(doc, ['[data-component="buildingName"]', '.bukkenName', 'h1']);
+
+    // data-component属性を持つ要素（ホームズ詳細ページ）を優先
+    for (const [component, label] of Object.entries(HOMES_DETAIL_COMPONENTS)) {
+      const element = doc.querySelector(`[data-component="${component}"]`);
+      if (element) {
+        applyDetailField(detailInfo, label, normalizedText(element));
+      }
+    }
+
+    // 残りは物件概要テーブルから取得
+    const pairs = collectLabelValuePairs(doc);
+    fillDetailInfoFromPairs(detailInfo, pairs);
+
+    const companyElement = doc.querySelector('[data-component="companyName"]');
+    detailInfo.company = companyElement
+      ? normalizedText(companyElement)
+      : findCompanyName(pairs, ['情報提供元', '取扱会社', '会社名']);
+
+    return detailInfo;
+  },
+
+  // 賃貸（/chintai/）ページ: 価格欄は「賃料 / 管理費等」の形式
+  rental: {
+    matchesUrl(url) {
+      return new URL(url).pathname.includes('/chintai/');
+    },
+
+    findCards(doc) {
+      const rows = doc.querySelectorAll('.unitSummary tbody tr');
+      return Array.from(rows).filter(row => row.querySelector('td.price'));
+    },
+
+    isDetailPage(doc) {
+      return findCellByHeader(doc, '賃料') !== null;
+    },
+
+    findPriceElement(row) {
+      return row.querySelector('td.price');
+    },
+
+    extractRentText(row) {
+      const priceElement = row.querySelector('td.price');
+      return priceElement ? priceElement.textContent.split('/')[0] : '';
+    },
+
+    extractFeeText(row) {
+      const priceElement = row.querySelector('td.price');
+      const parts = priceElement ? priceElement.textContent.split('/') : [];
+      return parts.length > 1 ? parts[1] : '';
+    },
+
+    findAreaElement(row) {
+      return row.querySelector('td.space') || row.querySelector('td.layout');
+    },
+
+    extractName(row) {
+      const titleElement = row.closest('[class*="mod-mergeBuilding"], .moduleInner')?.querySelector('.bukkenName, [class*="name"]');
+      return titleElement ? titleElement.textContent.trim() : '';
+    },
+
+    extractAddress(row) {
+      const addressElement = row.closest('[class*="mod-mergeBuilding"], .moduleInner')?.querySelector('.bukkenAdress, [class*="address"]');
+      return addressElement ? addressElement.textContent.trim() : '';
+    },
+
+    getBadgeTarget(priceElement) {
+      return { element: priceElement, position: 'append', compact: true };
+    },
+
+    findDetailPriceElement(doc) {
+      return findCellByHeader(doc, '賃料');
+    },
+
+    extractDetailRentText(doc) {
+      const rentElement = findCellByHeader(doc, '賃料');
+      return rentElement ? rentElement.textContent.split('/')[0] : '';
+    },
+
+    extractDetailFeeText(doc) {
+      const feeElement = findCellByHeader(doc, '管理費') || findCellByHeader(doc, '共益費');
+      return feeElement ? feeElement.textContent : '';
+    },
+
+    findDetailAreaElement(doc) {
+      return findCellByHeader(doc, '専有面積');
+    },
+
+    getDetailBadgeTargets(doc, rentElement) {
+      return rentElement ? [{ element: rentElement, position: 'append', compact: true }] : [];
+    }
+  }
+});
@@ -0,0 +1,308 @@
+/**
+ * サイトアダプター登録
+ * ポータルサイトごとのDOM構造の違い（物件カード、価格・面積要素、物件名・住所・URL、
+ * 単価表示の挿入位置）を1サイト1オブジェクトに閉じ込め、content.jsからは
+ * アクティブなアダプターに問い合わせるだけにする
+ */
+
+/**
+ * @typedef {Object} BadgeTarget
+ * @property {Element} element - 挿入基準となる要素
+ * @property {'after'|'append'} position - 'after': 要素の直後に挿入、'append': 要素内の末尾に追加
+ * @property {boolean} compact - コンパクト表示にするかどうか
+ */
+
+/**
+ * @typedef {Object} SiteAdapter
+ * @property {string} id - サイト識別子（'SUUMO'など。ログ・CSVに使用）
+ * @property {string} label - 表示用のサイト名
+ * @property {function(string): boolean} matches - ホスト名が対象サイトかどうか
+ * @property {function(Document): Element[]} findCards - 一覧ページの物件カードを取得
+ * @property {function(Document): boolean} isDetailPage - 詳細ページかどうか
+ * @property {function(Element): ?Element} findPriceElement - 物件カード内の価格要素
+ * @property {function(Element): ?Element} findAreaElement - 物件カード内の面積要素
+ * @property {function(Element): string} extractName - 物件カードから物件名を取得
+ * @property {function(Element): string} extractAddress - 物件カードから住所を取得
+ * @property {function(Element, string): string} extractUrl - 物件カードから詳細ページURLを取得
+ * @property {function(Element): ?BadgeTarget} getBadgeTarget - 価格要素を基準にした一覧ページの単価表示の挿入位置
+ * @property {function(Document): ?Element} findDetailPriceElement - 詳細ページの価格要素
+ * @property {function(Document): ?Element} findDetailAreaElement - 詳細ページの面積要素
+ * @property {function(Document, Element): BadgeTarget[]} getDetailBadgeTargets - 詳細ページの単価表示の挿入位置
+ * @property {function(Document): Object} parseDetailPage - 詳細ページから追加情報（createEmptyDetailInfo()の29項目）を取得
+ * @property {function(Element|Document): string} extractLandAreaText - 土地面積のテキスト（省略時は共通処理）
+ * @property {function(Element|Document): string} extractBuildingAreaText - 建物面積のテキスト（省略時は共通処理）
+ * @property {function(Element|Document): string} extractPrivateRoadText - 私道負担のテキスト（省略時は共通処理）
+ * @property {function(Document): string} extractDetailAddress - 詳細ページから住所を取得（省略時は「所在地」の欄）
+ * @property {function(string): ?string} extractListingId - 詳細ページURLから物件ID（価格履歴のキー）を取得（省略時はURLのパス）
+ * @property {function(Document, string): string} findNextPageUrl - 一覧ページの次のページのURL（全ページのCSVエクスポート用、最後のページは空文字、省略時は共通処理）
+ * @property {function(Element): Element} getSortableElement - 並べ替え・絞り込みで移動・非表示にする一覧の1件分の要素（省略時は物件カード自体）
+ * @property {RentalAdapter} [rental] - 賃貸ページ用の上書き（賃貸に対応するサイトのみ）
+ */
+
+/**
+ * 賃貸ページ用の上書き定義
+ * ここに定義したメソッドがSiteAdapterの同名メソッドを上書きする。
+ * findPriceElement / findDetailPriceElement は賃料要素（単価表示の挿入基準）を返す
+ * @typedef {Object} RentalAdapter
+ * @property {function(string): boolean} matchesUrl - URLが賃貸ページかどうか
+ * @property {function(Element): string} extractRentText - 物件カードから賃料のテキストを取得
+ * @property {function(Element): string} extractFeeText - 物件カードから管理費・共益費のテキストを取得
+ * @property {function(Document): string} extractDetailRentText - 詳細ページから賃料のテキストを取得
+ * @property {function(Document): string} extractDetailFeeText - 詳細ページから管理費・共益費のテキストを取得
+ */
+
+// 登録済みのサイトアダプター
+const SITE_ADAPTERS = [];
+
+/**
+ * サイトアダプターを登録
+ * @param {SiteAdapter} adapter - サイトアダプター
+ */
+function registerSiteAdapter(adapter) {
+  SITE_ADAPTERS.push(adapter);
+}
+
+/**
+ * ホスト名に対応するサイトアダプターを取得
+ * @param {string} hostname - ホスト名
+ * @returns {SiteAdapter|null} - 対応するアダプター、なければnull
+ */
+function getSiteAdapter(hostname) {
+  return SITE_ADAPTERS.find(adapter => adapter.matches(hostname)) || null;
+}
+
+// アダプターで省略されたメソッドの既定実装（土地・一戸建て、詳細ページの住所、ページ送り、並べ替え、物件ID）
+const DEFAULT_ADAPTER_METHODS = {
+  extractLandAreaText(root) {
+    return findLabeledAreaText(root, '土地面積');
+  },
+
+  extractBuildingAreaText(root) {
+    return findLabeledAreaText(root, '建物面積');
+  },
+
+  extractPrivateRoadText(root) {
+    return findLabeledText(root, '私道負担');
+  },
+
+  extractDetailAddress(doc) {
+    // 「東京都港区芝浦4 [ 周辺環境 ]」「… 地図を見る」のようなリンクの文言を除く
+    return findLabeledText(doc, '所在地').split(/[[［]|地図/)[0].replace(/\s+/g, ' ').trim();
+  },
+
+  findNextPageUrl(doc, baseUrl) {
+    // rel="next" がなければ「次へ」「次のページ」のリンクを探す
+    const relNext = doc.querySelector('link[rel="next"][href], a[rel="next"][href]');
+    if (relNext) {
+      return toAbsoluteUrl(relNext.getAttribute('href'), baseUrl);
+    }
+    const nextLink = Array.from(doc.querySelectorAll('a[href]'))
+      .find(link => /^(次へ|次のページ|次の\d+件)/.test(link.textContent.trim()));
+    return nextLink ? toAbsoluteUrl(nextLink.getAttribute('href'), baseUrl) : '';
+  },
+
+  getSortableElement(card) {
+    return card;
+  },
+
+  extractListingId(url) {
+    const pathname = new URL(url).pathname.replace(/\/+$/, '');
+    return pathname || null;
+  }
+};
+
+/**
+ * ページURLに応じたアダプターを取得
+ * 省略されたメソッドは既定実装で補い、
+ * 賃貸ページの場合は rental の定義で上書きしたアダプター（mode: 'rental'）を返す
+ * @param {SiteAdapter|null} adapter - サイトアダプター
+ * @param {string} url - ページURL
+ * @returns {SiteAdapter|null} - modeプロパティ付きのアダプター
+ */
+function getPageAdapter(adapter, url) {
+  if (!adapter) return null;
+  if (adapter.rental && adapter.rental.matchesUrl(url)) {
+    return { ...DEFAULT_ADAPTER_METHODS, ...adapter, ...adapter.rental, mode: 'rental' };
+  }
+  return { ...DEFAULT_ADAPTER_METHODS, ...adapter, mode: 'sale' };
+}
+
+/**
+ * 詳細ページURLから価格履歴用の物件キーを作成
+ * @param {SiteAdapter} adapter - getPageAdapter()で取得したアダプター
+ * @param {string} url - 詳細ページURL
+ * @returns {?string} - 「SUUMO:nc_76543210」の形式、物件IDを取得できない場合はnull
+ */
+function getListingKey(adapter, url) {
+  if (!url) return null;
+  const listingId = adapter.extractListingId(url);
+  return listingId ? `${adapter.id}:${listingId}` : null;
+}
+
+/**
+ * サイト識別子からサイトアダプターを取得
+ * @param {string} id - サイト識別子
+ * @returns {SiteAdapter|null} - 対応するアダプター、なければnull
+ */
+function getSiteAdapterById(id) {
+  return SITE_ADAPTERS.find(adapter => adapter.id === id) || null;
+}
+
+/**
+ * セレクタを順に試して最初に見つかった要素を返す
+ * @param {Element|Document} root - 検索範囲
+ * @param {string[]} selectors - セレクタの配列（優先順）
+ * @returns {Element|null}
+ */
+function findFirstBySelectors(root, selectors) {
+  for (const selector of selectors) {
+    const element = root.querySelector(selector);
+    if (element) return element;
+  }
+  return null;
+}
+
+/**
+ * <th>見出し</th><td>値</td> 形式から見出しに対応するtdを取得
+ * @param {Element|Document} root - 検索範囲
+ * @param {string} label - 見出しに含まれる文字列
+ * @returns {Element|null}
+ */
+function findCellByHeader(root, label) {
+  const ths = root.querySelectorAll('th');
+  for (const th of ths) {
+    if (th.textContent.includes(label)) {
+      const td = th.nextElementSibling;
+      if (td && td.tagName === 'TD') return td;
+    }
+  }
+  return null;
+}
+
+/**
+ * <dt>見出し</dt><dd>値</dd> 形式から見出しに対応するddを取得
+ * @param {Element|Document} root - 検索範囲
+ * @param {string} label - 見出しに含まれる文字列
+ * @returns {Element|null}
+ */
+function findDdByDt(root, label) {
+  const dts = root.querySelectorAll('dt');
+  for (const dt of dts) {
+    if (dt.textContent.includes(label)) {
+      const dd = dt.nextElementSibling;
+      if (dd && dd.tagName === 'DD') return dd;
+    }
+  }
+  return null;
+}
+
+/**
+ * 見出しに対応する値のテキストを取得（dt/dd、th/tdの順に探す）
+ * @param {Element|Document} root - 検索範囲
+ * @param {string} label - 見出しに含まれる文字列
+ * @returns {string} - 値のテキスト、見つからない場合は空文字
+ */
+function findLabeledText(root, label) {
+  const element = findDdByDt(root, label) || findCellByHeader(root, label);
+  return element ? element.textContent : '';
+}
+
+/**
+ * 見出しに対応する面積のテキストを取得
+ * dt/dd、th/tdで見つからない場合は「土地面積100.5m2」のような一続きのテキストから探す
+ * @param {Element|Document} root - 検索範囲
+ * @param {string} label - 見出し（「土地面積」など）
+ * @returns {string} - 面積のテキスト、見つからない場合は空文字
+ */
+function findLabeledAreaText(root, label) {
+  const text = findLabeledText(root, label);
+  if (text) return text;
+
+  const rootText = root.nodeType === Node.DOCUMENT_NODE ? (root.body ? root.body.textContent : '') : root.textContent;
+  const match = rootText.match(new RegExp(label + '[^\\d]{0,6}(\\d[\\d,.]*\\s*(?:㎡|m2|m²|m|坪))'));
+  return match ? match[1] : '';
+}
+
+/**
+ * 相対URLを絶対URLに変換
+ * @param {string} href - href属性値
+ * @param {string} baseUrl - 基準URL
+ * @returns {string} - 絶対URL、変換できない場合は空文字
+ */
+function toAbsoluteUrl(href, baseUrl) {
+  if (!href) return '';
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * 全サイト共通の価格要素のフォールバック検索
+ * テーブル行の場合：<th>価格</th><td>値</td> のパターン
+ * @param {Element} card - 物件要素
+ * @returns {Element|null}
+ */
+function findGenericPriceElement(card) {
+  if (card.tagName !== 'TR') return null;
+  const th = card.querySelector('th');
+  const td = card.querySelector('td');
+  if (th && th.textContent.includes('価格') && td) {
+    return td;
+  }
+  return null;
+}
+
+/**
+ * 全サイト共通の面積要素のフォールバック検索
+ * dt/dd形式、「専有面積XXXm2」を含むspan、同じテーブル内の専有面積行の順に探す
+ * @param {Element} card - 物件要素
+ * @returns {Element|null}
+ */
+function findGenericAreaElement(card) {
+  // 新しいHTML構造: <dt>専有面積</dt><dd>値</dd> の形式を検索
+  const dd = findDdByDt(card, '専有面積');
+  if (dd) return dd;
+
+  // 詳細ページ: span要素内に「専有面積XXXm2」が含まれる場合
+  const spans = card.querySelectorAll('span');
+  for (const span of spans) {
+    if (span.textContent.includes('専有面積') && (span.textContent.includes('m') || span.textContent.includes('㎡'))) {
+      // 面積が解析できるか確認
+      if (parseArea(span.textContent).status === 'ok') {
+        return span;
+      }
+    }
+  }
+
+  // テーブル行の場合：同じテーブル内の専有面積行を探す
+  if (card.tagName === 'TR') {
+    const table = card.closest('table');
+    if (table) {
+      const rows = table.querySelectorAll('tr');
+      for (const row of rows) {
+        const th = row.querySelector('th');
+        const td = row.querySelector('td');
+        if (th && th.textContent.includes('専有面積') && td) {
+          return td;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 一覧ページの標準的な単価表示の挿入位置
+ * テーブル内の場合は価格要素（td）の中に、それ以外は価格要素の直後に挿入
+ * @param {Element} priceElement - 価格要素
+ * @returns {BadgeTarget}
+ */
+function defaultBadgeTarget(priceElement) {
+  const isInTable = priceElement.closest('table') !== null;
+  return isInTable
+    ? { element: priceElement, position: 'append', compact: true }
+    : { element: priceElement, position: 'after', compact: false };
+}
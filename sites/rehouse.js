@@ -0,0 +1,97 @@
+/**
+ * 三井のリハウス サイトアダプター
+ */
+registerSiteAdapter({
+  id: 'REHOUSE',
+  label: '三井のリハウス',
+
+  matches(hostname) {
+    return hostname.includes('rehouse.co.jp');
+  },
+
+  findCards(doc) {
+    return Array.from(doc.querySelectorAll('.property-index-card'));
+  },
+
+  extractListingId(url) {
+    // 「/buy/mansion/bkdetail/F12345678/」の物件番号
+    const match = new URL(url).pathname.match(/\/bkdetail\/([^/]+)/);
+    return match ? match[1] : null;
+  },
+
+  isDetailPage(doc) {
+    return this.findDetailPriceElement(doc) !== null;
+  },
+
+  findPriceElement(card) {
+    return findFirstBySelectors(card, [
+      '.price-text',                             // 三井のリハウス一覧ページ
+      '[class*="price"]',                        // 汎用パターン
+    ]) || findGenericPriceElement(card);
+  },
+
+  findAreaElement(card) {
+    // 複数の.paragraph-bodyがあるため㎡を含むものを探す
+    const paragraphs = card.querySelectorAll('.paragraph-body');
+    for (const el of paragraphs) {
+      if (el.textContent.includes('㎡') || el.textContent.includes('m2') || el.textContent.includes('m')) {
+        return el;
+      }
+    }
+    return card.querySelector('[class*="area"]') || findGenericAreaElement(card);
+  },
+
+  extractName(card) {
+    const titleElement = card.querySelector('.property-card-title, [class*="title"]');
+    return titleElement ? titleElement.textContent.trim() : '';
+  },
+
+  extractAddress(card) {
+    const paragraphs = card.querySelectorAll('.paragraph-body');
+    for (const el of paragraphs) {
+      if (el.textContent.includes('駅') || el.textContent.includes('徒歩')) {
+        continue; // 駅情報はスキップ
+      }
+      if (!el.textContent.includes('㎡') && !el.textContent.includes('m2')) {
+        return el.textContent.trim();
+      }
+    }
+    return '';
+  },
+
+  extractUrl(card, baseUrl) {
+    const linkElement = card.querySelector('a[href]');
+    return linkElement ? toAbsoluteUrl(linkElement.getAttribute('href'), baseUrl) : '';
+  },
+
+  getBadgeTarget: defaultBadgeTarget,
+
+  findDetailPriceElement(doc) {
+    return doc.querySelector('.text-price-regular.price-size') ||
+           doc.querySelector('.building-price-info');
+  },
+
+  findDetailAreaElement(doc) {
+    return doc.querySelector('.building-info');
+  },
+
+  getDetailBadgeTargets(doc, priceElement) {
+    // 価格表示の下に追加
+    return priceElement ? [{ element: priceElement, position: 'after', compact: false }] : [];
+  },
+
+  parseDetailPage(doc) {
+    const detailInfo = createEmptyDetailInfo();
+
+    detailInfo.nameDetail = findPropertyName(doc, ['.building-name', 'h1']);
+
+    // 物件概要（th/td形式とdt/dd形式が混在）
+    const pairs = collectLabelValuePairs(doc);
+    fillDetailInfoFromPairs(detailInfo, pairs);
+
+    // 三井のリハウスは自社仲介のため、店舗名がなければ運営会社名
+    detailInfo.company = findCompanyName(pairs, ['取扱店舗', '担当店舗']) || '三井不動産リアルティ';
+
+    return detailInfo;
+  }
+});
@@ -0,0 +1,266 @@
+/**
+ * SUUMO サイトアダプター
+ */
+registerSiteAdapter({
+  id: 'SUUMO',
+  label: 'SUUMO',
+
+  matches(hostname) {
+    return hostname.includes('suumo.jp');
+  },
+
+  findCards(doc) {
+    return Array.from(doc.querySelectorAll('.cassetteitem, .dottable--cassette, [class*="cassette"]'));
+  },
+
+  extractListingId(url) {
+    // 「/ms/chuko/tokyo/sc_minato/nc_76543210/」の「nc_76543210」（賃貸は「jnc_000012345678」）
+    const match = new URL(url).pathname.match(/\/(j?nc_\d+)/);
+    return match ? match[1] : null;
+  },
+
+  getSortableElement(card) {
+    // 一覧の1件分（.property_unit）ごと移動する
+    return card.closest('.property_unit, .cassetteitem') || card;
+  },
+
+  isDetailPage(doc) {
+    // 物件概要テーブルに価格行があれば詳細ページ
+    return findCellByHeader(doc, '価格') !== null;
+  },
+
+  findPriceElement(card) {
+    return findFirstBySelectors(card, [
+      '.dottable-value',                         // SUUMO一覧ページ（新）
+      '.mt7.b',                                  // SUUMO詳細ページ
+      '.dkr-cassetteitem_price--num',            // SUUMO一覧ページ
+      '.cassette_price--num',                    // SUUMO一覧ページ（旧）
+      '.property_view_note-emphasis',            // SUUMO詳細ページ（旧）
+      '.detailbox_property_price_txt',           // SUUMO詳細ページ（別パターン）
+      '[class*="price"]',                        // 汎用パターン
+    ]) || findGenericPriceElement(card);
+  },
+
+  findAreaElement(card) {
+    return findFirstBySelectors(card, [
+      '.dkr-cassetteitem_detail_text--area',     // SUUMO一覧ページ
+      '.cassette_detail_text--area',             // SUUMO一覧ページ（旧）
+      '[class*="area"]',                         // 汎用パターン
+    ]) || findGenericAreaElement(card);
+  },
+
+  extractName(card) {
+    // 新しいSUUMOレイアウト: dl/dt/dd構造から取得
+    const dd = findDdByDt(card, '物件名');
+    if (dd) return dd.textContent.trim();
+
+    // 旧レイアウトへのフォールバック
+    const titleElement = card.querySelector('.cassetteitem_content-title');
+    return titleElement ? titleElement.textContent.trim() : '';
+  },
+
+  extractAddress(card) {
+    const dd = findDdByDt(card, '所在地');
+    if (dd) return dd.textContent.trim();
+
+    // 旧レイアウトへのフォールバック
+    const addressElement = card.querySelector('.cassetteitem_detail-col1');
+    if (!addressElement) return '';
+    const addressText = addressElement.textContent.trim().replace(/\s+/g, ' ');
+    const addressMatch = addressText.match(/^([^\n]+(?:区|市|町|村|郡)[^\n]*?)(?:\s{2,}|\n|築|階|専有)/);
+    return addressMatch ? addressMatch[1].trim() : addressText.split(/\n/)[0].trim();
+  },
+
+  extractUrl(card, baseUrl) {
+    // 新しいSUUMOレイアウト: 親要素からリンクを取得
+    const parentDiv = card.closest('.property_unit-body, .ui-media');
+    if (parentDiv) {
+      const link = parentDiv.querySelector('a[href*="/ms/"], a[href*="/chuko/"]');
+      if (link) {
+        const url = toAbsoluteUrl(link.getAttribute('href'), baseUrl);
+        if (url) return url;
+      }
+    }
+
+    // 旧レイアウトへのフォールバック
+    const linkSelectors = [
+      '.cassetteitem_content-title a',
+      'a[href*="/chuko/"]',
+      'a[href*="/ms/"]'
+    ];
+    for (const selector of linkSelectors) {
+      const linkElement = card.querySelector(selector);
+      if (linkElement) {
+        const href = linkElement.getAttribute('href');
+        if (href && !href.includes('#') && !href.includes('javascript:')) {
+          return toAbsoluteUrl(href, baseUrl);
+        }
+      }
+    }
+    return '';
+  },
+
+  getBadgeTarget: defaultBadgeTarget,
+
+  findDetailPriceElement(doc) {
+    // 土地・一戸建ては専有面積がないため、価格行のみで判定
+    return this.findDetailSummaryCells(doc).price || findCellByHeader(doc, '価格');
+  },
+
+  findDetailAreaElement(doc) {
+    return this.findDetailSummaryCells(doc).area;
+  },
+
+  /**
+   * 物件概要テーブル（価格行と専有面積行を両方持つテーブル）からtdを取得
+   * @param {Document} doc - 詳細ページ
+   * @returns {{price: Element|null, area: Element|null}}
+   */
+  findDetailSummaryCells(doc) {
+    const tables = doc.querySelectorAll('table');
+    for (const table of tables) {
+      let priceTd = null;
+      let areaTd = null;
+      for (const row of table.querySelectorAll('tr')) {
+        const th = row.querySelector('th');
+        if (th && th.textContent.includes('価格')) {
+          priceTd = row.querySelector('td');
+        }
+        if (th && th.textContent.includes('専有面積')) {
+          areaTd = row.querySelector('td');
+        }
+      }
+      if (priceTd && areaTd) {
+        return { price: priceTd, area: areaTd };
+      }
+    }
+    return { price: null, area: null };
+  },
+
+  getDetailBadgeTargets(doc) {
+    const targets = [];
+
+    // 上部の価格表示の下に追加
+    const topPriceElement = doc.querySelector('.mt7.b');
+    if (topPriceElement) {
+      targets.push({ element: topPriceElement, position: 'after', compact: false });
+    }
+
+    // テーブル内の価格行に追加
+    doc.querySelectorAll('table tr').forEach(row => {
+      const th = row.querySelector('th');
+      const td = row.querySelector('td');
+      if (th && th.textContent.includes('価格') && td) {
+        targets.push({ element: td, position: 'append', compact: true });
+      }
+    });
+
+    return targets;
+  },
+
+  parseDetailPage(doc) {
+    const detailInfo = createEmptyDetailInfo();
+
+    // 物件名を取得（h1タグから）
+    detailInfo.nameDetail = findPropertyName(doc, ['h1, .section_h1-header-title'], ['SUUMOトップ']);
+
+    // テーブルから情報を抽出（SUUMO詳細ページの構造）
+    const pairs = collectLabelValuePairs(doc, { includeDl: false });
+
+    // 不動産会社名を取得
+    // 「野村の仲介+勝どきセンター野村不動産ソリューションズ(株)」から会社名部分を抽出
+    detailInfo.company = findCompanyName(pairs, ['お問い合せ先']) ||
+                         findCompanyName(pairs, ['不動産会社ガイド']);
+
+    for (const { label, value } of pairs) {
+      applyDetailField(detailInfo, label, value);
+    }
+
+    return detailInfo;
+  },
+
+  // 賃貸（/chintai/）ページ: 建物ごとのカセット内の部屋（行）を物件カードとして扱う
+  rental: {
+    matchesUrl(url) {
+      return new URL(url).pathname.includes('/chintai/');
+    },
+
+    findCards(doc) {
+      const rows = doc.querySelectorAll('.cassetteitem_other tbody tr');
+      return Array.from(rows).filter(row => row.querySelector('.cassetteitem_price--rent'));
+    },
+
+    getSortableElement(row) {
+      // 部屋ごとのtbody単位で移動する（建物の枠内での並べ替え）
+      return row.closest('tbody') || row;
+    },
+
+    isDetailPage(doc) {
+      return doc.querySelector('.property_view_note-emphasis') !== null;
+    },
+
+    findPriceElement(row) {
+      return row.querySelector('.cassetteitem_price--rent');
+    },
+
+    extractRentText(row) {
+      const rentElement = row.querySelector('.cassetteitem_price--rent');
+      return rentElement ? rentElement.textContent : '';
+    },
+
+    extractFeeText(row) {
+      const feeElement = row.querySelector('.cassetteitem_price--administration');
+      return feeElement ? feeElement.textContent : '';
+    },
+
+    findAreaElement(row) {
+      return row.querySelector('.cassetteitem_menseki');
+    },
+
+    extractName(row) {
+      const titleElement = row.closest('.cassetteitem')?.querySelector('.cassetteitem_content-title');
+      return titleElement ? titleElement.textContent.trim() : '';
+    },
+
+    extractAddress(row) {
+      const addressElement = row.closest('.cassetteitem')?.querySelector('.cassetteitem_detail-col1');
+      return addressElement ? addressElement.textContent.trim() : '';
+    },
+
+    extractUrl(row, baseUrl) {
+      const linkElement = row.querySelector('a[href*="/chintai/"]');
+      return linkElement ? toAbsoluteUrl(linkElement.getAttribute('href'), baseUrl) : '';
+    },
+
+    getBadgeTarget(rentElement) {
+      // 部屋の行（テーブル）内なので賃料のセルにコンパクト表示
+      return { element: rentElement.closest('td') || rentElement, position: 'append', compact: true };
+    },
+
+    findDetailPriceElement(doc) {
+      return doc.querySelector('.property_view_note-emphasis');
+    },
+
+    extractDetailRentText(doc) {
+      const rentElement = doc.querySelector('.property_view_note-emphasis');
+      return rentElement ? rentElement.textContent : '';
+    },
+
+    extractDetailFeeText(doc) {
+      // 「管理費・共益費:&nbsp;5000円」
+      for (const span of doc.querySelectorAll('.property_view_note-list span')) {
+        const match = span.textContent.match(/(?:管理費|共益費)[^:：]*[:：]\s*(.+)/);
+        if (match) return match[1];
+      }
+      return '';
+    },
+
+    findDetailAreaElement(doc) {
+      return findCellByHeader(doc, '専有面積');
+    },
+
+    getDetailBadgeTargets(doc, rentElement) {
+      return rentElement ? [{ element: rentElement, position: 'after', compact: false }] : [];
+    }
+  }
+});